@@ -65,7 +65,8 @@ class EigenSandChunk {
             for (let y = 0; y < size; y++) {
                 const worldY = baseY + y;
                 const material = terrain.getPixel(worldColumn, worldY);
-                if (material === terrain.EMPTY || material === terrain.BEDROCK) continue;
+                if (material === terrain.EMPTY) continue;
+                // Any registered liquid or granular material takes part, whatever its id
                 const props = terrain.substances[material];
                 if (!props || (props.type !== 'liquid' && props.type !== 'granular')) continue;
                 const maskIndex = y * size + x;
@@ -50,15 +50,50 @@ class GameEngine {
         this.maxSandParticles = this.baseSandCapacity;
         this.sandPoolLimit = this.absoluteSandCap;
         this.maxSandUpdatesPerFrame = isServer ? 450 : 900;
+        this.maxGasUpdatesPerFrame = isServer ? 200 : 400; // steam and smoke are scheduled separately from falling sand
         this.maxSandSpawnPerDestroy = isServer ? 250 : 500;
         this.sandAdaptiveCursor = 0;
+        this.gasAdaptiveCursor = 0;
+        this.maxReactionGas = 48; // gas particles one element reaction may release
+        this.dormantGasInterval = 30; // ticks between ageing gas in chunks outside the sand simulation
+        this.fireChunks = new Map(); // chunk key -> Map(cell index -> burning cell), server only
+        this.fireCellCount = 0;
+        this.maxFireCells = 4096;
+        this.fireStepInterval = 4; // ticks between steps of the fire automaton
+        this.fireBurnTime = 800; // ms a cell burns per point of durability (at least one)
+        this.fireSpreadChance = 0.35; // scaled by each neighbour's flammability
+        this.fireSmokeChance = 0.15;
+        this.fireDamage = 1; // per step to a mage in or standing on flames
+        this.fireCells = []; // flat x, y pairs of the cells the server last reported burning (clients)
+        this.heatStepInterval = 8; // ticks between steps of the heat field
+        this.heatDiffusion = 0.2; // share of the gap to the neighbouring heat cells closed each step
+        this.heatCooling = 0.1; // share of heat lost to the air each step
+        this.fireHeat = 40; // given off by each burning cell per heat step
+        this.heatTransitionChance = 0.1; // per step for a cell past one of its material's thresholds
+        this.heatSeededChunks = new Set(); // chunks whose heat has been brought up to its steady state once
+        this.heatScratch = null;
         this.sandChunkBroadcastRadius = 6;
+        this.sandCrushDamage = 0.04; // per falling grain over a mage's head each tick
+        this.liquidOverlay = null; // cell index -> material of free liquid the main thread saw around players (entity worker)
+        this.drillWear = new Map(); // cell index -> durability already worn away by beams
+        this.maxDrillWearEntries = 4096;
+        this.drillTicks = new Map(); // caster id -> last tick they drilled
+        this.maxShockCells = 4096; // water cells a lightning strike can spread through
+        this.maxShockRadius = 192;
+        this.shockDamageFactor = 0.6; // share of the spell's damage dealt to everyone in the water
+        this.projectileCollisions = new Map(); // projectile id -> { effect, x, y } for spells spent colliding mid-air
         this.players = new Map();
         this.playerList = [];
         this.projectiles = [];
+        this.shields = [];
         this.particles = [];
         this.inputManager = null;
         this.onSandUpdate = null;
+        this.onPlayerDamage = null;
+        this.friendlyFire = false;
+        this.scoreboard = [];
+        this.showScoreboard = false;
+        this.gameMode = null;
         this.playerChunkComputeRadius = 1;
         this.playerChunkBufferRadius = 2;
         this.projectileChunkRadius = 1;
@@ -82,6 +117,7 @@ class GameEngine {
         this.sandBlobConfig = {
             solidIntervals: [1, 3, 8],
             liquidIntervals: [1, 2, 5],
+            gasIntervals: [1, 1, 2],
             solidRestBoost: [1, 1, 1.5],
             liquidRestBoost: [1, 1, 1.2],
             liquidBlobMin: 24,
@@ -160,6 +196,11 @@ class GameEngine {
         this.dirtySandChunkKeys.clear();
         this.sandParticleCount = 0;
         this.sandAdaptiveCursor = 0;
+        this.gasAdaptiveCursor = 0;
+        this.fireChunks.clear();
+        this.fireCellCount = 0;
+        this.fireCells = [];
+        this.heatSeededChunks.clear();
         this.sandPool.length = 0;
         this.activeChunkSet.clear();
         this.activeChunkKeys.length = 0;
@@ -252,7 +293,45 @@ class GameEngine {
         this.updateActiveChunks(width, height);
         this.spawnPendingFluids(true);
     }
-    
+
+    regenerateTerrain() {
+        // Fresh map for a new round; players are kept and respawned by the caller
+        if (!this.terrain || typeof this.terrain.generate !== 'function') return;
+        this.terrain.generate();
+        this.projectiles.length = 0;
+        this.shields.length = 0;
+        this.particles.length = 0;
+        this.fireChunks.clear();
+        this.fireCellCount = 0;
+        this.fireCells = [];
+        this.heatSeededChunks.clear();
+        this.clearSandChunks();
+        this.sandParticleCount = 0;
+        this.pendingFluidChunks.clear();
+        this.pendingFluidCount = 0;
+        this.lastFluidSpawnTick = -1;
+        this.liquidBlobCache.clear();
+        this.nextLiquidBlobId = 1;
+        if (this.terrainChunkRemapCache) {
+            this.terrainChunkRemapCache.clear();
+        }
+        if (this.activeTerrainChunkCache) {
+            this.activeTerrainChunkCache.tick = -1;
+            this.activeTerrainChunkCache.chunkSize = 0;
+            this.activeTerrainChunkCache.keys = null;
+        }
+        if (this.eigenSand) {
+            this.eigenSand.reset();
+        }
+
+        const fluids = this.terrain.consumeInitialFluids();
+        this.spawnInitialFluids(fluids);
+
+        const { width, height } = this.getViewDimensions();
+        this.updateActiveChunks(width, height);
+        this.spawnPendingFluids(true);
+    }
+
     addPlayer(id, x, y, selectedSpell = null) {
         const playerRng = this.random && typeof this.random.fork === 'function'
             ? this.random.fork(`player:${id}`)
@@ -532,6 +611,12 @@ class GameEngine {
             if (!skipSand) {
                 this.updateSand(dt);
             }
+            if (this.tick % this.dormantGasInterval === 0) {
+                this.ageDormantGas((dt || this.fixedTimeStep || 16.666) * this.dormantGasInterval);
+            }
+            this.updateFire(dt);
+            this.updateHeat();
+            this.applySandCrush();
         } else {
             // Client-side: extrapolate sand positions using velocity for smooth rendering
             for (let i = 0; i < this.activeSandLookup.length; i++) {
@@ -644,7 +729,7 @@ class GameEngine {
                 this.pendingFluidChunks.set(key, list);
             }
 
-            list.push({ x: wrappedX, y, material });
+            list.push({ x: wrappedX, y, material, conjured: !!entry.conjured });
             this.pendingFluidCount++;
         }
     }
@@ -664,6 +749,8 @@ class GameEngine {
         const mass = typeof props.density === 'number' ? props.density : 1;
         const isLiquid = props.type === 'liquid';
         if (this.terrain.getPixel(x, y) !== this.terrain.EMPTY) {
+            // Conjured liquid never carves terrain; drop it if the cell filled up after queueing
+            if (entry.conjured) return true;
             this.terrain.setPixel(x, y, this.terrain.EMPTY);
             this.terrain.markDirty(x, y);
         }
@@ -678,6 +765,80 @@ class GameEngine {
         return true;
     }
 
+    /**
+     * Release one gas particle into the empty cell at (x, y); returns false if the cell is taken or the sand budget is spent
+     */
+    spawnGas(x, y, material) {
+        if (!this.terrain || y < 0 || y >= this.height) return false;
+        if (this.sandParticleCount >= this.maxSandParticles) return false;
+        const props = this.terrain.substances[material];
+        if (!props || props.type !== 'gas') return false;
+        const wrappedX = wrapHorizontal(x, this.width) | 0;
+        const cellY = Math.floor(y);
+        if (this.terrain.getPixel(wrappedX, cellY) !== this.terrain.EMPTY) return false;
+        if (this.findSandParticleAt(wrappedX, cellY)) return false;
+
+        const sand = this.getSandParticleFromPool();
+        const colorObj = this.terrain.getMaterialColor(material, wrappedX, cellY);
+        sand.init(wrappedX, cellY, material, colorObj ? colorObj.hex : '#ffffff', 0, props.density || 1, false);
+        sand.startGas(props);
+        this.addSandToChunk(sand, Math.floor(wrappedX / this.chunkSize), Math.floor(cellY / this.chunkSize));
+        this.sandParticleCount++;
+        // Claim the cell straight away in case this runs mid-update
+        sand.occupy(this.sandOccupancy, this.sandOccupancyMap);
+        return true;
+    }
+
+    /**
+     * Queue a spell's burst of liquid into the empty cells around (x, y), within the sand budget (server only)
+     */
+    conjureFluid(x, y, material, amount, sourceId = null) {
+        if (!this.isServer || !this.terrain || !(amount > 0)) return 0;
+        const terrain = this.terrain;
+        const materialId = typeof material === 'number' ? material : terrain.getMaterialByName(material);
+        const props = materialId !== null ? terrain.substances[materialId] : null;
+        if (!props || props.type !== 'liquid') return 0;
+
+        // The entity worker has no sand simulation, so it hands the request to the simulation thread
+        if (typeof this.onConjureFluid === 'function') {
+            this.onConjureFluid({ x, y, material: materialId, amount, sourceId });
+            return 0;
+        }
+
+        // World-generation fluids queued for distant chunks don't count against the burst
+        const budget = Math.min(Math.floor(amount), this.maxSandParticles - this.sandParticleCount);
+        if (budget <= 0) return 0;
+
+        // Flood outward through open cells so liquid never appears behind walls
+        const startX = wrapHorizontal(x, this.width) | 0;
+        const startY = Math.max(0, Math.min(this.height - 1, Math.floor(y)));
+        const queue = [[startX, startY]];
+        const visited = new Set([startY * this.width + startX]);
+        const fluids = [];
+        const maxVisits = budget * 8;
+        for (let head = 0; head < queue.length && fluids.length < budget && visited.size <= maxVisits; head++) {
+            const [cx, cy] = queue[head];
+            const open = terrain.getPixel(cx, cy) === terrain.EMPTY;
+            if (open && !this.findSandParticleAt(cx, cy)) {
+                fluids.push({ x: cx, y: cy, material: materialId, conjured: true });
+            }
+            // The impact point itself may sit inside the surface it hit
+            if (!open && head > 0) continue;
+            const neighbours = [[cx, cy - 1], [cx - 1, cy], [cx + 1, cy], [cx, cy + 1]];
+            for (const [nx, ny] of neighbours) {
+                if (ny < 0 || ny >= this.height) continue;
+                const wrappedX = wrapHorizontal(nx, this.width) | 0;
+                const key = ny * this.width + wrappedX;
+                if (visited.has(key)) continue;
+                visited.add(key);
+                queue.push([wrappedX, ny]);
+            }
+        }
+
+        this.queuePendingFluids(fluids);
+        return fluids.length;
+    }
+
     spawnPendingFluids(forceImmediate = false) {
         if (this.pendingFluidCount === 0) return;
         if (!forceImmediate && this.tick === this.lastFluidSpawnTick) return;
@@ -792,6 +953,7 @@ class GameEngine {
         const total = this.activeSandLookup.length;
         if (total === 0) {
             this.sandAdaptiveCursor = 0;
+            this.gasAdaptiveCursor = 0;
             this.liquidBlobCache.clear();
             return;
         }
@@ -842,6 +1004,12 @@ class GameEngine {
 
             if (!computeActive) {
                 sand.lastBlobId = -1;
+                if (sand.isGas) {
+                    // Gas that drifts out of the compute range keeps thinning so it can't hang in the sky forever
+                    sand.life -= dtStep;
+                    if (sand.life <= 0) sand.dead = true;
+                    continue;
+                }
                 sand.restTime = Math.min(sand.restTime + dtStep * 0.25, sand.settleDelay);
                 sand.nextUpdateTick = Math.max(sand.nextUpdateTick, tick + 20);
                 continue;
@@ -965,33 +1133,47 @@ class GameEngine {
         }
 
         const candidates = [];
+        const gasCandidates = [];
         for (let p = 0; p < candidateBuckets.length; p++) {
             const bucket = candidateBuckets[p];
             for (let i = 0; i < bucket.length; i++) {
-                candidates.push(bucket[i]);
+                (bucket[i].isGas ? gasCandidates : candidates).push(bucket[i]);
             }
         }
 
+        this.sandAdaptiveCursor = this.runSandUpdates(candidates, this.maxSandUpdatesPerFrame, this.sandAdaptiveCursor, dt);
+        // Gas has its own budget so a rising plume can't stall falling sand, or the other way round
+        this.gasAdaptiveCursor = this.runSandUpdates(gasCandidates, this.maxGasUpdatesPerFrame, this.gasAdaptiveCursor, dt);
+
+        this.pruneDeadSand();
+        this.flushDirtySandChunks();
+    }
+
+    /**
+     * Update up to `budget` candidates starting at `cursor`, round-robin; returns where the next frame should start
+     */
+    runSandUpdates(candidates, budget, cursor, dt) {
         const candidateCount = candidates.length;
         if (candidateCount === 0) {
-            this.sandAdaptiveCursor = 0;
-            this.pruneDeadSand();
-            this.flushDirtySandChunks();
-            return;
+            return 0;
         }
 
-        const updates = Math.min(candidateCount, this.maxSandUpdatesPerFrame);
+        const updates = Math.min(candidateCount, budget);
         if (updates === 0) {
-            this.pruneDeadSand();
-            this.flushDirtySandChunks();
-            return;
+            return cursor;
         }
 
-        this.sandAdaptiveCursor %= candidateCount;
+        const occupancy = this.sandOccupancy;
+        const occupancyMap = this.sandOccupancyMap;
+        const tick = this.tick;
+        const chunkSize = this.chunkSize;
+        const totalChunksX = Math.ceil(this.width / chunkSize);
+        const totalChunksY = Math.ceil(this.height / chunkSize);
+        const start = cursor % candidateCount;
         let processed = 0;
 
         while (processed < updates) {
-            const idx = (this.sandAdaptiveCursor + processed) % candidateCount;
+            const idx = (start + processed) % candidateCount;
             const sand = candidates[idx];
             if (!sand.dead) {
                 const prevX = sand.x;
@@ -1018,10 +1200,25 @@ class GameEngine {
             processed++;
         }
 
-        this.sandAdaptiveCursor = (this.sandAdaptiveCursor + updates) % candidateCount;
+        return (start + updates) % candidateCount;
+    }
 
-        this.pruneDeadSand();
-        this.flushDirtySandChunks();
+    /**
+     * Age gas in chunks the sand simulation skips, so plumes that rise away from every mage still clear (server only)
+     */
+    ageDormantGas(elapsed) {
+        const active = new Set(this.activeSandChunkKeys);
+        for (const [key, list] of this.sandChunks) {
+            if (active.has(key)) continue;
+            for (let i = list.length - 1; i >= 0; i--) {
+                const sand = list[i];
+                if (!sand.isGas) continue;
+                sand.life -= elapsed;
+                if (sand.life <= 0) {
+                    this.removeSandParticle(sand);
+                }
+            }
+        }
     }
 
     pruneDeadSand() {
@@ -1147,9 +1344,16 @@ class GameEngine {
                 }
             }
 
+            this.renderFires(ctx, scale);
+            this.renderHill(ctx, scale);
+
             for (const proj of this.projectiles) {
                 proj.render(ctx, scale);
             }
+
+            for (const shield of this.shields) {
+                shield.render(ctx, scale);
+            }
             
             for (const particle of this.particles) {
                 particle.render(ctx, scale);
@@ -1226,6 +1430,273 @@ class GameEngine {
         ctx.fillText(`Chunk: ${chunkKey || '—'} [T ${chunkTerrainAge} | S ${chunkSandAge}]`, 10, 100);
         ctx.fillText(`Terrain Δ: ${terrainAge}`, 10, 120);
         ctx.fillText(`Sand Δ: ${sandAge}`, 10, 140);
+
+        this.renderGameModeStatus(ctx, now);
+        this.renderHazardWarnings(ctx);
+        this.renderSpellBar(ctx);
+
+        if (this.showScoreboard) {
+            this.renderScoreboard(ctx);
+        }
+
+        const localPlayer = this.playerId ? this.players.get(this.playerId) : null;
+        if (localPlayer && !localPlayer.alive && this.canvas) {
+            const centerX = this.canvas.width / 2;
+            const centerY = this.canvas.height / 2;
+            const remaining = Number.isFinite(localPlayer.respawnAt)
+                ? Math.max(0, (localPlayer.respawnAt - now) / 1000)
+                : null;
+
+            ctx.save();
+            ctx.textAlign = 'center';
+            ctx.fillStyle = '#ef4444';
+            ctx.font = '24px monospace';
+            ctx.fillText('You died', centerX, centerY - 16);
+            ctx.fillStyle = '#ffffff';
+            ctx.font = '16px monospace';
+            ctx.fillText(remaining !== null ? `Respawning in ${remaining.toFixed(1)}s` : 'Respawning...', centerX, centerY + 12);
+            ctx.restore();
+        }
+    }
+
+    renderScoreboard(ctx) {
+        if (!this.canvas) return;
+        const entries = Array.isArray(this.scoreboard) ? this.scoreboard.slice() : [];
+        entries.sort((a, b) => (b.kills - a.kills) || (a.deaths - b.deaths) || (b.damage - a.damage));
+
+        const columns = [
+            { label: 'Player', key: 'id', x: 0 },
+            { label: 'K', key: 'kills', x: 220 },
+            { label: 'D', key: 'deaths', x: 270 },
+            { label: 'DMG', key: 'damage', x: 320 },
+            { label: 'Pixels', key: 'pixels', x: 390 },
+            { label: 'Ores', key: 'ores', x: 470 }
+        ];
+        const rowHeight = 20;
+        const panelWidth = 540;
+        const panelHeight = 60 + Math.max(1, entries.length) * rowHeight;
+        const left = Math.floor((this.canvas.width - panelWidth) / 2);
+        const top = Math.max(20, Math.floor((this.canvas.height - panelHeight) / 3));
+
+        ctx.save();
+        ctx.fillStyle = 'rgba(10, 10, 26, 0.85)';
+        ctx.fillRect(left, top, panelWidth, panelHeight);
+        ctx.strokeStyle = '#4ecdc4';
+        ctx.lineWidth = 1;
+        ctx.strokeRect(left + 0.5, top + 0.5, panelWidth - 1, panelHeight - 1);
+
+        ctx.font = '14px monospace';
+        ctx.fillStyle = '#4ecdc4';
+        for (const column of columns) {
+            ctx.fillText(column.label, left + 20 + column.x, top + 28);
+        }
+
+        if (entries.length === 0) {
+            ctx.fillStyle = '#888888';
+            ctx.fillText('No scores yet', left + 20, top + 28 + rowHeight);
+        }
+
+        for (let i = 0; i < entries.length; i++) {
+            const entry = entries[i];
+            const rowY = top + 28 + (i + 1) * rowHeight;
+            ctx.fillStyle = entry.id === this.playerId ? '#ffd93d' : '#ffffff';
+            for (const column of columns) {
+                const value = entry[column.key];
+                ctx.fillText(String(value ?? 0), left + 20 + column.x, rowY);
+            }
+        }
+        ctx.restore();
+    }
+
+    /**
+     * Flicker the burning cells the server last reported, with a tongue of flame above each
+     */
+    renderFires(ctx, scale) {
+        const cells = this.fireCells;
+        if (!Array.isArray(cells) || cells.length === 0) return;
+        const colors = GameEngine.FIRE_COLORS;
+        const frame = Math.floor(this.tick / 4);
+        const previousAlpha = ctx.globalAlpha;
+        for (let i = 0; i + 1 < cells.length; i += 2) {
+            const x = cells[i];
+            const y = cells[i + 1];
+            const flicker = (x * 7 + y * 13 + frame) % colors.length;
+            ctx.globalAlpha = previousAlpha;
+            ctx.fillStyle = colors[flicker];
+            ctx.fillRect(x * scale, y * scale, scale, scale);
+            ctx.globalAlpha = previousAlpha * 0.6;
+            ctx.fillStyle = colors[(flicker + 1) % colors.length];
+            ctx.fillRect(x * scale, (y - 1) * scale, scale, scale);
+        }
+        ctx.globalAlpha = previousAlpha;
+    }
+
+    renderHill(ctx, scale) {
+        const hill = this.gameMode ? this.gameMode.hill : null;
+        if (!hill || !Number.isFinite(hill.x) || !Number.isFinite(hill.y)) return;
+
+        let color = '#ffffff';
+        if (hill.contested) {
+            color = '#ef4444';
+        } else if (hill.holder) {
+            color = this.isLocalScoreKey(hill.holder) ? '#ffd93d' : '#4ecdc4';
+        }
+
+        ctx.save();
+        ctx.strokeStyle = color;
+        ctx.fillStyle = color;
+        ctx.lineWidth = 2;
+        ctx.setLineDash([6, 4]);
+        ctx.beginPath();
+        ctx.arc(hill.x * scale, hill.y * scale, hill.radius * scale, 0, Math.PI * 2);
+        ctx.stroke();
+        ctx.globalAlpha = 0.12;
+        ctx.fill();
+        ctx.restore();
+    }
+
+    renderSpellBar(ctx) {
+        const player = this.playerId ? this.players.get(this.playerId) : null;
+        if (!player || !player.alive || !this.canvas) return;
+
+        const spells = player.spells;
+        const slotSize = 40;
+        const gap = 6;
+        const barWidth = Math.max(200, spells.length * (slotSize + gap) - gap);
+        const left = Math.floor((this.canvas.width - barWidth) / 2);
+        const bottom = this.canvas.height - 16;
+        const slotTop = bottom - slotSize;
+        const manaTop = slotTop - 14;
+        const manaRatio = player.maxMana > 0 ? Math.max(0, Math.min(1, player.mana / player.maxMana)) : 0;
+
+        ctx.save();
+        ctx.fillStyle = 'rgba(10, 10, 26, 0.75)';
+        ctx.fillRect(left, manaTop, barWidth, 8);
+        ctx.fillStyle = '#60a5fa';
+        ctx.fillRect(left, manaTop, barWidth * manaRatio, 8);
+        ctx.font = '10px monospace';
+        ctx.textAlign = 'center';
+        ctx.fillStyle = '#ffffff';
+        ctx.fillText(`${Math.floor(player.mana)} / ${player.maxMana}`, left + barWidth / 2, manaTop - 3);
+
+        // Breath only shows while it is being used up or refilling
+        if (player.maxBreath > 0 && player.breath < player.maxBreath) {
+            const breathTop = manaTop - 26;
+            const breathRatio = Math.max(0, Math.min(1, player.breath / player.maxBreath));
+            ctx.fillStyle = 'rgba(10, 10, 26, 0.75)';
+            ctx.fillRect(left, breathTop, barWidth, 6);
+            ctx.fillStyle = breathRatio > 0 ? '#a5f3fc' : '#ef4444';
+            ctx.fillRect(left, breathTop, barWidth * breathRatio, 6);
+            ctx.fillStyle = '#ffffff';
+            ctx.fillText('BREATH', left + barWidth / 2, breathTop - 3);
+        }
+
+        const slotsLeft = left + Math.floor((barWidth - (spells.length * (slotSize + gap) - gap)) / 2);
+        for (let i = 0; i < spells.length; i++) {
+            const spell = typeof spellRegistry !== 'undefined' && spellRegistry ? spellRegistry.get(spells[i]) : null;
+            if (!spell) continue;
+            const x = slotsLeft + i * (slotSize + gap);
+            const remaining = player.getSpellCooldown(spell.id);
+            const affordable = player.mana >= spell.manaCost;
+
+            ctx.fillStyle = 'rgba(10, 10, 26, 0.85)';
+            ctx.fillRect(x, slotTop, slotSize, slotSize);
+            ctx.globalAlpha = affordable ? 1 : 0.35;
+            ctx.fillStyle = spell.color;
+            ctx.fillRect(x + 4, slotTop + 4, slotSize - 8, slotSize - 8);
+            ctx.globalAlpha = 1;
+
+            // Cooldown sweep drains from the top
+            if (remaining > 0 && spell.cooldown > 0) {
+                const ratio = Math.min(1, remaining / spell.cooldown);
+                ctx.fillStyle = 'rgba(0, 0, 0, 0.6)';
+                ctx.fillRect(x, slotTop, slotSize, slotSize * ratio);
+            }
+
+            ctx.strokeStyle = i === player.selectedSpell ? '#ffd93d' : '#4b5563';
+            ctx.lineWidth = i === player.selectedSpell ? 2 : 1;
+            ctx.strokeRect(x + 0.5, slotTop + 0.5, slotSize - 1, slotSize - 1);
+
+            ctx.fillStyle = '#ffffff';
+            ctx.textAlign = 'left';
+            ctx.fillText((spellRegistry.getHotkey(i) || '').toUpperCase(), x + 3, slotTop + 11);
+            ctx.textAlign = 'right';
+            ctx.fillText(String(spell.manaCost), x + slotSize - 3, slotTop + slotSize - 4);
+        }
+        ctx.restore();
+    }
+
+    renderHazardWarnings(ctx) {
+        const player = this.playerId ? this.players.get(this.playerId) : null;
+        if (!player || !player.alive || !this.canvas) return;
+
+        // Red edges while standing in lava, green in acid, darker blue as breath runs out
+        const lava = Math.max(0, Math.min(1, player.lastLavaCoverage || 0));
+        const acid = Math.max(0, Math.min(1, player.lastAcidCoverage || 0));
+        const suffocation = player.maxBreath > 0 && (player.headSubmerged || player.buried)
+            ? 1 - Math.max(0, Math.min(1, player.breath / player.maxBreath))
+            : 0;
+        if (lava <= 0 && acid <= 0 && suffocation <= 0) return;
+
+        ctx.save();
+        ctx.lineWidth = 24;
+        if (lava > 0) {
+            ctx.strokeStyle = `rgba(239, 68, 68, ${(0.25 + 0.35 * lava).toFixed(3)})`;
+            ctx.strokeRect(0, 0, this.canvas.width, this.canvas.height);
+        }
+        if (acid > 0) {
+            ctx.strokeStyle = `rgba(132, 204, 22, ${(0.25 + 0.35 * acid).toFixed(3)})`;
+            ctx.strokeRect(0, 0, this.canvas.width, this.canvas.height);
+        }
+        if (suffocation > 0) {
+            ctx.strokeStyle = `rgba(30, 58, 138, ${(0.5 * suffocation).toFixed(3)})`;
+            ctx.strokeRect(0, 0, this.canvas.width, this.canvas.height);
+        }
+        ctx.restore();
+    }
+
+    isLocalScoreKey(key) {
+        if (!key || !this.playerId) return false;
+        if (key === this.playerId) return true;
+        const localPlayer = this.players.get(this.playerId);
+        return !!(localPlayer && localPlayer.team && localPlayer.team === key);
+    }
+
+    renderGameModeStatus(ctx, now = Date.now()) {
+        const mode = this.gameMode;
+        if (!mode || !this.canvas) return;
+
+        const elapsed = Number.isFinite(mode.receivedAt) ? now - mode.receivedAt : 0;
+        const remaining = Number.isFinite(mode.timeRemaining)
+            ? Math.max(0, Math.ceil((mode.timeRemaining - elapsed) / 1000))
+            : null;
+        const clock = remaining !== null
+            ? `${Math.floor(remaining / 60)}:${String(remaining % 60).padStart(2, '0')}`
+            : '—';
+
+        const scores = Array.isArray(mode.scores) ? mode.scores.slice() : [];
+        scores.sort((a, b) => b.score - a.score);
+        const leader = scores.length ? `${scores[0].id} ${scores[0].score}/${mode.scoreLimit}` : 'no score';
+
+        const centerX = this.canvas.width / 2;
+        ctx.save();
+        ctx.textAlign = 'center';
+        ctx.font = '14px monospace';
+        ctx.fillStyle = '#ffffff';
+        ctx.fillText(`${mode.label || mode.mode} · Round ${mode.round} · ${clock} · ${leader}`, centerX, 20);
+
+        if (mode.phase === 'intermission') {
+            const winner = mode.winner && mode.winner.id
+                ? (this.isLocalScoreKey(mode.winner.id) ? 'You win!' : `${mode.winner.id} wins`)
+                : 'Draw';
+            ctx.font = '24px monospace';
+            ctx.fillStyle = '#ffd93d';
+            ctx.fillText(winner, centerX, 60);
+            ctx.font = '14px monospace';
+            ctx.fillStyle = '#ffffff';
+            ctx.fillText(`Next round in ${clock}`, centerX, 82);
+        }
+        ctx.restore();
     }
 
     getLocalSandCount() {
@@ -1363,6 +1834,9 @@ class GameEngine {
             if (options.serverId) {
                 proj.serverId = options.serverId;
             }
+            if (options.charge > 0) {
+                proj.applyCharge(options.charge);
+            }
         }
         this.projectiles.push(proj);
         if (typeof this.onProjectileSpawn === 'function') {
@@ -1371,21 +1845,117 @@ class GameEngine {
         return proj;
     }
 
-    destroyTerrain(x, y, radius, explosive = false, broadcast = true) {
+    /**
+     * Raise (or replace) a mage's ward; online clients leave this to the server and pick it up from state broadcasts
+     */
+    raiseShield(player, spell) {
+        if (!player || !spell || !spell.shield || typeof Shield === 'undefined') return null;
+        const isOnline = this.network && this.network.connected;
+        if (!this.isServer && isOnline) return null;
+
+        const shield = new Shield(player.id, player.x + player.width / 2, player.y + player.height / 2, {
+            ...spell.shield,
+            color: spell.color
+        });
+        this.shields = this.shields.filter((existing) => existing.ownerId !== player.id);
+        this.shields.push(shield);
+        return shield;
+    }
+
+    damagePlayer(player, amount, sourceId = null) {
+        if (!player || !player.alive || !(amount > 0)) return 0;
+        const applied = player.takeDamage(amount, sourceId);
+        if (applied > 0 && typeof this.onPlayerDamage === 'function') {
+            this.onPlayerDamage({
+                playerId: player.id,
+                sourceId,
+                amount: applied,
+                killed: !player.alive
+            });
+        }
+        return applied;
+    }
+
+    /**
+     * Visit every live sand or liquid particle filed under the chunks a box overlaps; x wraps around the world
+     */
+    forEachSandInBox(left, top, right, bottom, visit) {
+        const chunkSize = this.chunkSize;
+        const totalChunksX = Math.ceil(this.width / chunkSize);
+        const maxChunkY = Math.ceil(this.height / chunkSize) - 1;
+        const firstChunkY = Math.max(0, Math.floor(top / chunkSize));
+        const lastChunkY = Math.min(maxChunkY, Math.floor(bottom / chunkSize));
+        for (let cy = firstChunkY; cy <= lastChunkY; cy++) {
+            for (let cx = Math.floor(left / chunkSize); cx <= Math.floor(right / chunkSize); cx++) {
+                const list = this.sandChunks.get(`${((cx % totalChunksX) + totalChunksX) % totalChunksX}|${cy}`);
+                if (!list) continue;
+                for (let i = 0; i < list.length; i++) {
+                    if (!list[i].dead) visit(list[i]);
+                }
+            }
+        }
+    }
+
+    /**
+     * Grains still falling through a mage's head and shoulders wear down their health (server only)
+     */
+    applySandCrush() {
+        if (!this.isServer || !(this.sandCrushDamage > 0)) return;
+
+        for (const player of this.playerList) {
+            if (!player || !player.alive) continue;
+            const left = Math.floor(player.x);
+            const right = Math.floor(player.x + player.width - 0.001);
+            const top = Math.floor(player.y) - 1;
+            const bottom = Math.floor(player.y + player.height * 0.5);
+            const span = right - left;
+
+            let weight = 0;
+            this.forEachSandInBox(left, top, right, bottom, (sand) => {
+                // Only grains that moved this tick count; resting sand, liquids and gases are harmless
+                if (sand.isLiquid || sand.isGas || sand.restTime > 0) return;
+                if (sand.y < top || sand.y > bottom) return;
+                const dx = shortestWrappedDelta(sand.x, left, this.width);
+                if (dx < 0 || dx > span) return;
+                weight += sand.mass;
+            });
+
+            if (weight <= 0) {
+                player.crushDamage = 0;
+                continue;
+            }
+            player.crushDamage = (player.crushDamage || 0) + weight * this.sandCrushDamage;
+            if (player.crushDamage >= 1) {
+                const amount = Math.floor(player.crushDamage);
+                player.crushDamage -= amount;
+                this.damagePlayer(player, amount, null);
+            }
+        }
+    }
+
+    canDamagePlayer(sourceId, player) {
+        if (!player) return false;
+        if (this.friendlyFire || !sourceId || sourceId === player.id) return true;
+        const source = this.players.get(sourceId);
+        if (!source || !source.team || !player.team) return true;
+        return source.team !== player.team;
+    }
+
+    destroyTerrain(x, y, radius, explosive = false, broadcast = true, sourceId = null) {
         const wrappedX = wrapHorizontal(x, this.width);
 
         if (!this.isServer && broadcast) {
             if (typeof this.onTerrainDestruction === 'function') {
-                this.onTerrainDestruction({ x: wrappedX, y, radius, explosive, broadcast });
+                this.onTerrainDestruction({ x: wrappedX, y, radius, explosive, broadcast, sourceId });
             }
             return [];
         }
 
         const skipChunkProcessing = !this.isServer && !broadcast;
-        const stats = skipChunkProcessing ? { destroyed: 0 } : null;
+        const stats = { destroyed: 0, oresExposed: 0 };
         const terrainOptions = skipChunkProcessing
             ? { skipChunkProcessing: true, stats }
-            : undefined;
+            : { stats };
 
         const affectedSandChunks = skipChunkProcessing ? null : new Set();
         const chunks = this.terrain.destroy(wrappedX, y, radius, terrainOptions);
@@ -1410,7 +1980,16 @@ class GameEngine {
         }
 
         if (typeof this.onTerrainDestruction === 'function') {
-            this.onTerrainDestruction({ x: wrappedX, y, radius, explosive, broadcast });
+            this.onTerrainDestruction({
+                x: wrappedX,
+                y,
+                radius,
+                explosive,
+                broadcast,
+                sourceId,
+                destroyed: stats.destroyed,
+                oresExposed: stats.oresExposed
+            });
         }
 
         if (affectedSandChunks && affectedSandChunks.size > 0) {
@@ -1420,6 +1999,995 @@ class GameEngine {
         return chunks;
     }
 
+    /**
+     * Clamp a requested wall/bridge to sane dimensions and a buildable material (no liquids, ores or bedrock)
+     */
+    normalizeBuildSpec(spec) {
+        if (!spec || typeof spec !== 'object' || !this.terrain) return null;
+        const terrain = this.terrain;
+        const material = typeof spec.material === 'number' ? spec.material : terrain.getMaterialByName(spec.material);
+        const props = material !== null ? terrain.substances[material] : null;
+        if (!props || props.ore || material === terrain.BEDROCK) return null;
+        if (props.type !== 'solid' && props.type !== 'granular') return null;
+        const clamp = (value, fallback, min, max) => (
+            Number.isFinite(value) ? Math.max(min, Math.min(max, Math.floor(value))) : fallback
+        );
+        return {
+            shape: spec.shape === 'bridge' ? 'bridge' : 'wall',
+            material,
+            length: clamp(spec.length, 24, 1, 64),
+            thickness: clamp(spec.thickness, 3, 1, 8),
+            direction: spec.direction < 0 ? -1 : 1
+        };
+    }
+
+    isCellInsidePlayer(x, y, margin = 1) {
+        for (const player of this.playerList) {
+            if (!player || !player.alive) continue;
+            const dx = shortestWrappedDelta(x, player.x, this.width);
+            if (dx < -margin || dx >= player.width + margin) continue;
+            if (y >= player.y - margin && y < player.y + player.height + margin) {
+                return true;
+            }
+        }
+        return false;
+    }
+
+    /**
+     * Raise a wall or bridge (server only); clients receive the placed cells as a terrain modification
+     */
+    buildTerrain(x, y, spec, sourceId = null) {
+        if (!this.isServer) return 0;
+        const build = this.normalizeBuildSpec(spec);
+        if (!build) return 0;
+        const wrappedX = wrapHorizontal(x, this.width);
+
+        // The entity worker has no sand simulation, so it hands the build to the simulation thread
+        if (typeof this.onBuildTerrain === 'function') {
+            this.onBuildTerrain({ x: wrappedX, y, build, sourceId });
+            return 0;
+        }
+
+        // Never seal a mage (or loose sand) inside the new terrain
+        const cells = [];
+        const placed = this.terrain.build(wrappedX, y, build, {
+            canPlace: (px, py) => !this.isCellInsidePlayer(px, py) && !this.findSandParticleAt(px, py),
+            cells
+        });
+
+        if (placed > 0 && typeof this.onTerrainBuild === 'function') {
+            this.onTerrainBuild({ x: wrappedX, y, sourceId, cells, material: build.material });
+        }
+
+        return placed;
+    }
+
+    /**
+     * Wear down terrain under a drilling beam; a cell gives way once its accumulated wear reaches its durability
+     */
+    drillTerrain(x, y, radius, power, sourceId = null) {
+        if (!this.isServer || !this.terrain || !(power > 0) || !(radius > 0)) return 0;
+
+        // The entity worker hands drilling to the simulation thread, which owns the wear map
+        if (typeof this.onDrillTerrain === 'function') {
+            this.onDrillTerrain({ x, y, radius, power, sourceId });
+            return 0;
+        }
+
+        // One drill step per caster per tick, however many times their update runs
+        if (sourceId !== null) {
+            if (this.drillTicks.get(sourceId) === this.tick) return 0;
+            this.drillTicks.set(sourceId, this.tick);
+        }
+
+        const terrain = this.terrain;
+        const centerX = Math.floor(wrapHorizontal(x, this.width));
+        const centerY = Math.floor(y);
+        const extent = Math.ceil(radius);
+        const radiusSq = radius * radius;
+        const cells = [];
+        let oresExposed = 0;
+        for (let dy = -extent; dy <= extent; dy++) {
+            const cy = centerY + dy;
+            if (cy < 0 || cy >= this.height) continue;
+            for (let dx = -extent; dx <= extent; dx++) {
+                if (dx * dx + dy * dy > radiusSq) continue;
+                const cx = wrapHorizontal(centerX + dx, this.width) | 0;
+                const material = terrain.getPixel(cx, cy);
+                if (material === terrain.EMPTY) continue;
+                const props = terrain.substances[material];
+                // Liquids have no durability, but they flow rather than being drilled away
+                if (!props || props.type === 'liquid' || !Number.isFinite(props.durability)) continue;
+
+                const key = cy * this.width + cx;
+                const wear = (this.drillWear.get(key) || 0) + power;
+                if (wear < props.durability) {
+                    this.drillWear.set(key, wear);
+                    continue;
+                }
+                this.drillWear.delete(key);
+                terrain.setPixel(cx, cy, terrain.EMPTY);
+                terrain.markDirty(cx, cy);
+                cells.push(cx, cy);
+                if (terrain.isOreMaterial(material)) {
+                    oresExposed++;
+                }
+            }
+        }
+
+        // Abandoned half-drilled cells are forgotten oldest first
+        if (this.drillWear.size > this.maxDrillWearEntries) {
+            let excess = this.drillWear.size - this.maxDrillWearEntries;
+            for (const key of this.drillWear.keys()) {
+                if (excess-- <= 0) break;
+                this.drillWear.delete(key);
+            }
+        }
+
+        if (cells.length === 0) return 0;
+        const destroyed = cells.length / 2;
+        if (typeof this.onTerrainDrill === 'function') {
+            this.onTerrainDrill({ x: centerX, y: centerY, sourceId, cells, destroyed, oresExposed });
+        }
+        return destroyed;
+    }
+
+    /**
+     * Set each x, y, material triple (element reactions replayed on clients)
+     */
+    paintTerrainCells(cells) {
+        if (!Array.isArray(cells) || !this.terrain) return 0;
+        const terrain = this.terrain;
+        let painted = 0;
+        for (let i = 0; i + 2 < cells.length; i += 3) {
+            const x = cells[i];
+            const y = cells[i + 1];
+            const material = cells[i + 2];
+            if (!Number.isInteger(x) || !Number.isInteger(y) || !Number.isInteger(material)) continue;
+            if (terrain.getPixel(x, y) === material) continue;
+            terrain.setPixel(x, y, material);
+            terrain.markDirty(x, y);
+            painted++;
+        }
+        return painted;
+    }
+
+    /**
+     * Replay cells changed on the server, given as flat [x0, y0, x1, y1, ...] pairs, with one material
+     */
+    setTerrainCells(cells, material) {
+        if (!Array.isArray(cells) || !this.terrain) return 0;
+        const terrain = this.terrain;
+        if (!Number.isInteger(material) || !terrain.substances[material]) return 0;
+        let changed = 0;
+        for (let i = 0; i + 1 < cells.length; i += 2) {
+            const x = cells[i];
+            const y = cells[i + 1];
+            if (!Number.isInteger(x) || !Number.isInteger(y)) continue;
+            if (terrain.getPixel(x, y) === material) continue;
+            terrain.setPixel(x, y, material);
+            terrain.markDirty(x, y);
+            changed++;
+        }
+        return changed;
+    }
+
+    /**
+     * Pull loose sand and liquid one cell toward (x, y), nearest grains first (server only)
+     */
+    attractSand(x, y, radius, maxMoves = 200) {
+        if (!this.isServer || !(radius > 0) || !(maxMoves > 0)) return 0;
+
+        // The entity worker hands this to the simulation thread, which owns the sand
+        if (typeof this.onAttractSand === 'function') {
+            this.onAttractSand({ x, y, radius, maxMoves });
+            return 0;
+        }
+
+        const chunkSize = this.chunkSize;
+        const maxChunkY = Math.ceil(this.height / chunkSize) - 1;
+        // Grains already at the centre stay put
+        const candidates = this.collectSandInRadius(x, y, radius).filter((entry) => entry.distSq >= 4);
+        candidates.sort((a, b) => a.distSq - b.distSq);
+
+        const terrain = this.terrain;
+        const tick = this.tick || 0;
+        let moved = 0;
+        for (let i = 0; i < candidates.length && moved < maxMoves; i++) {
+            const { sand, dx, dy } = candidates[i];
+            const stepX = Math.sign(Math.round(dx));
+            const stepY = Math.sign(Math.round(dy));
+            // Try the dominant axis first, then the other one
+            const options = Math.abs(dx) >= Math.abs(dy)
+                ? [[stepX, 0], [0, stepY]]
+                : [[0, stepY], [stepX, 0]];
+            for (const [ox, oy] of options) {
+                if (ox === 0 && oy === 0) continue;
+                const nx = wrapHorizontal(sand.x + ox, this.width) | 0;
+                const ny = sand.y + oy;
+                if (ny < 0 || ny >= this.height) continue;
+                if (terrain && terrain.getPixel(nx, ny) !== terrain.EMPTY) continue;
+                if (this.findSandParticleAt(nx, ny)) continue;
+
+                const prevChunkKey = sand.chunkKey;
+                sand.x = nx;
+                sand.y = ny;
+                sand.restTime = 0;
+                sand.lastClassifiedTick = -1;
+                sand.nextUpdateTick = Math.min(sand.nextUpdateTick || 0, tick + 1);
+                const newChunkX = Math.floor(nx / chunkSize);
+                const newChunkY = Math.max(0, Math.min(maxChunkY, Math.floor(ny / chunkSize)));
+                if (sand.chunkX !== newChunkX || sand.chunkY !== newChunkY) {
+                    this.moveSandToChunk(sand, newChunkX, newChunkY);
+                } else if (prevChunkKey) {
+                    this.markSandChunkDirty(prevChunkKey);
+                }
+                moved++;
+                break;
+            }
+        }
+        return moved;
+    }
+
+    /**
+     * Live sand and liquid particles within radius of (x, y), with their offset toward the centre
+     */
+    collectSandInRadius(x, y, radius) {
+        const centerX = wrapHorizontal(x, this.width);
+        const radiusSq = radius * radius;
+        const found = [];
+        this.forEachSandInBox(centerX - radius, y - radius, centerX + radius, y + radius, (sand) => {
+            const dx = shortestWrappedDelta(centerX, sand.x, this.width);
+            const dy = y - sand.y;
+            const distSq = dx * dx + dy * dy;
+            if (distSq <= radiusSq) found.push({ sand, dx, dy, distSq });
+        });
+        return found;
+    }
+
+    /**
+     * Take a particle out of the simulation straight away (liquid consumed by a reaction)
+     */
+    removeSandParticle(sand) {
+        if (!sand || sand.dead) return;
+        sand.dead = true;
+        this.removeSandFromChunk(sand);
+        this.returnSandParticleToPool(sand);
+        this.sandParticleCount = Math.max(0, this.sandParticleCount - 1);
+    }
+
+    /**
+     * Liquid material at a cell, counting both static terrain liquid and free liquid particles; null if none
+     */
+    getLiquidAt(x, y) {
+        const terrain = this.terrain;
+        if (!terrain || y < 0 || y >= this.height) return null;
+        const cellX = wrapHorizontal(Math.floor(x), this.width) | 0;
+        const cellY = Math.floor(y);
+        if (terrain.isLiquid(cellX, cellY)) {
+            return terrain.getPixel(cellX, cellY);
+        }
+        if (this.liquidOverlay) {
+            const material = this.liquidOverlay.get(cellY * this.width + cellX);
+            if (material !== undefined) return material;
+        }
+        if (this.sandChunks.size === 0) return null;
+        const sand = this.findSandParticleAt(cellX, cellY);
+        return sand && sand.isLiquid ? sand.material : null;
+    }
+
+    /**
+     * Free liquid particles inside a box, as cell index -> material; the entity worker answers from its overlay instead
+     */
+    collectLiquidParticles(left, top, right, bottom, into = new Map()) {
+        const width = this.width;
+        if (this.liquidOverlay) {
+            for (let y = top; y <= bottom; y++) {
+                for (let x = left; x <= right; x++) {
+                    const index = y * width + (wrapHorizontal(x, width) | 0);
+                    const material = this.liquidOverlay.get(index);
+                    if (material !== undefined) into.set(index, material);
+                }
+            }
+        }
+        if (this.sandChunks.size === 0) return into;
+
+        const span = right - left;
+        this.forEachSandInBox(left, top, right, bottom, (sand) => {
+            if (!sand.isLiquid || sand.y < top || sand.y > bottom) return;
+            const dx = shortestWrappedDelta(sand.x, left, width);
+            if (dx < 0 || dx > span) return;
+            into.set(sand.y * width + (wrapHorizontal(sand.x, width) | 0), sand.material);
+        });
+        return into;
+    }
+
+    /**
+     * Flat x, y, material triples of the free liquid around each live mage, for the entity worker's overlay
+     */
+    serializeLiquidsNearPlayers() {
+        const cells = new Map();
+        for (const player of this.playerList) {
+            if (!player || !player.alive) continue;
+            const left = Math.floor(player.x) - 2;
+            const top = Math.floor(player.y) - 2;
+            this.collectLiquidParticles(left, top, left + Math.ceil(player.width) + 3, top + Math.ceil(player.height) + 3, cells);
+        }
+        const result = [];
+        for (const [index, material] of cells) {
+            result.push(index % this.width, Math.floor(index / this.width), material);
+        }
+        return result;
+    }
+
+    setLiquidOverlay(cells) {
+        if (!Array.isArray(cells) || cells.length === 0) {
+            this.liquidOverlay = null;
+            return;
+        }
+        const overlay = new Map();
+        for (let i = 0; i + 2 < cells.length; i += 3) {
+            overlay.set(cells[i + 1] * this.width + cells[i], cells[i + 2]);
+        }
+        this.liquidOverlay = overlay;
+    }
+
+    /**
+     * Let an element react with the water and ice around (x, y) (server only):
+     * ice freezes water, fire melts ice and boils water off as steam under a puff of smoke, lightning electrifies the connected water body
+     */
+    reactToElement(x, y, element, radius, power = 0, sourceId = null, replay = null) {
+        if (!this.isServer || !this.terrain || !(radius > 0)) return 0;
+
+        const terrain = this.terrain;
+        // Cells the entity worker already changed; drop any a later blast has since cleared
+        const cells = [];
+        if (replay && Array.isArray(replay.cells)) {
+            for (let i = 0; i + 2 < replay.cells.length; i += 3) {
+                if (terrain.getPixel(replay.cells[i], replay.cells[i + 1]) !== replay.cells[i + 2]) continue;
+                cells.push(replay.cells[i], replay.cells[i + 1], replay.cells[i + 2]);
+            }
+        }
+        const melted = replay && Array.isArray(replay.melted) ? replay.melted.slice() : [];
+        const shocked = new Set(replay && Array.isArray(replay.shocked) ? replay.shocked : []);
+        const gases = replay && Array.isArray(replay.gases) ? replay.gases.slice() : [];
+
+        switch (element) {
+            case 'ice':
+                this.freezeWater(x, y, radius, cells);
+                break;
+            case 'fire':
+                this.boilWater(x, y, radius, cells, melted, gases);
+                // The worker already added the smoke to a replayed reaction
+                if (!replay) {
+                    this.releaseSmoke(x, y, radius, gases);
+                }
+                break;
+            case 'lightning':
+                this.electrifyWater(x, y, radius, power, sourceId, shocked);
+                break;
+            default:
+                return 0;
+        }
+
+        // The entity worker changes its own pixels straight away, before the projectile's blast lands,
+        // and hands the liquid particles, meltwater and broadcast to the simulation thread
+        if (typeof this.onElementReaction === 'function') {
+            this.onElementReaction({ x, y, element, radius, power, sourceId, cells, melted, shocked: Array.from(shocked), gases });
+            return cells.length / 3 + shocked.size;
+        }
+
+        // Meltwater rejoins the fluid simulation instead of hanging in the air as static pixels
+        if (melted.length) {
+            this.spawnSandFromPixels({ pixels: melted }, Math.floor(x), Math.floor(y), false);
+        }
+        for (let i = 0; i + 2 < gases.length; i += 3) {
+            this.spawnGas(gases[i], gases[i + 1], gases[i + 2]);
+        }
+        if (cells.length && typeof this.onTerrainReaction === 'function') {
+            this.onTerrainReaction({ x, y, element, sourceId, cells });
+        }
+        return cells.length / 3 + shocked.size;
+    }
+
+    /**
+     * Turn water pixels and water particles within radius into ice, appending changed cells to `cells` as x, y, material triples
+     */
+    freezeWater(x, y, radius, cells) {
+        const terrain = this.terrain;
+        const centerX = Math.floor(x);
+        const centerY = Math.floor(y);
+        const r = Math.ceil(radius);
+        for (let dy = -r; dy <= r; dy++) {
+            const cy = centerY + dy;
+            if (cy < 0 || cy >= this.height) continue;
+            for (let dx = -r; dx <= r; dx++) {
+                if (dx * dx + dy * dy > radius * radius) continue;
+                const cx = wrapHorizontal(centerX + dx, this.width) | 0;
+                if (terrain.getPixel(cx, cy) !== terrain.WATER) continue;
+                terrain.setPixel(cx, cy, terrain.ICE);
+                terrain.markDirty(cx, cy);
+                cells.push(cx, cy, terrain.ICE);
+            }
+        }
+
+        // Free water freezes where it is and becomes part of the terrain
+        for (const { sand } of this.collectSandInRadius(x, y, radius)) {
+            if (sand.material !== terrain.WATER) continue;
+            const cx = wrapHorizontal(sand.x, this.width) | 0;
+            const cy = sand.y;
+            this.removeSandParticle(sand);
+            if (terrain.getPixel(cx, cy) !== terrain.EMPTY) continue;
+            terrain.setPixel(cx, cy, terrain.ICE);
+            terrain.markDirty(cx, cy);
+            cells.push(cx, cy, terrain.ICE);
+        }
+    }
+
+    /**
+     * Boil away water within radius and melt ice, appending cleared cells to `cells`, meltwater pixels to `melted` and steam to `gases`
+     */
+    boilWater(x, y, radius, cells, melted, gases) {
+        const terrain = this.terrain;
+        const steam = [];
+
+        // Loose water boils off and loose chunks of ice melt
+        for (const { sand } of this.collectSandInRadius(x, y, radius)) {
+            if (sand.material === terrain.WATER) {
+                steam.push(wrapHorizontal(sand.x, this.width) | 0, sand.y, terrain.STEAM);
+                this.removeSandParticle(sand);
+            } else if (sand.material === terrain.ICE) {
+                melted.push({ x: wrapHorizontal(sand.x, this.width) | 0, y: sand.y, material: terrain.WATER });
+                this.removeSandParticle(sand);
+            }
+        }
+
+        const centerX = Math.floor(x);
+        const centerY = Math.floor(y);
+        const r = Math.ceil(radius);
+        for (let dy = -r; dy <= r; dy++) {
+            const cy = centerY + dy;
+            if (cy < 0 || cy >= this.height) continue;
+            for (let dx = -r; dx <= r; dx++) {
+                if (dx * dx + dy * dy > radius * radius) continue;
+                const cx = wrapHorizontal(centerX + dx, this.width) | 0;
+                const material = terrain.getPixel(cx, cy);
+                if (material !== terrain.WATER && material !== terrain.ICE) continue;
+                terrain.setPixel(cx, cy, terrain.EMPTY);
+                terrain.markDirty(cx, cy);
+                cells.push(cx, cy, terrain.EMPTY);
+                if (material === terrain.ICE) {
+                    melted.push({ x: cx, y: cy, material: terrain.WATER });
+                } else {
+                    steam.push(cx, cy, terrain.STEAM);
+                }
+            }
+        }
+
+        // Boiling a whole lake at once would flood the sand budget, so only an even sample turns to steam
+        gases.push(...this.sampleCells(steam, this.maxReactionGas));
+    }
+
+    /**
+     * Add a puff of smoke over a fire's blast to `gases` as x, y, material triples
+     */
+    releaseSmoke(x, y, radius, gases) {
+        const terrain = this.terrain;
+        const rng = this.random;
+        const spread = Math.max(1, radius / 2);
+        const count = Math.ceil(radius);
+        for (let i = 0; i < count; i++) {
+            const angle = Math.PI + (rng ? rng.nextFloat() : Math.random()) * Math.PI;
+            const distance = (rng ? rng.nextFloat() : Math.random()) * spread;
+            const cx = wrapHorizontal(Math.floor(x + Math.cos(angle) * distance), this.width) | 0;
+            const cy = Math.floor(y + Math.sin(angle) * distance);
+            if (cy < 0 || cy >= this.height || terrain.getPixel(cx, cy) !== terrain.EMPTY) continue;
+            gases.push(cx, cy, terrain.SMOKE);
+        }
+    }
+
+    /**
+     * Evenly thin a flat list of x, y, material triples down to at most `max` entries
+     */
+    sampleCells(cells, max) {
+        const total = Math.floor(cells.length / 3);
+        if (total <= max) return cells;
+        const sampled = [];
+        const step = total / max;
+        for (let i = 0; i < max; i++) {
+            const index = Math.floor(i * step) * 3;
+            sampled.push(cells[index], cells[index + 1], cells[index + 2]);
+        }
+        return sampled;
+    }
+
+    /**
+     * Send a charge through the body of water nearest (x, y) and hurt every mage standing in it once, adding their ids to `shocked`
+     */
+    electrifyWater(x, y, radius, power, sourceId, shocked) {
+        const terrain = this.terrain;
+        const width = this.width;
+
+        // Free water particles near the strike, indexed by cell
+        const waterParticles = new Set();
+        for (const { sand } of this.collectSandInRadius(x, y, this.maxShockRadius + radius)) {
+            if (sand.material === terrain.WATER) {
+                waterParticles.add(sand.y * width + (wrapHorizontal(sand.x, width) | 0));
+            }
+        }
+        const isWater = (cx, cy) => terrain.getPixel(cx, cy) === terrain.WATER || waterParticles.has(cy * width + cx);
+
+        // The strike has to land in or next to water to conduct at all
+        let seed = null;
+        let seedDistSq = Infinity;
+        const centerX = Math.floor(x);
+        const centerY = Math.floor(y);
+        const r = Math.ceil(radius);
+        for (let dy = -r; dy <= r; dy++) {
+            const cy = centerY + dy;
+            if (cy < 0 || cy >= this.height) continue;
+            for (let dx = -r; dx <= r; dx++) {
+                const distSq = dx * dx + dy * dy;
+                if (distSq > radius * radius || distSq >= seedDistSq) continue;
+                const cx = wrapHorizontal(centerX + dx, width) | 0;
+                if (!isWater(cx, cy)) continue;
+                seed = [cx, cy];
+                seedDistSq = distSq;
+            }
+        }
+        if (!seed) return;
+
+        // Flood through connected water, bounded so a strike on the ocean stays affordable
+        const charged = new Set([seed[1] * width + seed[0]]);
+        const queue = [seed];
+        const maxRadiusSq = this.maxShockRadius * this.maxShockRadius;
+        for (let head = 0; head < queue.length && charged.size < this.maxShockCells; head++) {
+            const [cx, cy] = queue[head];
+            const neighbours = [[cx, cy - 1], [cx - 1, cy], [cx + 1, cy], [cx, cy + 1]];
+            for (const [nx, ny] of neighbours) {
+                if (ny < 0 || ny >= this.height) continue;
+                const wrappedX = wrapHorizontal(nx, width) | 0;
+                const key = ny * width + wrappedX;
+                if (charged.has(key) || !isWater(wrappedX, ny)) continue;
+                const ox = shortestWrappedDelta(wrappedX, seed[0], width);
+                const oy = ny - seed[1];
+                if (ox * ox + oy * oy > maxRadiusSq) continue;
+                charged.add(key);
+                queue.push([wrappedX, ny]);
+            }
+        }
+
+        // Bulk water the sand simulation grouped into one blob conducts as a whole
+        const seedBlob = this.getLiquidBlobAt(seed[0], seed[1]);
+        const damage = Math.max(1, Math.round(power * this.shockDamageFactor));
+        for (const player of this.playerList) {
+            if (!player || !player.alive || shocked.has(player.id) || !this.canDamagePlayer(sourceId, player)) continue;
+            let submerged = false;
+            const left = Math.floor(player.x);
+            const top = Math.floor(player.y);
+            for (let py = top; py < top + player.height && !submerged; py++) {
+                for (let px = left; px < left + player.width; px++) {
+                    if (charged.has(py * width + (wrapHorizontal(px, width) | 0))) {
+                        submerged = true;
+                        break;
+                    }
+                }
+            }
+            if (!submerged && seedBlob && player.lastFluidCoverage > 0) {
+                const blob = this.getLiquidBlobAt(player.x + player.width / 2, player.y + player.height / 2);
+                submerged = !!blob && blob.id === seedBlob.id;
+            }
+            if (!submerged) continue;
+            shocked.add(player.id);
+            this.damagePlayer(player, damage, sourceId);
+        }
+    }
+
+    /**
+     * Set light to every flammable cell within radius of (x, y); returns how many caught (server only)
+     */
+    ignite(x, y, radius) {
+        if (!this.isServer || !this.terrain || !(radius > 0)) return 0;
+
+        // The entity worker hands this to the simulation thread, which runs the fire
+        if (typeof this.onIgnite === 'function') {
+            this.onIgnite({ x, y, radius });
+            return 0;
+        }
+
+        const centerX = Math.floor(x);
+        const centerY = Math.floor(y);
+        const r = Math.ceil(radius);
+        const particles = this.collectFlammableSand();
+        let lit = 0;
+        for (let dy = -r; dy <= r; dy++) {
+            for (let dx = -r; dx <= r; dx++) {
+                if (dx * dx + dy * dy > radius * radius) continue;
+                if (this.igniteCell(centerX + dx, centerY + dy, particles)) lit++;
+            }
+        }
+        return lit;
+    }
+
+    /**
+     * Start a fire in one cell if it holds something flammable; a burning liquid particle leaves a free-standing flame
+     */
+    igniteCell(x, y, particles = null) {
+        if (y < 0 || y >= this.height || this.fireCellCount >= this.maxFireCells) return false;
+        const terrain = this.terrain;
+        const cellX = wrapHorizontal(x, this.width) | 0;
+        const index = y * this.width + cellX;
+        const chunkKey = `${Math.floor(cellX / this.chunkSize)}|${Math.floor(y / this.chunkSize)}`;
+        let fires = this.fireChunks.get(chunkKey);
+        if (fires && fires.has(index)) return false;
+
+        let material = terrain.getPixel(cellX, y);
+        let props = terrain.substances[material];
+        if (material === terrain.EMPTY) {
+            const sand = particles ? particles.get(index) : this.findSandParticleAt(cellX, y);
+            const sandProps = sand && !sand.dead ? terrain.substances[sand.material] : null;
+            if (!sandProps || !(sandProps.flammability > 0)) return false;
+            props = sandProps;
+            this.removeSandParticle(sand);
+            if (particles) particles.delete(index);
+        } else if (!props || !(props.flammability > 0)) {
+            return false;
+        }
+
+        if (!fires) {
+            fires = new Map();
+            this.fireChunks.set(chunkKey, fires);
+        }
+        const durability = Number.isFinite(props.durability) ? props.durability : 1;
+        fires.set(index, {
+            x: cellX,
+            y,
+            material,
+            life: this.fireBurnTime * Math.max(1, durability)
+        });
+        this.fireCellCount++;
+        return true;
+    }
+
+    /**
+     * Flammable loose particles in the active chunks, keyed by cell index, so spreading fire doesn't search chunk lists
+     */
+    collectFlammableSand() {
+        const particles = new Map();
+        const substances = this.terrain.substances;
+        for (const key of this.activeChunkKeys) {
+            const list = this.sandChunks.get(key);
+            if (!list) continue;
+            for (let i = 0; i < list.length; i++) {
+                const sand = list[i];
+                if (sand.dead) continue;
+                const props = substances[sand.material];
+                if (!props || !(props.flammability > 0)) continue;
+                particles.set(sand.y * this.width + (wrapHorizontal(sand.x, this.width) | 0), sand);
+            }
+        }
+        return particles;
+    }
+
+    extinguishFire(chunkKey, index) {
+        const fires = this.fireChunks.get(chunkKey);
+        if (!fires || !fires.delete(index)) return;
+        this.fireCellCount = Math.max(0, this.fireCellCount - 1);
+        if (fires.size === 0) {
+            this.fireChunks.delete(chunkKey);
+        }
+    }
+
+    /**
+     * One step of the fire automaton over the active chunks (server only): flames spread to flammable
+     * neighbours, give off smoke, go out in water and burn their cell away when their time is up
+     */
+    updateFire(dt) {
+        if (!this.isServer || this.fireCellCount === 0) return;
+        if (this.tick % this.fireStepInterval !== 0) return;
+
+        const terrain = this.terrain;
+        const rng = this.random;
+        const roll = () => (rng ? rng.nextFloat() : Math.random());
+        const elapsed = (dt || this.fixedTimeStep || 16.666) * this.fireStepInterval;
+        const particles = this.collectFlammableSand();
+        const burned = [];
+        const neighbours = GameEngine.FIRE_NEIGHBOURS;
+
+        // Cells lit this step wait for the next one, so the pass doesn't depend on visiting order
+        const burning = [];
+        for (const key of this.activeChunkKeys) {
+            const fires = this.fireChunks.get(key);
+            if (!fires) continue;
+            for (const [index, fire] of fires) {
+                burning.push(key, index, fire);
+            }
+        }
+
+        for (let i = 0; i < burning.length; i += 3) {
+            const key = burning[i];
+            const index = burning[i + 1];
+            const fire = burning[i + 2];
+            const { x, y } = fire;
+
+            // The burning cell was blown away or dug out
+            if (fire.material !== terrain.EMPTY && terrain.getPixel(x, y) !== fire.material) {
+                this.extinguishFire(key, index);
+                continue;
+            }
+
+            let doused = false;
+            for (let n = 0; n < 4 && !doused; n++) {
+                doused = this.getLiquidAt(x + neighbours[n][0], y + neighbours[n][1]) === terrain.WATER;
+            }
+            if (doused) {
+                this.extinguishFire(key, index);
+                if (terrain.STEAM !== undefined) this.spawnGas(x, y - 1, terrain.STEAM);
+                continue;
+            }
+
+            // Flames climb more readily than they creep down
+            for (let n = 0; n < neighbours.length; n++) {
+                const [dx, dy] = neighbours[n];
+                const chance = this.fireSpreadChance * (dy < 0 ? 1.5 : (dy > 0 ? 0.5 : 1));
+                if (roll() >= chance) continue;
+                const nx = wrapHorizontal(x + dx, this.width) | 0;
+                const ny = y + dy;
+                if (ny < 0 || ny >= this.height) continue;
+                const material = terrain.getPixel(nx, ny);
+                const sand = material === terrain.EMPTY ? particles.get(ny * this.width + nx) : null;
+                const props = terrain.substances[sand ? sand.material : material];
+                if (!props || !(props.flammability > 0) || roll() >= props.flammability) continue;
+                this.igniteCell(nx, ny, particles);
+            }
+
+            if (terrain.SMOKE !== undefined && roll() < this.fireSmokeChance) {
+                this.spawnGas(x, y - 1, terrain.SMOKE);
+            }
+
+            fire.life -= elapsed;
+            if (fire.life > 0) continue;
+            this.extinguishFire(key, index);
+            if (fire.material === terrain.EMPTY) continue;
+            const props = terrain.substances[fire.material] || {};
+            const result = typeof props.burnsTo === 'number' ? props.burnsTo : terrain.EMPTY;
+            terrain.setPixel(x, y, result);
+            terrain.markDirty(x, y);
+            burned.push(x, y, result);
+        }
+
+        this.applyFireDamage();
+
+        if (burned.length && typeof this.onTerrainReaction === 'function') {
+            this.onTerrainReaction({ x: burned[0], y: burned[1], element: 'fire', sourceId: null, cells: burned });
+        }
+    }
+
+    /**
+     * Step the heat field over the active chunks (server only): it diffuses and cools, lava and flames give off heat,
+     * and cells past one of their material's transition thresholds may change phase. Chunks outside the active set keep their heat.
+     */
+    updateHeat() {
+        if (!this.isServer || !this.terrain || !this.terrain.heat) return;
+        if (this.tick % this.heatStepInterval !== 0 || !this.activeChunkKeys.length) return;
+
+        const terrain = this.terrain;
+        const heat = terrain.heat;
+        const cellSize = terrain.heatCellSize;
+        const heatWidth = terrain.heatWidth;
+        const heatHeight = terrain.heatHeight;
+        const width = this.width;
+        const chunkSize = this.chunkSize;
+        const substances = terrain.substances;
+        if (!this.heatScratch || this.heatScratch.length !== heat.length) {
+            this.heatScratch = new Float32Array(heat.length);
+        }
+        const next = this.heatScratch;
+
+        const chunks = [];
+        for (const key of this.activeChunkKeys) {
+            const [cx, cy] = key.split('|').map(Number);
+            const x0 = cx * chunkSize;
+            const y0 = cy * chunkSize;
+            if (y0 >= this.height) continue;
+            chunks.push({
+                key,
+                x0,
+                y0,
+                x1: Math.min(width, x0 + chunkSize),
+                y1: Math.min(this.height, y0 + chunkSize),
+                // A chunk simulated for the first time starts at its steady state, so lava lakes don't crust over on arrival
+                scale: this.heatSeededChunks.has(key) ? 1 : 1 / Math.max(0.01, this.heatCooling)
+            });
+        }
+
+        // Diffuse and cool from the old values so the result doesn't depend on visiting order
+        const cells = [];
+        for (const chunk of chunks) {
+            for (let hy = Math.floor(chunk.y0 / cellSize); hy < Math.min(heatHeight, Math.ceil(chunk.y1 / cellSize)); hy++) {
+                for (let hx = Math.floor(chunk.x0 / cellSize); hx < Math.min(heatWidth, Math.ceil(chunk.x1 / cellSize)); hx++) {
+                    const index = hy * heatWidth + hx;
+                    const h = heat[index];
+                    const left = heat[hy * heatWidth + (hx + heatWidth - 1) % heatWidth];
+                    const right = heat[hy * heatWidth + (hx + 1) % heatWidth];
+                    const up = hy > 0 ? heat[index - heatWidth] : h;
+                    const down = hy < heatHeight - 1 ? heat[index + heatWidth] : h;
+                    const mixed = h + this.heatDiffusion * ((left + right + up + down) / 4 - h);
+                    next[index] = mixed * (1 - this.heatCooling);
+                    cells.push(index);
+                }
+            }
+        }
+        for (let i = 0; i < cells.length; i++) {
+            const value = next[cells[i]];
+            heat[cells[i]] = Math.abs(value) < 0.01 ? 0 : value;
+        }
+
+        // Emit, remembering the cells and particles that might change phase once everything has given off its heat
+        const candidates = [];
+        const particles = [];
+        const pixels = terrain.pixels;
+        const empty = terrain.EMPTY;
+        for (const chunk of chunks) {
+            terrain.ensureChunkLoadedForCoordinates(chunk.x0, chunk.y0);
+            for (let y = chunk.y0; y < chunk.y1; y++) {
+                const heatRow = Math.floor(y / cellSize) * heatWidth;
+                for (let x = chunk.x0; x < chunk.x1; x++) {
+                    const material = pixels[y * width + x];
+                    if (material === empty) continue;
+                    const props = substances[material];
+                    if (!props) continue;
+                    if (props.heat) heat[heatRow + Math.floor(x / cellSize)] += props.heat * chunk.scale;
+                    if (props.transitions) candidates.push(y * width + x);
+                }
+            }
+
+            const list = this.sandChunks.get(chunk.key);
+            if (list) {
+                for (let i = 0; i < list.length; i++) {
+                    const sand = list[i];
+                    if (sand.dead) continue;
+                    const props = substances[sand.material];
+                    if (!props) continue;
+                    if (props.heat) terrain.addHeat(sand.x, sand.y, props.heat * chunk.scale);
+                    if (props.transitions) particles.push(sand);
+                }
+            }
+
+            const fires = this.fireChunks.get(chunk.key);
+            if (fires && this.fireHeat) {
+                for (const fire of fires.values()) {
+                    terrain.addHeat(fire.x, fire.y, this.fireHeat * chunk.scale);
+                }
+            }
+            this.heatSeededChunks.add(chunk.key);
+        }
+
+        const rng = this.random;
+        const changed = [];
+        const transitionFor = (props, x, y) => {
+            const h = terrain.getHeat(x, y);
+            for (const transition of props.transitions) {
+                if ((transition.above !== null && h > transition.above) || (transition.below !== null && h < transition.below)) {
+                    return (rng ? rng.nextFloat() : Math.random()) < this.heatTransitionChance ? transition : null;
+                }
+            }
+            return null;
+        };
+        for (let i = 0; i < candidates.length; i++) {
+            const x = candidates[i] % width;
+            const y = (candidates[i] - x) / width;
+            const material = pixels[candidates[i]];
+            const props = substances[material];
+            if (!props || !props.transitions) continue;
+            const transition = transitionFor(props, x, y);
+            if (transition) {
+                this.applyHeatTransition(x, y, transition.becomes, null, changed);
+            }
+        }
+        for (let i = 0; i < particles.length; i++) {
+            const sand = particles[i];
+            if (sand.dead) continue;
+            const props = substances[sand.material];
+            if (!props || !props.transitions) continue;
+            const transition = transitionFor(props, sand.x, sand.y);
+            if (transition) {
+                this.applyHeatTransition(sand.x, sand.y, transition.becomes, sand, changed);
+            }
+        }
+
+        if (changed.length && typeof this.onTerrainReaction === 'function') {
+            this.onTerrainReaction({ x: changed[0], y: changed[1], element: 'heat', sourceId: null, cells: changed });
+        }
+    }
+
+    /**
+     * Turn a terrain cell, or a loose particle when given, into material; gas and loose products become particles.
+     * Terrain cells that changed are appended to `changed` as x, y, material triples.
+     */
+    applyHeatTransition(x, y, material, sand, changed) {
+        const terrain = this.terrain;
+        const props = terrain.substances[material] || {};
+        if (sand) {
+            if (material === terrain.EMPTY) {
+                sand.dead = true;
+            } else if (props.type === 'gas') {
+                sand.vaporize(this, material);
+            } else if (props.type === 'liquid' || props.type === 'granular') {
+                sand.transmute(this, material);
+            } else {
+                this.markSandParticleAsConverted(sand, material);
+                changed.push(wrapHorizontal(sand.x, this.width) | 0, sand.y, material);
+            }
+            return;
+        }
+
+        if (props.type === 'gas') {
+            terrain.setPixel(x, y, terrain.EMPTY);
+            terrain.markDirty(x, y);
+            this.spawnGas(x, y, material);
+            changed.push(x, y, terrain.EMPTY);
+        } else if ((props.type === 'liquid' || props.type === 'granular') && this.spawnFluidParticle({ x, y, material })) {
+            changed.push(x, y, terrain.EMPTY);
+        } else {
+            terrain.setPixel(x, y, material);
+            terrain.markDirty(x, y);
+            changed.push(x, y, material);
+        }
+    }
+
+    /**
+     * Flames hurt any mage whose body, or the ground right under their feet, is burning; nobody is credited, as with lava
+     */
+    applyFireDamage() {
+        if (!(this.fireDamage > 0)) return;
+        const chunkSize = this.chunkSize;
+        const totalChunksX = Math.ceil(this.width / chunkSize);
+        const maxChunkY = Math.ceil(this.height / chunkSize) - 1;
+
+        for (const player of this.playerList) {
+            if (!player || !player.alive) continue;
+            const left = Math.floor(player.x);
+            const right = Math.floor(player.x + player.width - 0.001);
+            const top = Math.floor(player.y);
+            const bottom = Math.floor(player.y + player.height);
+            const span = right - left;
+
+            let burning = false;
+            const firstChunkY = Math.max(0, Math.floor(top / chunkSize));
+            const lastChunkY = Math.min(maxChunkY, Math.floor(bottom / chunkSize));
+            for (let cy = firstChunkY; cy <= lastChunkY && !burning; cy++) {
+                for (let cx = Math.floor(left / chunkSize); cx <= Math.floor(right / chunkSize) && !burning; cx++) {
+                    const fires = this.fireChunks.get(`${((cx % totalChunksX) + totalChunksX) % totalChunksX}|${cy}`);
+                    if (!fires) continue;
+                    for (const fire of fires.values()) {
+                        if (fire.y < top || fire.y > bottom) continue;
+                        const dx = shortestWrappedDelta(fire.x, left, this.width);
+                        if (dx < 0 || dx > span) continue;
+                        burning = true;
+                        break;
+                    }
+                }
+            }
+            if (burning) {
+                this.damagePlayer(player, this.fireDamage, null);
+            }
+        }
+    }
+
+    /**
+     * Burning cells as flat x, y pairs for the state broadcast
+     */
+    serializeFireCells() {
+        const cells = [];
+        for (const fires of this.fireChunks.values()) {
+            for (const fire of fires.values()) {
+                cells.push(fire.x, fire.y);
+            }
+        }
+        return cells;
+    }
+
     spawnSandFromPixels(chunkData, originX, originY, explosive, affectedChunks = null) {
         if (!chunkData || !chunkData.pixels || chunkData.pixels.length === 0) {
             return;
@@ -1663,14 +3231,7 @@ class GameEngine {
                 if (!list || list.length === 0) continue;
                 payload.chunks.push({
                     key,
-                    particles: list.map((p) => ({
-                        x: p.x,
-                        y: p.y,
-                        vx: p.vx,
-                        vy: p.vy,
-                        material: p.material,
-                        color: p.color
-                    }))
+                    particles: list.map((p) => this.serializeSandParticle(p))
                 });
             }
             return payload.chunks.length > 0 ? payload : null;
@@ -1707,14 +3268,7 @@ class GameEngine {
             if (!list || list.length === 0) continue;
             payload.chunks.push({
                 key,
-                particles: list.map((p) => ({
-                    x: p.x,
-                    y: p.y,
-                    vx: p.vx,
-                    vy: p.vy,
-                    material: p.material,
-                    color: p.color
-                }))
+                particles: list.map((p) => this.serializeSandParticle(p))
             });
         }
 
@@ -1807,6 +3361,10 @@ class GameEngine {
             material: particle.material,
             color: particle.color
         };
+        // Clients fade gas out from its remaining life
+        if (particle.isGas) {
+            base.life = Math.round(particle.life);
+        }
         if (includeState) {
             base.restTime = particle.restTime || 0;
             base.settleDelay = particle.settleDelay || 0;
@@ -1873,6 +3431,17 @@ class GameEngine {
             player.update(dt, this);
         }
 
+        // Wards follow their casters, so they move after the players and before any projectile tests them
+        for (let i = this.shields.length - 1; i >= 0; i--) {
+            const shield = this.shields[i];
+            if (shield && !shield.dead) {
+                shield.update(dt, this);
+            }
+            if (!shield || shield.dead) {
+                this.shields.splice(i, 1);
+            }
+        }
+
         const shouldProcessProjectile = (proj) => {
             if (!filter) return true;
             const key = this.getChunkKeyForPosition(proj.x, proj.y);
@@ -1890,13 +3459,96 @@ class GameEngine {
                 this.projectiles.splice(i, 1);
             }
         }
+
+        if (this.isServer && this.resolveProjectileCollisions() > 0) {
+            for (let i = this.projectiles.length - 1; i >= 0; i--) {
+                if (this.projectiles[i].dead) {
+                    this.projectiles.splice(i, 1);
+                }
+            }
+        }
+    }
+
+    /**
+     * Let opposing spells that met this tick collide (server only); returns the number of collisions.
+     * Projectiles are hashed by chunk key and each is tested against its own chunk and the eight around it.
+     */
+    resolveProjectileCollisions() {
+        const projectiles = this.projectiles;
+        if (projectiles.length < 2) return 0;
+
+        const buckets = new Map();
+        for (const proj of projectiles) {
+            if (!proj || proj.dead || proj.pending) continue;
+            const key = this.getChunkKeyForPosition(wrapHorizontal(proj.x, this.width), proj.y);
+            const bucket = buckets.get(key);
+            if (bucket) {
+                bucket.push(proj);
+            } else {
+                buckets.set(key, [proj]);
+            }
+        }
+
+        const chunkSize = this.chunkSize;
+        const totalChunksX = Math.ceil(this.width / chunkSize);
+        const totalChunksY = Math.ceil(this.height / chunkSize);
+        let collisions = 0;
+        for (const proj of projectiles) {
+            if (!proj || proj.dead || proj.pending) continue;
+            const chunkX = Math.floor(wrapHorizontal(proj.x, this.width) / chunkSize);
+            const chunkY = Math.max(0, Math.min(totalChunksY - 1, Math.floor(proj.y / chunkSize)));
+            for (let dy = -1; dy <= 1 && !proj.dead; dy++) {
+                const cy = chunkY + dy;
+                if (cy < 0 || cy >= totalChunksY) continue;
+                for (let dx = -1; dx <= 1 && !proj.dead; dx++) {
+                    const cx = ((chunkX + dx) % totalChunksX + totalChunksX) % totalChunksX;
+                    const bucket = buckets.get(`${cx}|${cy}`);
+                    if (!bucket) continue;
+                    for (const other of bucket) {
+                        if (other === proj || other.dead || !this.projectilesOppose(proj, other)) continue;
+                        if (!this.projectilesMet(proj, other)) continue;
+                        Projectile.resolveCollision(this, proj, other);
+                        collisions++;
+                        break;
+                    }
+                }
+            }
+        }
+        return collisions;
+    }
+
+    /**
+     * Spells from the same caster, or from teammates without friendly fire, fly through each other
+     */
+    projectilesOppose(a, b) {
+        if (a.ownerId === b.ownerId) return false;
+        const ownerB = this.players.get(b.ownerId);
+        return ownerB ? this.canDamagePlayer(a.ownerId, ownerB) : true;
+    }
+
+    /**
+     * Whether two projectiles came within touching distance at any point during the last tick's movement
+     */
+    projectilesMet(a, b) {
+        const dx = shortestWrappedDelta(b.x, a.x, this.width);
+        const dy = b.y - a.y;
+        const wx = b.vx - a.vx;
+        const wy = b.vy - a.vy;
+        const speedSq = wx * wx + wy * wy;
+        // Both moved by one step of velocity, so look back over t in [-1, 0] for the closest approach
+        const t = speedSq > 0 ? Math.max(-1, Math.min(0, -(dx * wx + dy * wy) / speedSq)) : 0;
+        const cx = dx + wx * t;
+        const cy = dy + wy * t;
+        const reach = (a.radius || 0) + (b.radius || 0);
+        return cx * cx + cy * cy <= reach * reach;
     }
 
     serializeEntities(entityKeys = null, includeInputs = true) {
         const filter = entityKeys ? new Set(entityKeys) : null;
         const payload = {
             players: [],
-            projectiles: []
+            projectiles: [],
+            shields: this.shields.filter((shield) => shield && !shield.dead).map((shield) => shield.serialize())
         };
 
         const shouldInclude = (key) => {
@@ -1916,12 +3568,29 @@ class GameEngine {
                 y: player.y,
                 vx: player.vx || 0,
                 vy: player.vy || 0,
+                knockbackVx: player.knockbackVx || 0,
                 alive: !!player.alive,
                 health: player.health,
                 maxHealth: player.maxHealth,
+                invulnerableTime: player.invulnerableTime || 0,
+                mana: player.mana,
+                maxMana: player.maxMana,
+                breath: player.breath,
+                maxBreath: player.maxBreath,
+                lavaTimer: player.lavaTimer || 0,
+                acidTimer: player.acidTimer || 0,
+                drownTimer: player.drownTimer || 0,
+                spellCooldowns: { ...(player.spellCooldowns || {}) },
+                channeling: !!player.channeling,
+                charging: !!player.charging,
+                chargeTime: player.chargeTime || 0,
+                blinkCount: player.blinkCount || 0,
+                blinkTick: Number.isFinite(player.blinkTick) ? player.blinkTick : null,
+                statusEffects: player.serializeStatusEffects(),
                 grounded: !!player.grounded,
                 aimAngle: player.aimAngle,
                 selectedSpell: player.selectedSpell,
+                team: player.team || null,
                 width: player.width,
                 height: player.height,
                 facing: player.facing || 1
@@ -1958,7 +3627,11 @@ class GameEngine {
                 maxLifetime: proj.maxLifetime,
                 dead: !!proj.dead,
                 radius: proj.radius,
-                mass: proj.mass
+                mass: proj.mass,
+                charge: proj.charge || 0,
+                penetration: proj.penetration,
+                ricochets: proj.ricochets,
+                behaviorState: proj.behaviorState
             });
         }
 
@@ -1985,12 +3658,33 @@ class GameEngine {
             player.y = data.y;
             player.vx = data.vx || 0;
             player.vy = data.vy || 0;
+            player.knockbackVx = data.knockbackVx || 0;
             player.alive = data.alive !== undefined ? !!data.alive : player.alive;
             if (typeof data.health === 'number') player.health = data.health;
             if (typeof data.maxHealth === 'number') player.maxHealth = data.maxHealth;
+            if (typeof data.invulnerableTime === 'number') player.invulnerableTime = data.invulnerableTime;
+            if (typeof data.mana === 'number') player.mana = data.mana;
+            if (typeof data.maxMana === 'number') player.maxMana = data.maxMana;
+            if (typeof data.breath === 'number') player.breath = data.breath;
+            if (typeof data.maxBreath === 'number') player.maxBreath = data.maxBreath;
+            if (typeof data.lavaTimer === 'number') player.lavaTimer = data.lavaTimer;
+            if (typeof data.acidTimer === 'number') player.acidTimer = data.acidTimer;
+            if (typeof data.drownTimer === 'number') player.drownTimer = data.drownTimer;
+            if (data.spellCooldowns && typeof data.spellCooldowns === 'object') {
+                player.spellCooldowns = { ...data.spellCooldowns };
+            }
+            if (data.channeling !== undefined) player.channeling = !!data.channeling;
+            if (data.charging !== undefined) player.charging = !!data.charging;
+            if (typeof data.chargeTime === 'number') player.chargeTime = data.chargeTime;
+            if (typeof data.blinkCount === 'number') player.blinkCount = data.blinkCount;
+            if (typeof data.blinkTick === 'number') player.blinkTick = data.blinkTick;
+            if (data.statusEffects && typeof data.statusEffects === 'object') {
+                player.loadStatusEffects(data.statusEffects);
+            }
             player.grounded = data.grounded !== undefined ? !!data.grounded : player.grounded;
             if (typeof data.aimAngle === 'number') player.aimAngle = data.aimAngle;
             if (data.selectedSpell !== undefined) player.selectedSpell = data.selectedSpell;
+            if (data.team !== undefined) player.setTeam(data.team);
             if (typeof data.width === 'number') player.width = data.width;
             if (typeof data.height === 'number') player.height = data.height;
             if (data.facing !== undefined) player.facing = data.facing;
@@ -2010,6 +3704,12 @@ class GameEngine {
             }
         }
 
+        if (Array.isArray(snapshot.shields) && typeof Shield !== 'undefined') {
+            this.shields = snapshot.shields
+                .map((data) => Shield.deserialize(data))
+                .filter((shield) => shield);
+        }
+
         const projectileById = new Map();
         for (let i = 0; i < this.projectiles.length; i++) {
             const proj = this.projectiles[i];
@@ -2023,6 +3723,11 @@ class GameEngine {
             if (!data) continue;
             const id = data.id || null;
             let proj = id ? projectileById.get(id) : null;
+            if (data.dead) {
+                if (proj) proj.dead = true;
+                if (id && data.collision) this.projectileCollisions.set(id, data.collision);
+                continue;
+            }
             if (!proj) {
                 proj = new Projectile(
                     data.x || 0,
@@ -2050,6 +3755,16 @@ class GameEngine {
             proj.dead = data.dead !== undefined ? !!data.dead : proj.dead;
             if (typeof data.radius === 'number') proj.radius = data.radius;
             if (typeof data.mass === 'number') proj.mass = data.mass;
+            if (typeof data.charge === 'number' && data.charge !== proj.charge) proj.applyCharge(data.charge);
+            if (typeof data.penetration === 'number') proj.penetration = data.penetration;
+            if (typeof data.ricochets === 'number') proj.ricochets = data.ricochets;
+            if (data.behaviorState && typeof data.behaviorState === 'object') proj.behaviorState = { ...data.behaviorState };
+        }
+
+        for (let i = this.projectiles.length - 1; i >= 0; i--) {
+            if (!this.projectiles[i] || this.projectiles[i].dead) {
+                this.projectiles.splice(i, 1);
+            }
         }
     }
 
@@ -2348,6 +4063,13 @@ class GameEngine {
                 sand.init(data.x, data.y, material, data.color || '#ffffff', 0, massDefault, isLiquidDefault);
                 sand.vx = vx;
                 sand.vy = vy;
+                if (props.type === 'gas') {
+                    sand.startGas(props);
+                    if (typeof data.life === 'number') {
+                        sand.life = data.life;
+                        sand.refreshOpacity(props);
+                    }
+                }
                 if (includeState) {
                     if (typeof data.restTime === 'number') sand.restTime = data.restTime;
                     if (typeof data.settleDelay === 'number') sand.settleDelay = data.settleDelay;
@@ -2483,6 +4205,10 @@ class GameEngine {
     }
 }
 
+// Edge neighbours first: water only douses a flame it actually touches
+GameEngine.FIRE_NEIGHBOURS = [[0, -1], [-1, 0], [1, 0], [0, 1], [-1, -1], [1, -1], [-1, 1], [1, 1]];
+GameEngine.FIRE_COLORS = ['#f97316', '#facc15', '#ef4444', '#fb923c'];
+
 if (typeof globalThis !== 'undefined') {
     globalThis.GameEngine = globalThis.GameEngine || GameEngine;
 }
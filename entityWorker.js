@@ -1,9 +1,12 @@
 const { parentPort, workerData } = require('worker_threads');
 const DeterministicRandom = require('./deterministic.js');
+require('./materials.js');
 require('./terrain.js');
 require('./physics.js');
+require('./spells.js');
 require('./player.js');
 require('./projectile.js');
+require('./shield.js');
 const GameEngine = require('./engine.js');
 
 class EntityWorkerCore {
@@ -13,6 +16,14 @@ class EntityWorkerCore {
         this.engine = null;
         this.ready = false;
         this.terrainModifications = [];
+        this.damageEvents = [];
+        this.fluidSpawns = [];
+        this.terrainBuilds = [];
+        this.terrainDrills = [];
+        this.sandAttractions = [];
+        this.elementReactions = [];
+        this.ignitions = [];
+        this.projectileCounter = 0;
     }
 
     initialize(config = {}) {
@@ -20,6 +31,10 @@ class EntityWorkerCore {
         const height = config.height || workerData.height || 900;
         const chunkSize = config.chunkSize || workerData.chunkSize || 64;
         const seed = config.seed ?? this.seed;
+        const spells = config.spells || workerData.spells;
+        if (Array.isArray(spells) && spells.length) {
+            spellRegistry.load(spells);
+        }
 
         this.engine = new GameEngine(null, true, {
             seed,
@@ -28,10 +43,45 @@ class EntityWorkerCore {
         });
         this.engine.chunkSize = chunkSize;
         this.engine.init(true);
+        this.engine.friendlyFire = !!(config.friendlyFire ?? workerData.friendlyFire);
 
         this.terrainModifications = [];
-        this.engine.onTerrainDestruction = ({ x, y, radius, explosive, broadcast }) => {
-            this.terrainModifications.push({ x, y, radius, explosive });
+        this.damageEvents = [];
+        this.fluidSpawns = [];
+        this.terrainBuilds = [];
+        this.terrainDrills = [];
+        this.sandAttractions = [];
+        this.elementReactions = [];
+        this.ignitions = [];
+        this.engine.onTerrainDestruction = ({ x, y, radius, explosive, broadcast, sourceId, destroyed, oresExposed }) => {
+            this.terrainModifications.push({ x, y, radius, explosive, sourceId, destroyed, oresExposed });
+        };
+        this.engine.onPlayerDamage = (event) => {
+            this.damageEvents.push(event);
+        };
+        this.engine.onBuildTerrain = (entry) => {
+            this.terrainBuilds.push(entry);
+        };
+        this.engine.onConjureFluid = (spawn) => {
+            this.fluidSpawns.push(spawn);
+        };
+        this.engine.onDrillTerrain = (drill) => {
+            this.terrainDrills.push(drill);
+        };
+        this.engine.onAttractSand = (attraction) => {
+            this.sandAttractions.push(attraction);
+        };
+        this.engine.onElementReaction = (reaction) => {
+            this.elementReactions.push(reaction);
+        };
+        this.engine.onIgnite = (ignition) => {
+            this.ignitions.push(ignition);
+        };
+        // Projectiles born here (casts, fragments) need ids or every snapshot round trip would duplicate them
+        this.engine.onProjectileSpawn = (projectile) => {
+            if (projectile.serverId) return;
+            this.projectileCounter = (this.projectileCounter + 1) >>> 0;
+            projectile.serverId = `proj-w${Date.now().toString(36)}-${this.projectileCounter.toString(36).padStart(4, '0')}`;
         };
 
         if (config.terrainSnapshot) {
@@ -58,13 +108,34 @@ class EntityWorkerCore {
         if (payload.entities) {
             this.engine.applyEntitySnapshot(payload.entities);
         }
+        this.engine.setLiquidOverlay(payload.liquidCells);
 
         this.engine.tick = tick;
+        const knownProjectileIds = new Set();
+        for (const projectile of this.engine.projectiles) {
+            if (projectile && projectile.serverId) knownProjectileIds.add(projectile.serverId);
+        }
         this.engine.updateEntities(dt, keySet);
 
         const entities = this.engine.serializeEntities(keySet, true);
+        // Projectiles that died this tick are already gone here; tell the main thread so it drops its copy
+        for (const projectile of this.engine.projectiles) {
+            if (projectile && projectile.serverId) knownProjectileIds.delete(projectile.serverId);
+        }
+        for (const id of knownProjectileIds) {
+            const collision = this.engine.projectileCollisions.get(id);
+            entities.projectiles.push(collision ? { id, dead: true, collision } : { id, dead: true });
+        }
+        this.engine.projectileCollisions.clear();
         const diffs = this.engine.terrain.getModifications();
         const mods = this.terrainModifications.splice(0);
+        const damageEvents = this.damageEvents.splice(0);
+        const fluidSpawns = this.fluidSpawns.splice(0);
+        const terrainBuilds = this.terrainBuilds.splice(0);
+        const terrainDrills = this.terrainDrills.splice(0);
+        const sandAttractions = this.sandAttractions.splice(0);
+        const elementReactions = this.elementReactions.splice(0);
+        const ignitions = this.ignitions.splice(0);
         const dirtyChunks = new Set(keys || []);
         if (diffs && Array.isArray(diffs.chunks)) {
             for (const chunk of diffs.chunks) {
@@ -99,6 +170,13 @@ class EntityWorkerCore {
         return {
             entities,
             terrainMods: mods,
+            damageEvents,
+            fluidSpawns,
+            terrainBuilds,
+            terrainDrills,
+            sandAttractions,
+            elementReactions,
+            ignitions,
             terrainModifications: diffs,
             chunkSnapshot,
             dirtyChunks: Array.from(dirtyChunks)
@@ -0,0 +1,352 @@
+/**
+ * Game modes - Round rules layered on top of the server simulation
+ */
+
+class GameMode {
+    constructor(core, options = {}) {
+        this.core = core;
+        this.options = options || {};
+        this.name = 'base';
+        this.label = 'Free for All';
+        this.roundDuration = Number.isFinite(this.options.roundDuration) ? Math.max(0, this.options.roundDuration) : 300000;
+        this.intermissionDuration = Number.isFinite(this.options.intermissionDuration)
+            ? Math.max(0, this.options.intermissionDuration)
+            : 10000;
+        this.scoreLimit = Number.isFinite(this.options.scoreLimit) ? this.options.scoreLimit : 0;
+        this.teams = Array.isArray(this.options.teams) ? this.options.teams.slice() : [];
+        this.playerTeams = new Map();
+
+        this.phase = 'waiting';
+        this.round = 0;
+        this.phaseEndsAtTick = null;
+        this.scores = new Map();
+        this.winner = null;
+        this.endReason = null;
+        this.dirty = true;
+    }
+
+    msToTicks(ms) {
+        const interval = this.core && this.core.tickIntervalMs > 0 ? this.core.tickIntervalMs : (1000 / 60);
+        return Math.max(0, Math.ceil(ms / interval));
+    }
+
+    getTimeRemaining() {
+        if (this.phaseEndsAtTick === null) return null;
+        const interval = this.core && this.core.tickIntervalMs > 0 ? this.core.tickIntervalMs : (1000 / 60);
+        return Math.max(0, Math.round((this.phaseEndsAtTick - this.core.tick) * interval));
+    }
+
+    start() {
+        this.startRound();
+    }
+
+    startRound() {
+        this.round += 1;
+        this.phase = 'active';
+        this.winner = null;
+        this.endReason = null;
+        this.scores.clear();
+        this.phaseEndsAtTick = this.roundDuration > 0
+            ? this.core.tick + this.msToTicks(this.roundDuration)
+            : null;
+        this.onRoundStart();
+        this.dirty = true;
+    }
+
+    endRound(winner, reason) {
+        this.phase = 'intermission';
+        this.winner = winner || null;
+        this.endReason = reason;
+        this.phaseEndsAtTick = this.core.tick + this.msToTicks(this.intermissionDuration);
+        this.dirty = true;
+    }
+
+    /**
+     * Advance the round; returns 'round_end' or 'intermission_end' when the phase changes
+     */
+    update(dt) {
+        if (this.phase === 'active') {
+            this.updateRound(dt);
+            const winner = this.checkWinCondition();
+            if (winner) {
+                this.endRound(winner, 'score');
+                return 'round_end';
+            }
+            if (this.phaseEndsAtTick !== null && this.core.tick >= this.phaseEndsAtTick) {
+                this.endRound(this.getLeader(), 'time');
+                return 'round_end';
+            }
+        } else if (this.phase === 'intermission' && this.core.tick >= this.phaseEndsAtTick) {
+            return 'intermission_end';
+        }
+        return null;
+    }
+
+    addScore(key, amount) {
+        if (!key || !Number.isFinite(amount) || amount === 0) return;
+        this.scores.set(key, (this.scores.get(key) || 0) + amount);
+        this.dirty = true;
+    }
+
+    getLeader() {
+        let leader = null;
+        let best = -Infinity;
+        let tied = false;
+        for (const [id, score] of this.scores.entries()) {
+            if (score > best) {
+                best = score;
+                leader = id;
+                tied = false;
+            } else if (score === best) {
+                tied = true;
+            }
+        }
+        if (!leader || tied) return null;
+        return { id: leader, score: this.formatScore(best) };
+    }
+
+    checkWinCondition() {
+        if (!(this.scoreLimit > 0)) return null;
+        for (const [id, score] of this.scores.entries()) {
+            if (score >= this.scoreLimit) {
+                return { id, score: this.formatScore(score) };
+            }
+        }
+        return null;
+    }
+
+    formatScore(score) {
+        return score;
+    }
+
+    getState() {
+        const scores = [];
+        for (const [id, score] of this.scores.entries()) {
+            scores.push({ id, score: this.formatScore(score) });
+        }
+        return {
+            mode: this.name,
+            label: this.label,
+            phase: this.phase,
+            round: this.round,
+            timeRemaining: this.getTimeRemaining(),
+            scoreLimit: this.formatScore(this.scoreLimit),
+            scores,
+            winner: this.winner,
+            endReason: this.endReason,
+            teams: this.teams.slice()
+        };
+    }
+
+    pickTeam() {
+        if (this.teams.length === 0) return null;
+        const counts = new Map(this.teams.map((team) => [team, 0]));
+        for (const team of this.playerTeams.values()) {
+            counts.set(team, (counts.get(team) || 0) + 1);
+        }
+        let chosen = this.teams[0];
+        for (const team of this.teams) {
+            if (counts.get(team) < counts.get(chosen)) {
+                chosen = team;
+            }
+        }
+        return chosen;
+    }
+
+    getPlayerTeam(playerId) {
+        return this.playerTeams.get(playerId) || null;
+    }
+
+    onRoundStart() {}
+
+    updateRound(dt) {}
+
+    onPlayerJoin(playerId, info, enginePlayer) {
+        const team = this.pickTeam();
+        if (!team) return;
+        this.playerTeams.set(playerId, team);
+        if (info) info.team = team;
+        if (enginePlayer && typeof enginePlayer.setTeam === 'function') {
+            enginePlayer.setTeam(team);
+        }
+        this.dirty = true;
+    }
+
+    onPlayerLeave(playerId) {
+        if (this.playerTeams.delete(playerId)) {
+            this.dirty = true;
+        }
+    }
+
+    onPlayerKilled(victimId, killerId) {}
+}
+
+class DeathmatchMode extends GameMode {
+    constructor(core, options = {}) {
+        super(core, options);
+        this.name = 'deathmatch';
+        this.label = 'Deathmatch';
+        if (!Number.isFinite(this.options.scoreLimit)) {
+            this.scoreLimit = 20;
+        }
+    }
+
+    onPlayerLeave(playerId) {
+        super.onPlayerLeave(playerId);
+        if (this.scores.delete(playerId)) {
+            this.dirty = true;
+        }
+    }
+
+    onPlayerKilled(victimId, killerId) {
+        if (this.phase !== 'active') return;
+        if (!killerId || killerId === victimId) return;
+        const killerTeam = this.getPlayerTeam(killerId);
+        if (killerTeam && killerTeam === this.getPlayerTeam(victimId)) return;
+        this.addScore(killerId, 1);
+    }
+}
+
+class TeamDeathmatchMode extends GameMode {
+    constructor(core, options = {}) {
+        super(core, options);
+        this.name = 'team_deathmatch';
+        this.label = 'Team Deathmatch';
+        if (this.teams.length < 2) {
+            this.teams = ['red', 'blue'];
+        }
+        if (!Number.isFinite(this.options.scoreLimit)) {
+            this.scoreLimit = 30;
+        }
+    }
+
+    onRoundStart() {
+        for (const team of this.teams) {
+            this.scores.set(team, 0);
+        }
+    }
+
+    onPlayerKilled(victimId, killerId) {
+        if (this.phase !== 'active') return;
+        if (!killerId || killerId === victimId) return;
+        const killerTeam = this.getPlayerTeam(killerId);
+        const victimTeam = this.getPlayerTeam(victimId);
+        if (!killerTeam || killerTeam === victimTeam) return;
+        this.addScore(killerTeam, 1);
+    }
+}
+
+class KingOfTheHillMode extends GameMode {
+    constructor(core, options = {}) {
+        super(core, options);
+        this.name = 'king_of_the_hill';
+        this.label = 'King of the Hill';
+        this.hillRadius = Number.isFinite(this.options.hillRadius) ? this.options.hillRadius : 40;
+        this.hill = null;
+        if (!Number.isFinite(this.options.scoreLimit)) {
+            this.scoreLimit = 60000; // ms of uncontested hold time
+        }
+    }
+
+    onRoundStart() {
+        const engine = this.core.engine;
+        if (!engine) {
+            this.hill = null;
+            return;
+        }
+        const rng = this.core.random;
+        const x = rng ? rng.nextRange(0, engine.width) : Math.random() * engine.width;
+        const surfaceY = engine.terrain && typeof engine.terrain.findSurfaceY === 'function'
+            ? engine.terrain.findSurfaceY(x)
+            : engine.height / 2;
+        this.hill = {
+            x: Math.floor(x),
+            y: Math.max(this.hillRadius, surfaceY - Math.floor(this.hillRadius / 2)),
+            radius: this.hillRadius,
+            holder: null,
+            contested: false
+        };
+    }
+
+    onPlayerLeave(playerId) {
+        super.onPlayerLeave(playerId);
+        if (this.scores.delete(playerId)) {
+            this.dirty = true;
+        }
+    }
+
+    updateRound(dt) {
+        const engine = this.core.engine;
+        if (!engine || !this.hill) return;
+
+        const occupants = [];
+        const radiusSq = this.hill.radius * this.hill.radius;
+        for (const player of engine.playerList) {
+            if (!player || !player.alive) continue;
+            const dx = shortestWrappedDelta(player.x + player.width / 2, this.hill.x, engine.width);
+            const dy = (player.y + player.height / 2) - this.hill.y;
+            if (dx * dx + dy * dy <= radiusSq) {
+                // With teams enabled the hill is held by a team rather than a single mage
+                const key = this.getPlayerTeam(player.id) || player.id;
+                if (!occupants.includes(key)) {
+                    occupants.push(key);
+                }
+            }
+        }
+
+        const holder = occupants.length === 1 ? occupants[0] : null;
+        const contested = occupants.length > 1;
+        if (holder !== this.hill.holder || contested !== this.hill.contested) {
+            this.hill.holder = holder;
+            this.hill.contested = contested;
+            this.dirty = true;
+        }
+
+        if (holder) {
+            const before = Math.floor((this.scores.get(holder) || 0) / 1000);
+            this.scores.set(holder, (this.scores.get(holder) || 0) + dt);
+            if (Math.floor(this.scores.get(holder) / 1000) !== before) {
+                this.dirty = true;
+            }
+        }
+    }
+
+    formatScore(score) {
+        return Math.floor(score / 1000);
+    }
+
+    getState() {
+        const state = super.getState();
+        state.hill = this.hill ? { ...this.hill } : null;
+        return state;
+    }
+}
+
+const GAME_MODES = {
+    deathmatch: DeathmatchMode,
+    team_deathmatch: TeamDeathmatchMode,
+    king_of_the_hill: KingOfTheHillMode
+};
+
+const GAME_MODE_ALIASES = {
+    dm: 'deathmatch',
+    ffa: 'deathmatch',
+    tdm: 'team_deathmatch',
+    koth: 'king_of_the_hill'
+};
+
+function createGameMode(name, core, options = {}) {
+    const normalized = typeof name === 'string' ? name.trim().toLowerCase().replace(/[\s-]+/g, '_') : '';
+    const resolved = GAME_MODE_ALIASES[normalized] || normalized;
+    const ModeClass = GAME_MODES[resolved] || DeathmatchMode;
+    return new ModeClass(core, options);
+}
+
+module.exports = {
+    GameMode,
+    DeathmatchMode,
+    TeamDeathmatchMode,
+    KingOfTheHillMode,
+    GAME_MODES,
+    createGameMode
+};
@@ -226,7 +226,8 @@ class NetworkGameServer {
                     playerId: info.playerId,
                     x: info.x,
                     y: info.y,
-                    selectedSpell: info.selectedSpell
+                    selectedSpell: info.selectedSpell,
+                    team: info.team || null
                 });
             }
         }
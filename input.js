@@ -38,9 +38,11 @@ class InputManager {
         window.addEventListener('keydown', (e) => {
             this.keys[e.key.toLowerCase()] = true;
             
-            // Spell selection
-            if (e.key >= '1' && e.key <= '4') {
-                const spellIndex = parseInt(e.key) - 1;
+            // Spell selection (hotkeys come from the spell registry)
+            const spellIndex = typeof spellRegistry !== 'undefined' && spellRegistry
+                ? spellRegistry.getHotkeyIndex(e.key)
+                : -1;
+            if (spellIndex >= 0) {
                 const player = this.engine.players.get(this.engine.playerId);
                 if (player) {
                     if (typeof player.normalizeSpellIndex === 'function') {
@@ -51,6 +53,14 @@ class InputManager {
                 }
             }
             
+            // Scoreboard toggle
+            if (e.key === 'Tab') {
+                if (!e.repeat) {
+                    this.engine.showScoreboard = !this.engine.showScoreboard;
+                }
+                e.preventDefault();
+            }
+            
             // Prevent default for game keys
             if (['w', 'a', 's', 'd', ' '].includes(e.key.toLowerCase())) {
                 e.preventDefault();
@@ -120,7 +130,8 @@ class InputManager {
             jump: !!jump,
             shoot: !!this.mouseDown,
             mouseX: this.mouseWorldX,
-            mouseY: this.mouseWorldY
+            mouseY: this.mouseWorldY,
+            selectedSpell: player.selectedSpell
         };
 
         this.touchJumpQueued = false;
@@ -137,6 +148,7 @@ class InputManager {
                 || last.right !== input.right
                 || last.jump !== input.jump
                 || last.shoot !== input.shoot
+                || last.selectedSpell !== input.selectedSpell
                 || Math.abs((last.mouseX || 0) - (input.mouseX || 0)) > 0.5
                 || Math.abs((last.mouseY || 0) - (input.mouseY || 0)) > 0.5;
             const elapsed = now - this.lastSendTime;
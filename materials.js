@@ -0,0 +1,463 @@
+/**
+ * Materials - Data-driven terrain materials shared by client, server and workers
+ */
+
+const DEFAULT_MATERIALS = [
+    { id: 0, name: 'empty', type: 'empty', durability: 0, density: 0, palette: [] },
+    {
+        id: 1,
+        name: 'stone',
+        type: 'solid',
+        durability: 4,
+        density: 3,
+        degradeTo: 'dirt',
+        raiseOnContact: true,
+        palette: ['#5d6774', '#6b7280', '#5c6570', '#747c8a']
+    },
+    {
+        id: 2,
+        name: 'dirt',
+        type: 'granular',
+        durability: 2,
+        density: 2,
+        degradeTo: 'grass',
+        raiseOnContact: true,
+        palette: ['#8f5b34', '#99603a', '#a26844', '#845230']
+    },
+    {
+        id: 3,
+        name: 'grass',
+        type: 'solid',
+        durability: 1,
+        density: 1,
+        degradeTo: 'empty',
+        raiseOnContact: true,
+        flammability: 0.5,
+        burnsTo: 'empty',
+        palette: ['#3fd473', '#49e07f', '#36c96a', '#58e78d']
+    },
+    {
+        id: 4,
+        name: 'bedrock',
+        type: 'solid',
+        durability: Infinity,
+        density: 10,
+        ricochet: true,
+        palette: ['#111827', '#1f2937', '#0f172a', '#1a2333']
+    },
+    {
+        id: 5,
+        name: 'gold',
+        type: 'solid',
+        ore: true,
+        durability: 5,
+        density: 4,
+        degradeTo: 'stone',
+        raiseOnContact: true,
+        palette: ['#facc15', '#fbbf24', '#fbbf0f', '#f5d547']
+    },
+    {
+        id: 6,
+        name: 'silver',
+        type: 'solid',
+        ore: true,
+        durability: 6,
+        density: 4,
+        degradeTo: 'stone',
+        raiseOnContact: true,
+        palette: ['#cbd5f5', '#d1d5db', '#bfc6d3', '#e0e5ef']
+    },
+    {
+        id: 7,
+        name: 'iron',
+        type: 'solid',
+        ore: true,
+        durability: 7,
+        density: 5,
+        degradeTo: 'stone',
+        raiseOnContact: true,
+        palette: ['#8d99a6', '#9ca3af', '#7d8895', '#a8b1bd']
+    },
+    {
+        id: 8,
+        name: 'water',
+        type: 'liquid',
+        durability: 0,
+        density: 1,
+        mix: { lava: 'stone' },
+        vapor: 'steam',
+        transitions: [{ above: 100, becomes: 'steam' }],
+        palette: ['#1e3a8a', '#2563eb', '#1d4ed8', '#3b82f6']
+    },
+    {
+        id: 9,
+        name: 'lava',
+        type: 'liquid',
+        durability: 0,
+        density: 1,
+        mix: { water: 'stone' },
+        heat: 6,
+        transitions: [{ below: 250, becomes: 'stone' }],
+        palette: ['#dc2626', '#f97316', '#f43f5e', '#fb923c']
+    },
+    {
+        id: 10,
+        name: 'ice',
+        type: 'solid',
+        durability: 2,
+        density: 1,
+        transitions: [{ above: 20, becomes: 'water' }],
+        palette: ['#bae6fd', '#a5f3fc', '#cffafe', '#7dd3fc']
+    },
+    {
+        id: 11,
+        name: 'sand',
+        type: 'granular',
+        durability: 1,
+        density: 2,
+        raiseOnContact: true,
+        // Fused by lava or a fire burning beside it
+        transitions: [{ above: 300, becomes: 'glass' }],
+        palette: ['#e6c88a', '#dcbf7f', '#edd49a', '#d4b27a']
+    },
+    {
+        id: 12,
+        name: 'snow',
+        type: 'granular',
+        durability: 1,
+        density: 1,
+        raiseOnContact: true,
+        transitions: [{ above: 10, becomes: 'water' }],
+        palette: ['#f8fafc', '#f1f5f9', '#e2e8f0', '#ffffff']
+    },
+    {
+        id: 13,
+        name: 'wood',
+        type: 'solid',
+        durability: 3,
+        density: 1,
+        raiseOnContact: true,
+        flammability: 0.3,
+        burnsTo: 'ash',
+        palette: ['#8b5a2b', '#7c4a21', '#94622f', '#6f4220']
+    },
+    {
+        id: 14,
+        name: 'glass',
+        type: 'solid',
+        durability: 1,
+        density: 2,
+        raiseOnContact: true,
+        alpha: 170,
+        palette: ['#bfdbfe', '#dbeafe', '#c7d2fe', '#e0f2fe']
+    },
+    {
+        id: 15,
+        name: 'oil',
+        type: 'liquid',
+        durability: 0,
+        density: 0.8,
+        flammability: 0.9,
+        burnsTo: 'empty',
+        palette: ['#3f3f1f', '#4a4420', '#35331a', '#57502a']
+    },
+    {
+        id: 16,
+        name: 'acid',
+        type: 'liquid',
+        durability: 0,
+        density: 1.1,
+        reactions: [
+            // Water dilutes it harmlessly
+            { with: 'water', becomes: 'water' },
+            // Eats anything solid or granular, softer cells faster, and is used up by each one
+            { with: ['solid', 'granular'], becomes: 'empty', otherBecomes: 'empty', chance: 0.25, perDurability: true }
+        ],
+        palette: ['#84cc16', '#a3e635', '#65a30d', '#bef264']
+    },
+    {
+        id: 17,
+        name: 'steam',
+        type: 'gas',
+        durability: 0,
+        density: 0.05,
+        lifetime: 2400,
+        alpha: 150,
+        palette: ['#e5e7eb', '#f3f4f6', '#d1d5db', '#f9fafb']
+    },
+    {
+        id: 18,
+        name: 'smoke',
+        type: 'gas',
+        durability: 0,
+        density: 0.08,
+        lifetime: 4000,
+        alpha: 180,
+        palette: ['#4b5563', '#374151', '#6b7280', '#52525b']
+    },
+    {
+        id: 19,
+        name: 'ash',
+        type: 'granular',
+        durability: 1,
+        density: 0.5,
+        raiseOnContact: true,
+        palette: ['#9ca3af', '#a1a1aa', '#8b8b8b', '#b4b4b4']
+    }
+];
+
+const MATERIAL_TYPES = ['empty', 'solid', 'granular', 'liquid', 'gas'];
+
+class MaterialRegistry {
+    constructor(definitions = DEFAULT_MATERIALS) {
+        this.materials = [];
+        this.byId = new Map();
+        this.byName = new Map();
+        this.load(definitions);
+    }
+
+    /**
+     * Check one definition; names in degradeTo, burnsTo, vapor, mix, reactions and transitions are resolved later, once every material is known
+     */
+    static normalize(definition) {
+        if (!definition || typeof definition !== 'object') return null;
+        const id = definition.id;
+        // Terrain pixels are stored one byte each
+        if (!Number.isInteger(id) || id < 0 || id > 255) return null;
+        const name = typeof definition.name === 'string' ? definition.name.trim().toLowerCase() : '';
+        if (!name) return null;
+
+        const number = (value, fallback, min = -Infinity) => (
+            Number.isFinite(value) ? Math.max(min, value) : fallback
+        );
+        // JSON has no Infinity, so a null durability also means the material can't be destroyed
+        const durability = definition.durability === Infinity || definition.durability === null
+            ? Infinity
+            : number(definition.durability, 1, 0);
+        const palette = Array.isArray(definition.palette)
+            ? definition.palette.filter((hex) => typeof hex === 'string' && /^#[0-9a-f]{6}$/i.test(hex))
+            : [];
+        const mix = definition.mix && typeof definition.mix === 'object' ? { ...definition.mix } : {};
+        const lowerName = (value) => (typeof value === 'string' && value ? value.toLowerCase() : null);
+        const reactions = [];
+        for (const reaction of Array.isArray(definition.reactions) ? definition.reactions : []) {
+            if (!reaction || typeof reaction !== 'object') continue;
+            const reactants = (Array.isArray(reaction.with) ? reaction.with : [reaction.with]).map(lowerName).filter(Boolean);
+            const becomes = lowerName(reaction.becomes);
+            const otherBecomes = lowerName(reaction.otherBecomes);
+            if (!reactants.length || (becomes === null && otherBecomes === null)) continue;
+            reactions.push({
+                with: reactants,
+                becomes,
+                otherBecomes,
+                chance: Math.min(1, number(reaction.chance, 1, 0)),
+                perDurability: !!reaction.perDurability
+            });
+        }
+        const transitions = [];
+        for (const transition of Array.isArray(definition.transitions) ? definition.transitions : []) {
+            if (!transition || typeof transition !== 'object') continue;
+            const becomes = lowerName(transition.becomes);
+            const above = Number.isFinite(transition.above) ? transition.above : null;
+            const below = Number.isFinite(transition.below) ? transition.below : null;
+            if (becomes === null || (above === null && below === null)) continue;
+            transitions.push({ above, below, becomes });
+        }
+
+        return {
+            id,
+            name,
+            type: MATERIAL_TYPES.includes(definition.type) ? definition.type : 'solid',
+            durability,
+            density: number(definition.density, 1, 0),
+            degradeTo: typeof definition.degradeTo === 'string' ? definition.degradeTo.toLowerCase() : null,
+            vapor: typeof definition.vapor === 'string' ? definition.vapor.toLowerCase() : null,
+            lifetime: number(definition.lifetime, 0, 0),
+            flammability: Math.min(1, number(definition.flammability, 0, 0)),
+            burnsTo: typeof definition.burnsTo === 'string' ? definition.burnsTo.toLowerCase() : null,
+            heat: number(definition.heat, 0),
+            raiseOnContact: !!definition.raiseOnContact,
+            ore: !!definition.ore,
+            ricochet: !!definition.ricochet,
+            alpha: Math.round(number(definition.alpha, 255, 0)) & 0xff,
+            palette,
+            mix,
+            reactions,
+            transitions
+        };
+    }
+
+    /**
+     * Replace the registry contents; invalid entries are skipped and an empty list keeps the defaults
+     */
+    load(definitions) {
+        const source = Array.isArray(definitions) ? definitions : [];
+        const materials = [];
+        const byId = new Map();
+        const byName = new Map();
+        for (const definition of source) {
+            const material = MaterialRegistry.normalize(definition);
+            if (!material || byId.has(material.id) || byName.has(material.name)) continue;
+            materials.push(material);
+            byId.set(material.id, material);
+            byName.set(material.name, material);
+        }
+        if (!byName.has('empty') && source !== DEFAULT_MATERIALS) {
+            return this.load(DEFAULT_MATERIALS);
+        }
+
+        this.materials = materials;
+        this.byId = byId;
+        this.byName = byName;
+        return this;
+    }
+
+    get(id) {
+        return this.byId.get(id) || null;
+    }
+
+    getByName(name) {
+        return typeof name === 'string' ? this.byName.get(name.toLowerCase()) || null : null;
+    }
+
+    idOf(name) {
+        const material = this.getByName(name);
+        return material ? material.id : null;
+    }
+
+    /**
+     * Substance properties as Terrain, SandParticle and EigenSandChunk read them, keyed by material id
+     */
+    buildSubstances() {
+        const substances = {};
+        for (const material of this.materials) {
+            const substance = {
+                name: material.name,
+                durability: material.durability,
+                density: material.density,
+                degradeTo: material.degradeTo !== null ? this.idOf(material.degradeTo) : null,
+                raiseOnContact: material.raiseOnContact,
+                type: material.type
+            };
+            if (material.ore) substance.ore = true;
+            if (material.ricochet) substance.ricochet = true;
+            if (material.alpha !== 255) substance.alpha = material.alpha;
+            if (material.type === 'gas') substance.lifetime = material.lifetime;
+            // A liquid with a vapor flashes into that gas instead of taking its mix result
+            const vaporId = material.vapor !== null ? this.idOf(material.vapor) : null;
+            if (vaporId !== null) substance.vapor = vaporId;
+            // Chance per fire step that flames next door catch, and what a burnt-out cell leaves behind
+            if (material.flammability > 0) {
+                substance.flammability = material.flammability;
+                const burntId = material.burnsTo !== null ? this.idOf(material.burnsTo) : null;
+                substance.burnsTo = burntId !== null ? burntId : (this.idOf('empty') ?? 0);
+            }
+
+            // Heat given off per pixel each heat step, and the phase changes the heat field drives
+            if (material.heat !== 0) substance.heat = material.heat;
+            const transitions = [];
+            for (const transition of material.transitions) {
+                const becomes = this.idOf(transition.becomes);
+                if (becomes !== null) transitions.push({ above: transition.above, below: transition.below, becomes });
+            }
+            if (transitions.length) substance.transitions = transitions;
+
+            const reactions = this.buildReactions(material);
+            if (reactions.length) substance.reactions = reactions;
+            substances[material.id] = substance;
+        }
+
+        // A reaction named from one side also runs when the other side is the one moving
+        for (const material of this.materials) {
+            for (const reaction of substances[material.id].reactions || []) {
+                if (reaction.with.length !== 1 || !reaction.named) continue;
+                const other = substances[reaction.with[0]];
+                if (!other || (other.reactions || []).some((entry) => entry.with.includes(material.id))) continue;
+                other.reactions = (other.reactions || []).concat({
+                    with: [material.id],
+                    becomes: reaction.otherBecomes,
+                    otherBecomes: reaction.becomes,
+                    chance: reaction.chance,
+                    perDurability: reaction.perDurability,
+                    named: true
+                });
+            }
+        }
+        return substances;
+    }
+
+    /**
+     * Compile a material's mix shorthand and reactions into { with, becomes, otherBecomes, chance, perDurability } by id;
+     * null products leave that cell as it is, and a reactant may name a material or a whole type
+     */
+    buildReactions(material) {
+        const reactions = [];
+        const vaporOf = (other) => (other && other.vapor !== null ? this.idOf(other.vapor) : null);
+
+        // Mix rules turn both cells into the result, except that a side with a vapor boils off into it
+        for (const [other, result] of Object.entries(material.mix)) {
+            const otherId = this.idOf(other);
+            const resultId = this.idOf(result);
+            if (otherId === null || resultId === null) continue;
+            reactions.push({
+                with: [otherId],
+                becomes: vaporOf(material) ?? resultId,
+                otherBecomes: vaporOf(this.get(otherId)) ?? resultId,
+                chance: 1,
+                perDurability: false,
+                named: true
+            });
+        }
+
+        for (const reaction of material.reactions) {
+            const ids = new Set();
+            let named = true;
+            for (const reactant of reaction.with) {
+                if (MATERIAL_TYPES.includes(reactant)) {
+                    named = false;
+                    for (const other of this.materials) {
+                        if (other.type === reactant && other.id !== material.id) ids.add(other.id);
+                    }
+                    continue;
+                }
+                const id = this.idOf(reactant);
+                if (id !== null) ids.add(id);
+            }
+            const becomes = reaction.becomes !== null ? this.idOf(reaction.becomes) : null;
+            const otherBecomes = reaction.otherBecomes !== null ? this.idOf(reaction.otherBecomes) : null;
+            if (!ids.size || (becomes === null && otherBecomes === null)) continue;
+            reactions.push({
+                with: Array.from(ids),
+                becomes,
+                otherBecomes,
+                chance: reaction.chance,
+                perDurability: reaction.perDurability,
+                named
+            });
+        }
+        return reactions;
+    }
+
+    toJSON() {
+        return this.materials.map((material) => ({
+            ...material,
+            durability: Number.isFinite(material.durability) ? material.durability : null,
+            palette: material.palette.slice(),
+            mix: { ...material.mix },
+            reactions: material.reactions.map((reaction) => ({ ...reaction, with: reaction.with.slice() })),
+            transitions: material.transitions.map((transition) => ({ ...transition }))
+        }));
+    }
+}
+
+MaterialRegistry.DEFAULT_MATERIALS = DEFAULT_MATERIALS;
+MaterialRegistry.TYPES = MATERIAL_TYPES;
+
+if (typeof globalThis !== 'undefined') {
+    globalThis.MaterialRegistry = globalThis.MaterialRegistry || MaterialRegistry;
+    globalThis.materialRegistry = globalThis.materialRegistry || new MaterialRegistry(DEFAULT_MATERIALS);
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = MaterialRegistry;
+}
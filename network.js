@@ -29,6 +29,7 @@ class NetworkManager {
         // Server reconciliation
         this.stateHistory = [];
         this.maxHistorySize = 60; // 1 second at 60fps
+        this.blinkGraceTicks = 60; // how long a predicted blink may wait for the server to confirm it
 
         // Connection diagnostics
         this.latency = 0;
@@ -122,7 +123,8 @@ class NetworkManager {
             case 'player_joined':
                 if (!this.engineReady) break;
                 if (msg.playerId !== this.playerId) {
-                    this.engine.addPlayer(msg.playerId, msg.x, msg.y, msg.selectedSpell);
+                    const joined = this.engine.addPlayer(msg.playerId, msg.x, msg.y, msg.selectedSpell);
+                    this.applyTeam(joined, msg.team);
                 }
                 break;
 
@@ -132,6 +134,22 @@ class NetworkManager {
                 }
                 break;
 
+            case 'player_died':
+                this.handlePlayerDied(msg);
+                break;
+
+            case 'player_respawned':
+                this.handlePlayerRespawned(msg);
+                break;
+
+            case 'round_end':
+                this.handleRoundEnd(msg);
+                break;
+
+            case 'round_start':
+                this.handleRoundStart(msg);
+                break;
+
             case 'input_ack':
                 this.handleInputAck(msg);
                 break;
@@ -211,6 +229,10 @@ class NetworkManager {
         this.appliedTerrainChunkDiffs.clear();
         this.lastAppliedTerrainChunkTick = -Infinity;
 
+        if (Array.isArray(msg.spells) && typeof spellRegistry !== 'undefined' && spellRegistry) {
+            spellRegistry.load(msg.spells);
+        }
+
         if (msg.terrainSnapshot) {
             this.applyTerrainSnapshot(msg.terrainSnapshot, msg.terrainSnapshotTick);
         } else if (Number.isFinite(msg.terrainSnapshotTick)) {
@@ -241,6 +263,14 @@ class NetworkManager {
             }
         }
 
+        if (Array.isArray(msg.scoreboard)) {
+            this.engine.scoreboard = msg.scoreboard;
+        }
+        this.applyGameModeState(msg.gameMode);
+        if (typeof msg.friendlyFire === 'boolean') {
+            this.engine.friendlyFire = msg.friendlyFire;
+        }
+
         if (!this.engine.players.has(this.playerId)) {
             this.engine.addPlayer(this.playerId, msg.spawnX, msg.spawnY, msg.selectedSpell);
         } else {
@@ -253,6 +283,7 @@ class NetworkManager {
                 player.selectedSpell = msg.selectedSpell;
             }
         }
+        this.applyTeam(this.engine.players.get(this.playerId), msg.team);
 
         if (this.engineReady && !this._invokedEngineReady && typeof this.options.onEngineReady === 'function') {
             this.options.onEngineReady(this.engine, msg);
@@ -315,6 +346,11 @@ class NetworkManager {
             this.lastAppliedTerrainChunkTick = Math.max(this.lastAppliedTerrainChunkTick, msg.terrainSnapshotTick);
         }
 
+        if (Array.isArray(msg.scoreboard)) {
+            this.engine.scoreboard = msg.scoreboard;
+        }
+        this.applyGameModeState(msg.gameMode);
+
         if (Array.isArray(msg.terrainChunkDiffs)) {
             this.applyTerrainChunkDiffs(msg.terrainChunkDiffs);
         }
@@ -364,14 +400,22 @@ class NetworkManager {
             player.y = pData.y;
             player.vx = pData.vx;
             player.vy = pData.vy;
+            player.knockbackVx = Number.isFinite(pData.knockbackVx) ? pData.knockbackVx : 0;
             player.health = pData.health;
             player.alive = pData.alive;
+            this.applyInvulnerability(player, pData.invulnerable);
+            this.applyTeam(player, pData.team);
+            this.applyMana(player, pData);
+            this.applyBreath(player, pData);
+            this.applyStatusEffects(player, pData.effects);
             player.aimAngle = pData.aimAngle;
+            player.channeling = !!pData.channeling;
             if (typeof player.normalizeSpellIndex === 'function') {
                 player.selectedSpell = player.normalizeSpellIndex(pData.selectedSpell);
             } else {
                 player.selectedSpell = pData.selectedSpell;
             }
+            this.applyCharge(player, pData.charge);
             player.serverStateTime = Date.now();
         }
 
@@ -410,6 +454,14 @@ class NetworkManager {
             this.applyTerrainMods(msg.terrainMods);
         }
 
+        if (Array.isArray(msg.shields)) {
+            this.syncShields(msg.shields);
+        }
+
+        if (Array.isArray(msg.fires) && this.engine) {
+            this.engine.fireCells = msg.fires;
+        }
+
         if (this.engine) {
             const projectileSnapshot = this.updateServerProjectiles(
                 Array.isArray(msg.projectiles) ? msg.projectiles : null,
@@ -426,6 +478,147 @@ class NetworkManager {
         }
     }
 
+    handlePlayerDied(msg) {
+        if (!this.engineReady || !msg || typeof msg.playerId !== 'string') return;
+        const player = this.engine.players.get(msg.playerId);
+        if (!player) return;
+
+        player.health = 0;
+        player.alive = false;
+        player.invulnerableTime = 0;
+        player.respawnAt = Date.now() + (Number.isFinite(msg.respawnDelay) ? msg.respawnDelay : 0);
+
+        if (msg.playerId === this.playerId) {
+            this.pendingInputs = [];
+            this.stateHistory = [];
+        }
+    }
+
+    handlePlayerRespawned(msg) {
+        if (!this.engineReady || !msg || typeof msg.playerId !== 'string') return;
+        let player = this.engine.players.get(msg.playerId);
+        if (!player) {
+            player = this.engine.addPlayer(msg.playerId, msg.x, msg.y);
+        }
+        if (!player) return;
+
+        if (typeof player.respawn === 'function') {
+            player.respawn(msg.x, msg.y, msg.invulnerableTime);
+        } else {
+            player.x = msg.x;
+            player.y = msg.y;
+            player.alive = true;
+        }
+        if (typeof msg.health === 'number') {
+            player.health = msg.health;
+        }
+        player.respawnAt = null;
+
+        if (msg.playerId === this.playerId) {
+            this.pendingInputs = [];
+            this.stateHistory = [];
+        }
+    }
+
+    handleRoundEnd(msg) {
+        if (!this.engineReady || !msg) return;
+        this.applyGameModeState(msg.gameMode);
+    }
+
+    handleRoundStart(msg) {
+        if (!this.engineReady || !msg) return;
+
+        // The server regenerated the map; drop everything tied to the old round
+        this.engine.projectiles = [];
+        this.serverProjectiles.clear();
+        this.localProjectiles.clear();
+
+        if (msg.terrainSnapshot) {
+            this.applyTerrainSnapshot(msg.terrainSnapshot, msg.terrainSnapshotTick);
+        }
+        if (msg.sandChunks && typeof this.engine.loadSandChunks === 'function') {
+            this.engine.loadSandChunks(msg.sandChunks);
+        }
+        this.applyGameModeState(msg.gameMode);
+    }
+
+    applyGameModeState(state) {
+        if (!this.engine || !state || typeof state !== 'object') return;
+        this.engine.gameMode = {
+            ...state,
+            receivedAt: Date.now()
+        };
+        if (typeof Player !== 'undefined' && Player.setTeamOrder(state.teams)) {
+            // Custom team names take their colour from the order, so recolour anyone already placed
+            for (const player of this.engine.players.values()) {
+                if (player.team && typeof player.applyTeamColors === 'function') {
+                    player.applyTeamColors();
+                }
+            }
+        }
+    }
+
+    applyInvulnerability(player, invulnerable) {
+        if (!player || typeof invulnerable !== 'boolean') return;
+        if (!invulnerable) {
+            player.invulnerableTime = 0;
+        } else if (!(player.invulnerableTime > 0)) {
+            // Keep the flag raised until the server clears it
+            player.invulnerableTime = 1;
+        }
+    }
+
+    applyMana(player, data) {
+        if (!player || !data) return;
+        if (Number.isFinite(data.mana)) {
+            player.mana = data.mana;
+        }
+        if (Number.isFinite(data.maxMana)) {
+            player.maxMana = data.maxMana;
+        }
+    }
+
+    applyBreath(player, data) {
+        if (!player || !data) return;
+        if (Number.isFinite(data.breath)) {
+            player.breath = data.breath;
+        }
+        if (Number.isFinite(data.maxBreath)) {
+            player.maxBreath = data.maxBreath;
+        }
+    }
+
+    applyCharge(player, level) {
+        if (!player) return;
+        // Broadcasts carry the charge as a 0..1 level; rebuild the held time from the selected spell
+        const spell = typeof player.getSelectedSpell === 'function' ? player.getSelectedSpell() : null;
+        const charged = Number.isFinite(level) && level > 0 && spell && spell.charge;
+        player.charging = !!charged;
+        player.chargeTime = charged ? level * spell.charge.time : 0;
+    }
+
+    applyStatusEffects(player, effects) {
+        if (!player || !Array.isArray(effects) || typeof player.loadStatusEffects !== 'function') return;
+        const byId = {};
+        for (const effect of effects) {
+            if (!effect || typeof effect.id !== 'string') continue;
+            byId[effect.id] = {
+                remaining: effect.remaining,
+                stacks: effect.stacks
+            };
+        }
+        player.loadStatusEffects(byId);
+    }
+
+    applyTeam(player, team) {
+        if (!player || team === undefined) return;
+        if (typeof player.setTeam === 'function') {
+            player.setTeam(team);
+        } else {
+            player.team = team || null;
+        }
+    }
+
     handleInputAck(msg) {
         this.pendingInputs = this.pendingInputs.filter(
             i => i.sequence > msg.sequence
@@ -623,7 +816,8 @@ class NetworkManager {
                 {
                     clientProjectileId: clientId,
                     pending: false,
-                    serverId
+                    serverId,
+                    charge: Number.isFinite(msg.charge) ? msg.charge : 0
                 }
             );
         } else {
@@ -741,19 +935,34 @@ class NetworkManager {
         }
     }
 
+    getTerrainModKey(mod) {
+        if (Array.isArray(mod.cells)) {
+            return `cells:${mod.x}:${mod.y}:${mod.material}:${mod.cells.length}`;
+        }
+        if (Array.isArray(mod.paint)) {
+            return `paint:${mod.x}:${mod.y}:${mod.paint.length}`;
+        }
+        return `${mod.x}:${mod.y}:${mod.radius}:${mod.explosive ? 1 : 0}`;
+    }
+
+    syncShields(list) {
+        if (!this.engine || typeof Shield === 'undefined') return;
+        this.engine.shields = list
+            .map((data) => Shield.deserialize(data))
+            .filter((shield) => shield);
+    }
+
     applyTerrainMods(mods) {
         if (!Array.isArray(mods) || !this.engine) return;
         const sortedMods = mods.slice().sort((a, b) => {
             const ta = typeof a.tick === 'number' ? a.tick : this.confirmedTick;
             const tb = typeof b.tick === 'number' ? b.tick : this.confirmedTick;
             if (ta !== tb) return ta - tb;
-            const keyA = `${a.x}:${a.y}:${a.radius}:${a.explosive ? 1 : 0}`;
-            const keyB = `${b.x}:${b.y}:${b.radius}:${b.explosive ? 1 : 0}`;
-            return keyA.localeCompare(keyB);
+            return this.getTerrainModKey(a).localeCompare(this.getTerrainModKey(b));
         });
 
         for (const mod of sortedMods) {
-            const key = `${mod.x}:${mod.y}:${mod.radius}:${mod.explosive ? 1 : 0}`;
+            const key = this.getTerrainModKey(mod);
             const newTick = Number.isFinite(mod.tick) ? mod.tick : this.confirmedTick;
             if (Number.isFinite(this.lastAppliedTerrainChunkTick) && newTick < this.lastAppliedTerrainChunkTick) {
                 continue;
@@ -766,7 +975,13 @@ class NetworkManager {
 
             this.appliedTerrainMods.set(key, newTick);
             this.pruneTerrainHistory();
-            this.engine.destroyTerrain(mod.x, mod.y, mod.radius, mod.explosive, false);
+            if (Array.isArray(mod.cells)) {
+                this.engine.setTerrainCells(mod.cells, mod.material);
+            } else if (Array.isArray(mod.paint)) {
+                this.engine.paintTerrainCells(mod.paint);
+            } else {
+                this.engine.destroyTerrain(mod.x, mod.y, mod.radius, mod.explosive, false);
+            }
             if (typeof this.engine.markChunkSync === 'function' && typeof this.engine.getChunkKeyForPosition === 'function') {
                 const chunkKey = this.engine.getChunkKeyForPosition(mod.x, mod.y);
                 this.engine.markChunkSync(chunkKey ? [chunkKey] : null, {
@@ -835,6 +1050,9 @@ class NetworkManager {
                 if (key && this.serverProjectiles.delete(key)) {
                     changed = true;
                 }
+                if (removal && typeof removal.effect === 'string') {
+                    this.showProjectileCollision(removal);
+                }
             }
         }
 
@@ -858,6 +1076,18 @@ class NetworkManager {
         return Array.from(this.serverProjectiles.values()).map((proj) => ({ ...proj }));
     }
 
+    /**
+     * Puff of particles where a spell was spent colliding with another one mid-air
+     */
+    showProjectileCollision(removal) {
+        if (!this.engine || typeof Projectile === 'undefined') return;
+        const effect = Projectile.COLLISION_EFFECTS[removal.effect];
+        if (!effect || !Number.isFinite(removal.x) || !Number.isFinite(removal.y)) return;
+        const spell = typeof spellRegistry !== 'undefined' && spellRegistry ? spellRegistry.get(removal.type) : null;
+        const color = effect.color || (spell ? spell.color : '#ffffff');
+        this.engine.spawnParticles(removal.x, removal.y, effect.particles, color);
+    }
+
     syncProjectiles(projectiles) {
         if (!Array.isArray(projectiles) || !this.engine) return;
         const existing = Array.isArray(this.engine.projectiles)
@@ -924,6 +1154,16 @@ class NetworkManager {
             if (typeof data.lifetime === 'number') {
                 proj.lifetime = data.lifetime;
             }
+            if (typeof data.charge === 'number' && data.charge !== proj.charge) {
+                proj.applyCharge(data.charge);
+            }
+            // Keep the local raycast spending the same penetration as the server's
+            if (typeof data.penetration === 'number') {
+                proj.penetration = data.penetration;
+            }
+            if (typeof data.ricochets === 'number') {
+                proj.ricochets = data.ricochets;
+            }
 
             if (clientId) {
                 proj.clientProjectileId = clientId;
@@ -990,6 +1230,9 @@ class NetworkManager {
             mouseX: typeof input.mouseX === 'number' ? input.mouseX : 0,
             mouseY: typeof input.mouseY === 'number' ? input.mouseY : 0
         };
+        if (Number.isInteger(input.selectedSpell)) {
+            transmit.selectedSpell = input.selectedSpell;
+        }
 
         this.currentTick = Math.max(this.currentTick, tick);
 
@@ -998,6 +1241,14 @@ class NetworkManager {
         this.send({ type: 'input', input: transmit });
     }
 
+    getPendingSpellSelection() {
+        for (let i = this.pendingInputs.length - 1; i >= 0; i--) {
+            const pending = this.pendingInputs[i];
+            if (pending && Number.isInteger(pending.selectedSpell)) return pending.selectedSpell;
+        }
+        return null;
+    }
+
     recordLocalState(tick, player) {
         if (!this.engineReady || !player || !Number.isFinite(tick)) return;
 
@@ -1065,6 +1316,7 @@ class NetworkManager {
             vy: proj.vy,
             type: proj.type,
             ownerId: proj.ownerId,
+            charge: proj.charge || 0,
             clientProjectileId: localId
         });
     }
@@ -1140,10 +1392,17 @@ class NetworkManager {
         if (typeof serverState.alive === 'boolean') {
             localPlayer.alive = serverState.alive;
         }
-
-        const resolvedSpell = (typeof serverState.selectedSpell !== 'undefined')
-            ? serverState.selectedSpell
-            : localPlayer.selectedSpell;
+        this.applyInvulnerability(localPlayer, serverState.invulnerable);
+        this.applyTeam(localPlayer, serverState.team);
+        this.applyMana(localPlayer, serverState);
+        this.applyBreath(localPlayer, serverState);
+        this.applyStatusEffects(localPlayer, serverState.effects);
+
+        // A selection still in flight wins over the server's until the server has seen it
+        const pendingSpell = this.getPendingSpellSelection();
+        const resolvedSpell = pendingSpell !== null
+            ? pendingSpell
+            : (typeof serverState.selectedSpell !== 'undefined' ? serverState.selectedSpell : localPlayer.selectedSpell);
         if (typeof localPlayer.normalizeSpellIndex === 'function') {
             localPlayer.selectedSpell = localPlayer.normalizeSpellIndex(resolvedSpell);
         } else {
@@ -1154,10 +1413,15 @@ class NetworkManager {
             ? this.normalizeAngle(serverState.aimAngle)
             : localPlayer.aimAngle;
 
-        localPlayer.x = Number.isFinite(serverState.x) ? serverState.x : localPlayer.x;
-        localPlayer.y = Number.isFinite(serverState.y) ? serverState.y : localPlayer.y;
-        localPlayer.vx = Number.isFinite(serverState.vx) ? serverState.vx : localPlayer.vx;
-        localPlayer.vy = Number.isFinite(serverState.vy) ? serverState.vy : localPlayer.vy;
+        // A blink the server hasn't performed yet would otherwise pull the mage back for a round trip
+        const awaitingBlink = this.isAwaitingBlink(localPlayer, serverState);
+        if (!awaitingBlink) {
+            localPlayer.x = Number.isFinite(serverState.x) ? serverState.x : localPlayer.x;
+            localPlayer.y = Number.isFinite(serverState.y) ? serverState.y : localPlayer.y;
+            localPlayer.vx = Number.isFinite(serverState.vx) ? serverState.vx : localPlayer.vx;
+            localPlayer.vy = Number.isFinite(serverState.vy) ? serverState.vy : localPlayer.vy;
+            localPlayer.knockbackVx = Number.isFinite(serverState.knockbackVx) ? serverState.knockbackVx : localPlayer.knockbackVx;
+        }
         localPlayer.aimAngle = aimAngle;
         localPlayer.serverStateTime = Date.now();
 
@@ -1170,7 +1434,7 @@ class NetworkManager {
             aimAngle: localPlayer.aimAngle
         };
 
-        const replay = this.replayPendingInputs(localPlayer, serverState, effectiveTick);
+        const replay = awaitingBlink ? null : this.replayPendingInputs(localPlayer, serverState, effectiveTick);
         const historyEntries = [baseSnapshot];
 
         if (replay && replay.player) {
@@ -1179,8 +1443,12 @@ class NetworkManager {
             localPlayer.y = simPlayer.y;
             localPlayer.vx = simPlayer.vx;
             localPlayer.vy = simPlayer.vy;
+            localPlayer.knockbackVx = simPlayer.knockbackVx;
             localPlayer.aimAngle = this.normalizeAngle(simPlayer.aimAngle);
-            localPlayer.cooldown = simPlayer.cooldown;
+            localPlayer.mana = simPlayer.mana;
+            localPlayer.breath = simPlayer.breath;
+            localPlayer.spellCooldowns = simPlayer.spellCooldowns;
+            localPlayer.statusEffects = simPlayer.statusEffects;
 
             if (Array.isArray(replay.history) && replay.history.length) {
                 for (const entry of replay.history) {
@@ -1210,6 +1478,17 @@ class NetworkManager {
         }
     }
 
+    isAwaitingBlink(localPlayer, serverState) {
+        if (!Number.isFinite(serverState.blinkCount)) return false;
+        const elapsed = this.engine.tick - localPlayer.blinkTick;
+        if (serverState.blinkCount < (localPlayer.blinkCount || 0) && elapsed <= this.blinkGraceTicks) {
+            return true;
+        }
+        // The server has either performed the blink or rejected it; its count is authoritative from here on
+        localPlayer.blinkCount = serverState.blinkCount;
+        return false;
+    }
+
     replayPendingInputs(localPlayer, serverState, startTick) {
         if (!this.engineReady || !localPlayer || !Array.isArray(this.pendingInputs) || this.pendingInputs.length === 0) {
             return null;
@@ -1220,9 +1499,10 @@ class NetworkManager {
         }
 
         const engine = this.engine;
-        const baseSpell = typeof serverState.selectedSpell === 'number'
-            ? serverState.selectedSpell
-            : localPlayer.selectedSpell;
+        const pendingSpell = this.getPendingSpellSelection();
+        const baseSpell = pendingSpell !== null
+            ? pendingSpell
+            : (typeof serverState.selectedSpell === 'number' ? serverState.selectedSpell : localPlayer.selectedSpell);
         const normalizedSpell = (typeof localPlayer.normalizeSpellIndex === 'function')
             ? localPlayer.normalizeSpellIndex(baseSpell)
             : baseSpell;
@@ -1235,6 +1515,7 @@ class NetworkManager {
             y: Number.isFinite(serverState.y) ? serverState.y : localPlayer.y,
             vx: Number.isFinite(serverState.vx) ? serverState.vx : localPlayer.vx,
             vy: Number.isFinite(serverState.vy) ? serverState.vy : localPlayer.vy,
+            knockbackVx: Number.isFinite(serverState.knockbackVx) ? serverState.knockbackVx : localPlayer.knockbackVx,
             aimAngle: typeof serverState.aimAngle === 'number' ? serverState.aimAngle : localPlayer.aimAngle,
             health: typeof serverState.health === 'number' ? serverState.health : localPlayer.health,
             alive: typeof serverState.alive === 'boolean' ? serverState.alive : localPlayer.alive,
@@ -1242,7 +1523,14 @@ class NetworkManager {
         });
         simPlayer.health = typeof serverState.health === 'number' ? serverState.health : localPlayer.health;
         simPlayer.alive = typeof serverState.alive === 'boolean' ? serverState.alive : localPlayer.alive;
-        simPlayer.cooldown = localPlayer.cooldown;
+        simPlayer.mana = Number.isFinite(serverState.mana) ? serverState.mana : localPlayer.mana;
+        if (Number.isFinite(serverState.maxMana)) {
+            simPlayer.maxMana = serverState.maxMana;
+        }
+        this.applyBreath(simPlayer, localPlayer);
+        simPlayer.spellCooldowns = { ...localPlayer.spellCooldowns };
+        // Replay movement under the server's view of slows, freezes and stuns
+        simPlayer.loadStatusEffects(localPlayer.serializeStatusEffects());
         simPlayer.input = { ...localPlayer.input };
 
         const dtDefault = engine && Number.isFinite(engine.fixedTimeStep)
@@ -1343,3 +1631,7 @@ if (typeof window !== 'undefined') {
     window.NetworkManager = NetworkManager;
     window.MockServer = MockServer;
 }
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = NetworkManager;
+}
@@ -44,6 +44,9 @@ class SandParticle {
         this.lastClassifiedTick = -1;
         this.mass = typeof mass === 'number' && mass > 0 ? mass : 1;
         this.isLiquid = !!isLiquid;
+        this.isGas = false;
+        this.life = 0; // ms a gas has left before it dissipates
+        this.opacity = 1;
         this.blobId = -1;
         this.lastBlobId = -1;
         this.chunkPriority = 3;
@@ -68,6 +71,9 @@ class SandParticle {
         this.lastClassifiedTick = -1;
         this.mass = 1;
         this.isLiquid = false;
+        this.isGas = false;
+        this.life = 0;
+        this.opacity = 1;
         this.blobId = -1;
         this.lastBlobId = -1;
         this.chunkPriority = 3;
@@ -102,9 +108,14 @@ class SandParticle {
         const selfProps = terrain.substances[this.material] || {};
         const otherProps = terrain.substances[occupant.material] || {};
         const otherIsLiquid = otherProps.type === 'liquid' || occupant.isLiquid;
-        if (!otherIsLiquid) {
+        const otherIsGas = otherProps.type === 'gas' || occupant.isGas;
+        if (!otherIsLiquid && !otherIsGas) {
             return false;
         }
+        // Gas only moves up or sideways, so letting it swap with liquid makes bubbles rise
+        if ((selfProps.type === 'gas' || this.isGas) && otherIsLiquid) {
+            return true;
+        }
         const selfMass = this.mass || (selfProps.density || 1);
         const otherMass = occupant.mass || (otherProps.density || 1);
         return selfMass > otherMass;
@@ -219,6 +230,7 @@ class SandParticle {
         const empty = terrain.EMPTY;
         const props = terrain.substances[material] || {};
         this.isLiquid = props.type === 'liquid';
+        this.isGas = props.type === 'gas';
 
         // Treat a particle as "edge" when any nearby cell is empty or holds a
         // different material. Inner shells are grouped into bulk scheduling to
@@ -301,7 +313,10 @@ class SandParticle {
         }
         const solidIntervals = config.solidIntervals || [1, 3, 7];
         const liquidIntervals = config.liquidIntervals || [1, 2, 5];
-        const table = props.type === 'liquid' ? liquidIntervals : solidIntervals;
+        const gasIntervals = config.gasIntervals || [1, 1, 2];
+        const table = props.type === 'liquid'
+            ? liquidIntervals
+            : (props.type === 'gas' ? gasIntervals : solidIntervals);
         const index = Math.min(table.length - 1, Math.max(0, this.activityLevel));
         const interval = table[index] || 1;
         this.updateInterval = interval < 1 ? 1 : Math.floor(interval);
@@ -313,6 +328,10 @@ class SandParticle {
 
         const terrain = engine.terrain;
         const props = terrain.substances[this.material] || {};
+        if (props.type === 'gas') {
+            this.updateGas(engine, occupancy, dt, occupancyMap, props);
+            return;
+        }
         const isLiquid = props.type === 'liquid';
         this.isLiquid = isLiquid;
 
@@ -392,6 +411,10 @@ class SandParticle {
 
             if (isLiquid) {
                 if (this.tryMix(engine, props)) {
+                    // A particle that flashed into vapor is still here
+                    if (!this.dead) {
+                        this.occupy(occupancy, occupancyMap);
+                    }
                     return;
                 }
                 if (this.tryLiquidSpread(engine, occupancy, occupancyMap, randomBias, timeStep)) {
@@ -418,11 +441,93 @@ class SandParticle {
             if (colorObj) {
                 this.color = colorObj.hex;
             }
-            occupancy.add(this.key());
-            if (occupancyMap) {
-                occupancyMap.set(this.key(), this);
+            this.occupy(occupancy, occupancyMap);
+        }
+    }
+
+    occupy(occupancy, occupancyMap) {
+        occupancy.add(this.key());
+        if (occupancyMap) {
+            occupancyMap.set(this.key(), this);
+        }
+    }
+
+    /**
+     * Gas rises, wanders sideways and thins out until its lifetime runs out; it never settles into terrain
+     */
+    updateGas(engine, occupancy, dt, occupancyMap, props) {
+        const previousKey = this.key();
+        occupancy.delete(previousKey);
+        if (occupancyMap) {
+            occupancyMap.delete(previousKey);
+        }
+
+        this.isGas = true;
+        this.isLiquid = false;
+        // Interior gas is revisited less often, so it ages by the whole interval
+        this.life -= (dt || 16) * Math.max(1, this.updateInterval);
+        if (this.life <= 0) {
+            this.dead = true;
+            return;
+        }
+
+        const rng = engine && engine.random ? engine.random : null;
+        const side = (rng ? rng.nextBool() : Math.random() < 0.5) ? -1 : 1;
+        const roll = rng ? rng.nextFloat() : Math.random();
+        const moveOrder = [[0, -1], [side, -1], [-side, -1], [side, 0], [-side, 0]];
+        if (roll < SandParticle.GAS_DIFFUSION) {
+            // Diffuse: a sideways step first now and then spreads the plume out
+            moveOrder.unshift([side, 0]);
+        }
+
+        for (let i = 0; i < moveOrder.length; i++) {
+            if (this.tryMove(engine, occupancy, occupancyMap, moveOrder[i][0], moveOrder[i][1])) {
+                break;
             }
         }
+
+        const colorObj = engine.terrain.getMaterialColor(this.material, this.x, this.y);
+        if (colorObj) {
+            this.color = colorObj.hex;
+        }
+        this.refreshOpacity(props);
+        this.occupy(occupancy, occupancyMap);
+    }
+
+    /**
+     * Turn this particle into a freshly made gas of the given substance
+     */
+    startGas(props) {
+        this.isGas = true;
+        this.isLiquid = false;
+        this.blobId = -1;
+        this.life = props && props.lifetime > 0 ? props.lifetime : SandParticle.DEFAULT_GAS_LIFETIME;
+        this.refreshOpacity(props);
+    }
+
+    /**
+     * Gas is drawn at its substance's alpha and fades out over the second half of its life
+     */
+    refreshOpacity(props) {
+        const base = props && typeof props.alpha === 'number' ? props.alpha / 255 : 1;
+        const lifetime = props && props.lifetime > 0 ? props.lifetime : SandParticle.DEFAULT_GAS_LIFETIME;
+        const fade = this.isGas ? Math.max(0, Math.min(1, this.life / (lifetime * 0.5))) : 1;
+        this.opacity = base * fade;
+    }
+
+    vaporize(engine, material) {
+        const props = engine.terrain.substances[material] || {};
+        this.material = material;
+        this.mass = props.density > 0 ? props.density : 1;
+        this.restTime = 0;
+        this.startGas(props);
+        const colorObj = engine.terrain.getMaterialColor(material, this.x, this.y);
+        if (colorObj) {
+            this.color = colorObj.hex;
+        }
+        if (this.chunkKey && typeof engine.markSandChunkDirty === 'function') {
+            engine.markSandChunkDirty(this.chunkKey);
+        }
     }
 
     tryLiquidSpread(engine, occupancy, occupancyMap, randomBias, timeStep) {
@@ -439,11 +544,13 @@ class SandParticle {
         return false;
     }
 
+    /**
+     * Run the first reaction this liquid has with a neighbouring cell or particle; true if anything changed
+     */
     tryMix(engine, props) {
-        if (!props || !props.mixWith) return false;
+        if (!props || !Array.isArray(props.reactions)) return false;
         const terrain = engine.terrain;
-        const mixTargets = Array.isArray(props.mixWith) ? props.mixWith : [props.mixWith];
-        const mixResult = props.mixResult || terrain.STONE;
+        const rng = engine.random || null;
         const offsets = [
             [0, 1],
             [1, 0],
@@ -459,23 +566,93 @@ class SandParticle {
             if (worldY < 0 || worldY >= engine.height) continue;
 
             const terrainMaterial = terrain.getPixel(worldX, worldY);
-            if (mixTargets.includes(terrainMaterial)) {
-                terrain.setPixel(worldX, worldY, mixResult);
-                this.settleAsMaterial(engine, mixResult);
-                return true;
+            const otherSand = terrainMaterial === terrain.EMPTY ? engine.findSandParticleAt(worldX, worldY) : null;
+            const other = otherSand && !otherSand.dead ? otherSand.material : terrainMaterial;
+            const reaction = SandParticle.findReaction(props, other);
+            if (!reaction) continue;
+
+            // Harder cells hold out longer against reactions that wear them down
+            let chance = reaction.chance;
+            if (reaction.perDurability) {
+                const durability = (terrain.substances[other] || {}).durability;
+                chance = durability > 1 ? chance / durability : chance;
             }
-
-            const otherSand = engine.findSandParticleAt(worldX, worldY);
-            if (otherSand && !otherSand.dead && mixTargets.includes(otherSand.material)) {
-                engine.markSandParticleAsConverted(otherSand, mixResult);
-                this.settleAsMaterial(engine, mixResult);
-                return true;
+            if (chance < 1 && (rng ? rng.nextFloat() : Math.random()) >= chance) continue;
+
+            if (reaction.otherBecomes !== null) {
+                const product = terrain.substances[reaction.otherBecomes] || {};
+                if (otherSand && !otherSand.dead) {
+                    if (product.type === 'gas') {
+                        otherSand.vaporize(engine, reaction.otherBecomes);
+                    } else if (product.type === 'liquid' || product.type === 'granular') {
+                        otherSand.transmute(engine, reaction.otherBecomes);
+                    } else {
+                        engine.markSandParticleAsConverted(otherSand, reaction.otherBecomes);
+                    }
+                } else if (product.type === 'gas' && typeof engine.spawnGas === 'function') {
+                    terrain.setPixel(worldX, worldY, terrain.EMPTY);
+                    terrain.markDirty(worldX, worldY);
+                    engine.spawnGas(worldX, worldY, reaction.otherBecomes);
+                } else {
+                    terrain.setPixel(worldX, worldY, reaction.otherBecomes);
+                    terrain.markDirty(worldX, worldY);
+                }
+            }
+            if (reaction.becomes !== null) {
+                this.finishMix(engine, reaction.becomes);
             }
+            return true;
         }
 
         return false;
     }
 
+    /**
+     * The first of a substance's reactions that takes the given material
+     */
+    static findReaction(props, material) {
+        const reactions = props.reactions;
+        for (let i = 0; i < reactions.length; i++) {
+            if (reactions[i].with.includes(material)) return reactions[i];
+        }
+        return null;
+    }
+
+    /**
+     * Become a reaction product: gas boils off, liquid and grains stay loose, empty is used up, anything else sets in place
+     */
+    finishMix(engine, product) {
+        const props = engine.terrain.substances[product] || {};
+        if (product === engine.terrain.EMPTY) {
+            this.dead = true;
+        } else if (props.type === 'gas') {
+            this.vaporize(engine, product);
+        } else if (props.type === 'liquid' || props.type === 'granular') {
+            this.transmute(engine, product);
+        } else {
+            this.settleAsMaterial(engine, product);
+        }
+    }
+
+    /**
+     * Swap this loose particle's substance for another loose one in place
+     */
+    transmute(engine, material) {
+        const props = engine.terrain.substances[material] || {};
+        this.material = material;
+        this.mass = props.density > 0 ? props.density : 1;
+        this.isLiquid = props.type === 'liquid';
+        this.blobId = -1;
+        this.restTime = 0;
+        const colorObj = engine.terrain.getMaterialColor(material, this.x, this.y);
+        if (colorObj) {
+            this.color = colorObj.hex;
+        }
+        if (this.chunkKey && typeof engine.markSandChunkDirty === 'function') {
+            engine.markSandChunkDirty(this.chunkKey);
+        }
+    }
+
     settleAsMaterial(engine, material) {
         const x = wrapValue(this.x, engine.width) | 0;
         const y = this.y;
@@ -497,10 +674,20 @@ class SandParticle {
     render(ctx, scale) {
         if (this.dead) return;
         ctx.fillStyle = this.color;
+        if (this.opacity < 1) {
+            const previousAlpha = ctx.globalAlpha;
+            ctx.globalAlpha = previousAlpha * this.opacity;
+            ctx.fillRect(this.x * scale, this.y * scale, scale, scale);
+            ctx.globalAlpha = previousAlpha;
+            return;
+        }
         ctx.fillRect(this.x * scale, this.y * scale, scale, scale);
     }
 }
 
+SandParticle.GAS_DIFFUSION = 0.3; // chance a gas step tries sideways before up
+SandParticle.DEFAULT_GAS_LIFETIME = 2000;
+
 /**
  * Particle system for effects (unchanged)
  */
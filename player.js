@@ -23,14 +23,54 @@ class Player {
         this.maxFallSpeed = 12;
         this.maxStepHeight = 3;
         this.lastFluidCoverage = 0;
+
+        // Knockback
+        this.mass = 1; // impulses are divided by mass, so heavier mages get pushed less
+        this.knockbackVx = 0; // external horizontal velocity riding on top of walking
+        this.maxKnockbackSpeed = 10;
+
+        // Hazards
+        this.lastLavaCoverage = 0;
+        this.headSubmerged = false;
+        this.breath = 100;
+        this.maxBreath = 100;
+        this.breathDrainRate = 20; // per second with the head under water
+        this.breathRecoverRate = 50; // per second above water
+        this.lavaDamage = 4; // per lava tick
+        this.lavaTickInterval = 250;
+        this.lavaTimer = 0;
+        this.lastAcidCoverage = 0;
+        this.acidDamage = 3; // per acid tick
+        this.acidTickInterval = 400;
+        this.acidTimer = 0;
+        this.drownDamage = 8; // per drowning tick once breath runs out
+        this.drownTickInterval = 500;
+        this.drownTimer = this.drownTickInterval;
+        this.buried = false; // stuck under settled sand that riseOutOfGranular could not clear
+        this.crushDamage = 0; // fractional damage from falling grains, applied by the engine
+
+        // Falling
+        this.safeFallSpeed = 7.5; // landing faster than this hurts
+        this.fallDamageFactor = 10; // damage per unit of speed above safeFallSpeed
         
         // Spell casting
         this.aimAngle = 0;
         this.staffLength = 10;
-        this.cooldown = 0;
-        this.cooldownTime = 300; // ms between shots
+        this.spellCooldowns = {}; // spell id -> ms until it can be cast again
+        this.channeling = false; // holding a beam spell with the mana to pay for it
+        this.beam = null; // { x, y, endX, endY, hit } while channelling
+        this.blinkCount = 0; // total teleports, lets the client tell whether the server has caught up
+        this.blinkTick = -Infinity; // engine tick of the last teleport
+        this.charging = false; // holding the button on a charge spell
+        this.chargeTime = 0; // ms held so far, capped at the spell's full charge time
+        
+        // Mana
+        this.mana = 100;
+        this.maxMana = 100;
+        this.manaRegen = 15; // per second
         
         // Appearance
+        this.team = null;
         this.color = this.generateColor(id);
         this.hatColor = this.generateHatColor(id);
         
@@ -48,15 +88,32 @@ class Player {
         this.health = 100;
         this.maxHealth = 100;
         this.alive = true;
+        this.invulnerableTime = 0; // ms of spawn protection remaining
+        this.lastDamagedBy = null;
+        this.statusEffects = {}; // effect id -> { remaining, stacks, tickTimer, sourceId }
         
-        // Spell type
-        this.spells = ['fireball', 'ice', 'lightning', 'earth'];
+        // Spell type (the list itself comes from the spell registry)
         const initialSpellIndex = Number.isInteger(selectedSpell)
             ? selectedSpell
             : this.getRandomInt(this.spells.length);
         this.selectedSpell = this.normalizeSpellIndex(initialSpellIndex);
     }
 
+    get spells() {
+        if (typeof spellRegistry !== 'undefined' && spellRegistry) {
+            return spellRegistry.ids();
+        }
+        return ['fireball', 'ice', 'lightning', 'earth'];
+    }
+
+    getSelectedSpell() {
+        const id = this.spells[this.selectedSpell];
+        if (typeof spellRegistry !== 'undefined' && spellRegistry) {
+            return spellRegistry.get(id);
+        }
+        return null;
+    }
+
     getRandomFloat() {
         if (this.random && typeof this.random.nextFloat === 'function') {
             return this.random.nextFloat();
@@ -97,26 +154,91 @@ class Player {
         return colors[hash % colors.length];
     }
     
+    setTeam(team) {
+        const normalized = typeof team === 'string' && team.length > 0 ? team : null;
+        if (normalized === this.team) return;
+        this.team = normalized;
+        this.applyTeamColors();
+    }
+
+    applyTeamColors() {
+        // Team mages share robe and hat colours; free-for-all keeps the per-id palette
+        const palette = Player.getTeamPalette(this.team);
+        this.color = palette ? palette.robe : this.generateColor(this.id);
+        this.hatColor = palette ? palette.hat : this.generateHatColor(this.id);
+    }
+
+    /**
+     * Robe and hat colours for a team: the built-in names have their own, other configured
+     * names take the fallback palette by their position in Player.teamOrder
+     */
+    static getTeamPalette(team) {
+        if (typeof team !== 'string' || !team) return null;
+        if (Player.TEAM_COLORS[team]) return Player.TEAM_COLORS[team];
+        const index = Player.teamOrder.indexOf(team);
+        if (index < 0) return null;
+        return Player.TEAM_FALLBACK_COLORS[index % Player.TEAM_FALLBACK_COLORS.length];
+    }
+
+    /**
+     * Record the configured team names in order; returns true when the order changed
+     */
+    static setTeamOrder(teams) {
+        const next = Array.isArray(teams) ? teams.filter((team) => typeof team === 'string' && team) : [];
+        const current = Player.teamOrder;
+        if (next.length === current.length && next.every((team, i) => team === current[i])) return false;
+        Player.teamOrder = next;
+        return true;
+    }
+    
     update(dt, engine) {
         if (!this.alive) return;
         
-        // Update cooldown
-        if (this.cooldown > 0) {
-            this.cooldown -= dt;
-            if (this.cooldown < 0) this.cooldown = 0;
+        // Update spell cooldowns
+        for (const id in this.spellCooldowns) {
+            const remaining = this.spellCooldowns[id] - dt;
+            if (remaining > 0) {
+                this.spellCooldowns[id] = remaining;
+            } else {
+                delete this.spellCooldowns[id];
+            }
+        }
+
+        // Regenerate mana
+        if (this.mana < this.maxMana) {
+            this.mana = Math.min(this.maxMana, this.mana + this.manaRegen * dt / 1000);
         }
+
+        // Update spawn protection
+        if (this.invulnerableTime > 0) {
+            this.invulnerableTime -= dt;
+            if (this.invulnerableTime < 0) this.invulnerableTime = 0;
+        }
+
+        this.updateStatusEffects(dt, engine);
+        if (!this.alive) return;
+        const moveMultiplier = this.getStatusModifier('moveMultiplier');
         
-        // Horizontal movement
-        if (this.input.left && !this.input.right) {
-            this.vx = -this.speed;
-        } else if (this.input.right && !this.input.left) {
-            this.vx = this.speed;
+        // Horizontal movement (walking is layered on top of any knockback)
+        const knockbackVx = this.knockbackVx;
+        if (knockbackVx !== 0) {
+            this.knockbackVx *= this.grounded ? 0.85 : 0.95;
+            if (Math.abs(this.knockbackVx) < 0.05) {
+                this.knockbackVx = 0;
+            }
+        }
+        let walkVx;
+        if (this.input.left && !this.input.right && moveMultiplier > 0) {
+            walkVx = -this.speed * moveMultiplier;
+        } else if (this.input.right && !this.input.left && moveMultiplier > 0) {
+            walkVx = this.speed * moveMultiplier;
         } else {
-            this.vx *= 0.8;
-            if (Math.abs(this.vx) < 0.05) {
-                this.vx = 0;
+            walkVx = (this.vx - knockbackVx) * 0.8;
+            if (Math.abs(walkVx) < 0.05) {
+                walkVx = 0;
             }
         }
+        this.vx = walkVx + this.knockbackVx;
         
         // Apply gravity
         this.vy += engine.gravity;
@@ -124,11 +246,17 @@ class Player {
             this.vy = this.maxFallSpeed;
         }
 
-        const fluidCoverage = this.getFluidCoverage(engine);
-        this.lastFluidCoverage = fluidCoverage;
-        if (fluidCoverage > 0) {
-            this.applyFluidForces(engine, fluidCoverage);
+        const fluids = this.sampleFluids(engine);
+        this.lastFluidCoverage = fluids.coverage;
+        this.lastLavaCoverage = fluids.lava;
+        this.lastAcidCoverage = fluids.acid;
+        this.headSubmerged = fluids.headSubmerged;
+        if (fluids.coverage > 0) {
+            this.applyFluidForces(engine, fluids.coverage);
         }
+
+        this.updateHazards(dt, engine);
+        if (!this.alive) return;
         
         // Resolve movement against terrain per axis to avoid tunneling
         this.resolveHorizontal(engine);
@@ -143,8 +271,9 @@ class Player {
         }
         
         // Jumping
-        if (this.input.jump && this.grounded) {
-            this.vy = this.jumpPower;
+        const jumpMultiplier = this.getStatusModifier('jumpMultiplier');
+        if (this.input.jump && this.grounded && jumpMultiplier > 0) {
+            this.vy = this.jumpPower * jumpMultiplier;
             this.grounded = false;
         }
         
@@ -155,10 +284,24 @@ class Player {
         const dy = this.input.mouseY - centerY;
         this.aimAngle = Math.atan2(dy, dx);
         
-        // Shoot spell
-        if (this.input.shoot && this.cooldown <= 0) {
-            this.castSpell(engine);
-            this.cooldown = this.cooldownTime;
+        // Shoot spell (beams channel while held, charge spells fire on release; the server charges
+        // projectile casts when the client's message arrives)
+        const spell = this.getSelectedSpell();
+        if (spell && spell.beam) {
+            this.resetCharge();
+            this.updateBeam(dt, engine, spell);
+        } else if (spell && spell.charge) {
+            this.channeling = false;
+            this.beam = null;
+            this.updateCharge(dt, engine, spell);
+        } else {
+            this.channeling = false;
+            this.beam = null;
+            this.resetCharge();
+            if (this.input.shoot && (!engine.isServer || !this.firesProjectile(spell)) && this.canCast(spell)) {
+                this.consumeCast(spell);
+                this.castSpell(engine);
+            }
         }
         
         // Bounds (horizontal wraps, vertical clamps)
@@ -168,14 +311,242 @@ class Player {
         this.riseOutOfGranular(engine);
     }
 
-    castSpell(engine) {
+    getSpellCooldown(id) {
+        return this.spellCooldowns[id] > 0 ? this.spellCooldowns[id] : 0;
+    }
+
+    /**
+     * Whether casting the spell launches a projectile (clients report those to the server themselves)
+     */
+    firesProjectile(spell) {
+        return !!spell && !spell.beam && !spell.shield && !spell.blink;
+    }
+
+    canCast(spell) {
+        if (!this.alive || !spell) return false;
+        if (this.hasStatusFlag('preventsCasting')) return false;
+        if (this.getSpellCooldown(spell.id) > 0) return false;
+        return this.mana >= spell.manaCost;
+    }
+
+    consumeCast(spell) {
+        this.mana = Math.max(0, this.mana - spell.manaCost);
+        if (spell.cooldown > 0) {
+            this.spellCooldowns[spell.id] = spell.cooldown;
+        }
+    }
+
+    updateBeam(dt, engine, spell) {
+        // Remote mages on a client keep whatever channelling state the server last broadcast
+        const remote = !engine.isServer && !!engine.playerId && engine.playerId !== this.id;
+        if (!remote) {
+            const cost = spell.manaCost * dt / 1000;
+            this.channeling = !!this.input.shoot
+                && this.alive
+                && !this.hasStatusFlag('preventsCasting')
+                && this.mana >= cost;
+            if (this.channeling) {
+                this.mana = Math.max(0, this.mana - cost);
+            }
+        }
+        if (!this.channeling) {
+            this.beam = null;
+            return;
+        }
+
+        this.beam = this.traceBeam(engine, spell);
+        if (this.beam.hit && engine.isServer && typeof engine.drillTerrain === 'function') {
+            engine.drillTerrain(
+                wrapHorizontal(this.beam.endX, engine.width),
+                this.beam.endY,
+                spell.beam.width,
+                spell.beam.power * dt / 1000,
+                this.id
+            );
+        }
+    }
+
+    updateCharge(dt, engine, spell) {
+        // Remote mages on a client keep whatever charge the server last broadcast
+        const remote = !engine.isServer && !!engine.playerId && engine.playerId !== this.id;
+        if (remote) return;
+
+        if (this.input.shoot) {
+            if (!this.charging && this.canCast(spell)) {
+                this.charging = true;
+                this.chargeTime = 0;
+            }
+            if (this.charging) {
+                this.chargeTime = Math.min(spell.charge.time, this.chargeTime + dt);
+            }
+            return;
+        }
+        if (!this.charging) return;
+
+        if (engine.isServer) {
+            // The shot itself arrives as the client's projectile message, which is checked against the time kept here
+            this.charging = false;
+            return;
+        }
+        const chargeTime = this.chargeTime;
+        this.resetCharge();
+        if (this.canCast(spell)) {
+            this.consumeCast(spell);
+            this.castSpell(engine, chargeTime / spell.charge.time);
+        }
+    }
+
+    /**
+     * Charge time the server accepts: what the client reports, but never much longer than the server saw the button held
+     */
+    validateChargeTime(reported, spell) {
+        const measured = this.chargeTime;
+        const claimed = Number.isFinite(reported) && reported >= 0 ? reported : measured;
+        return Math.max(0, Math.min(spell.charge.time, claimed, measured + Player.CHARGE_TOLERANCE));
+    }
+
+    resetCharge() {
+        this.charging = false;
+        this.chargeTime = 0;
+    }
+
+    getChargeLevel() {
+        if (!this.charging) return 0;
+        const spell = this.getSelectedSpell();
+        return spell && spell.charge ? Math.min(1, this.chargeTime / spell.charge.time) : 0;
+    }
+
+    traceBeam(engine, spell) {
+        const x = this.x + this.width / 2 + Math.cos(this.aimAngle) * this.staffLength;
+        const y = this.y + this.height / 2 + Math.sin(this.aimAngle) * this.staffLength;
+        const dx = Math.cos(this.aimAngle) * spell.beam.range;
+        const dy = Math.sin(this.aimAngle) * spell.beam.range;
+        // Beams stop at the first solid cell; the drilling wears it down instead of punching through
+        const hit = typeof Projectile !== 'undefined'
+            ? Projectile.castRay(engine, x, y, dx, dy)
+            : { x: x + dx, y: y + dy, collided: false };
+        return {
+            x,
+            y,
+            endX: x + shortestWrappedDelta(hit.x, x, engine.width),
+            endY: hit.y,
+            hit: hit.collided
+        };
+    }
+
+    applyStatusEffect(id, duration, sourceId = null, stacks = 1) {
+        const definition = Player.STATUS_EFFECTS[id];
+        if (!definition || !this.alive || !(duration > 0)) return false;
+
+        const existing = this.statusEffects[id];
+        if (!existing) {
+            this.statusEffects[id] = {
+                remaining: Math.min(duration, definition.maxDuration),
+                stacks: Math.max(1, Math.min(stacks, definition.maxStacks)),
+                tickTimer: 0,
+                sourceId
+            };
+            return true;
+        }
+
+        switch (definition.stacking) {
+            case 'stack':
+                existing.stacks = Math.min(definition.maxStacks, existing.stacks + Math.max(1, stacks));
+                existing.remaining = Math.max(existing.remaining, Math.min(duration, definition.maxDuration));
+                break;
+            case 'extend':
+                existing.remaining = Math.min(definition.maxDuration, existing.remaining + duration);
+                break;
+            default:
+                // 'refresh': keep whichever application lasts longer
+                existing.remaining = Math.max(existing.remaining, Math.min(duration, definition.maxDuration));
+                break;
+        }
+        if (sourceId) {
+            existing.sourceId = sourceId;
+        }
+        return true;
+    }
+
+    hasStatusEffect(id) {
+        return !!this.statusEffects[id];
+    }
+
+    hasStatusFlag(flag) {
+        for (const id in this.statusEffects) {
+            const definition = Player.STATUS_EFFECTS[id];
+            if (definition && definition[flag]) return true;
+        }
+        return false;
+    }
+
+    getStatusModifier(key) {
+        let modifier = 1;
+        for (const id in this.statusEffects) {
+            const definition = Player.STATUS_EFFECTS[id];
+            if (!definition || !Number.isFinite(definition[key])) continue;
+            modifier *= Math.pow(definition[key], this.statusEffects[id].stacks);
+        }
+        return modifier;
+    }
+
+    clearStatusEffects() {
+        this.statusEffects = {};
+    }
+
+    updateStatusEffects(dt, engine) {
+        for (const id in this.statusEffects) {
+            const effect = this.statusEffects[id];
+            const definition = Player.STATUS_EFFECTS[id];
+            if (!definition) {
+                delete this.statusEffects[id];
+                continue;
+            }
+
+            // Damage over time is server authoritative; clients only count down
+            if (definition.tickDamage > 0 && engine && engine.isServer) {
+                effect.tickTimer += dt;
+                while (effect.tickTimer >= definition.tickInterval && this.alive) {
+                    effect.tickTimer -= definition.tickInterval;
+                    const amount = definition.tickDamage * effect.stacks;
+                    if (typeof engine.damagePlayer === 'function') {
+                        engine.damagePlayer(this, amount, effect.sourceId);
+                    } else {
+                        this.takeDamage(amount, effect.sourceId);
+                    }
+                }
+            }
+
+            effect.remaining -= dt;
+            if (effect.remaining <= 0) {
+                delete this.statusEffects[id];
+            }
+        }
+        if (!this.alive) {
+            this.clearStatusEffects();
+        }
+    }
+
+    castSpell(engine, charge = 0) {
         const centerX = this.x + this.width / 2;
         const centerY = this.y + this.height / 2;
         
         const staffEndX = centerX + Math.cos(this.aimAngle) * this.staffLength;
         const staffEndY = centerY + Math.sin(this.aimAngle) * this.staffLength;
 
-        const speed = 8;
+        const definition = this.getSelectedSpell();
+        if (definition && definition.blink) {
+            this.blink(engine, definition);
+            return;
+        }
+        if (definition && definition.shield) {
+            engine.raiseShield(this, definition);
+            if (typeof engine.spawnParticles === 'function') {
+                engine.spawnParticles(wrapHorizontal(centerX, engine.width), centerY, 8, definition.color);
+            }
+            return;
+        }
+        const speed = definition ? definition.speed * Projectile.chargeMultiplier(definition, 'speed', charge) : 8;
         const vx = Math.cos(this.aimAngle) * speed;
         const vy = Math.sin(this.aimAngle) * speed;
 
@@ -190,7 +561,7 @@ class Player {
             vy,
             spell,
             this.id,
-            { pending: isOnline }
+            { pending: isOnline, charge }
         );
 
         if (isOnline && projectile && typeof engine.network.sendProjectile === 'function') {
@@ -203,22 +574,143 @@ class Player {
         }
     }
     
+    /**
+     * Teleport toward the aim point, landing on the nearest open spot no farther than the spell allows
+     */
+    blink(engine, spell) {
+        const centerX = this.x + this.width / 2;
+        const centerY = this.y + this.height / 2;
+        const dx = shortestWrappedDelta(this.input.mouseX, centerX, engine.width);
+        const dy = this.input.mouseY - centerY;
+        const length = Math.sqrt(dx * dx + dy * dy);
+        if (length < 1) return false;
+
+        const reach = Math.min(spell.blink.distance, length);
+        const spot = this.findBlinkDestination(engine, dx / length, dy / length, reach);
+        if (!spot) return false;
+
+        if (typeof engine.spawnParticles === 'function') {
+            engine.spawnParticles(wrapHorizontal(centerX, engine.width), centerY, 10, spell.color);
+        }
+        this.x = spot.x;
+        this.y = spot.y;
+        this.vx = 0;
+        this.vy = 0;
+        this.knockbackVx = 0;
+        this.grounded = false;
+        this.blinkCount++;
+        this.blinkTick = engine.tick;
+        if (typeof engine.spawnParticles === 'function') {
+            engine.spawnParticles(this.x + this.width / 2, this.y + this.height / 2, 10, spell.color);
+        }
+        return true;
+    }
+
+    findBlinkDestination(engine, dirX, dirY, reach) {
+        // isColliding treats every filled cell as blocked, so bedrock, sand and liquid are all avoided
+        const centerX = this.x + this.width / 2;
+        const centerY = this.y + this.height / 2;
+        const searchRadius = 6;
+        const searchRadiusSq = searchRadius * searchRadius;
+        for (let step = reach; step >= 1; step -= 4) {
+            const targetX = this.x + dirX * step;
+            const targetY = this.y + dirY * step;
+            let best = null;
+            let bestDistSq = Infinity;
+            for (let oy = -searchRadius; oy <= searchRadius; oy++) {
+                for (let ox = -searchRadius; ox <= searchRadius; ox++) {
+                    const distSq = ox * ox + oy * oy;
+                    if (distSq > searchRadiusSq || distSq >= bestDistSq) continue;
+                    const x = wrapHorizontal(targetX + ox, engine.width);
+                    const y = targetY + oy;
+                    if (this.isColliding(engine, x, y)) continue;
+                    // The spot has to be in sight; the search radius alone would let a thin wall be skipped
+                    if (typeof Projectile !== 'undefined') {
+                        const sight = Projectile.castRay(
+                            engine,
+                            centerX,
+                            centerY,
+                            shortestWrappedDelta(x + this.width / 2, centerX, engine.width),
+                            y + this.height / 2 - centerY
+                        );
+                        if (sight.collided) continue;
+                    }
+                    best = { x, y };
+                    bestDistSq = distSq;
+                }
+            }
+            if (best) return best;
+        }
+        return null;
+    }
+
     getSpellColor(spell) {
-        const colors = {
-            fireball: '#ff6b35',
-            ice: '#4ecdc4',
-            lightning: '#ffd93d',
-            earth: '#92633c'
-        };
-        return colors[spell] || '#ffffff';
+        if (typeof spellRegistry !== 'undefined' && spellRegistry) {
+            return spellRegistry.get(spell).color;
+        }
+        return '#ffffff';
     }
     
-    takeDamage(damage) {
+    takeDamage(damage, sourceId = null) {
+        if (!this.alive || this.invulnerableTime > 0) return 0;
+        const previousHealth = this.health;
         this.health -= damage;
+        if (sourceId) {
+            this.lastDamagedBy = sourceId;
+        }
         if (this.health <= 0) {
             this.health = 0;
             this.alive = false;
         }
+        return previousHealth - this.health;
+    }
+
+    /**
+     * Push the mage by an impulse; horizontal knockback decays separately from walking
+     */
+    applyImpulse(ix, iy) {
+        if (!this.alive || !Number.isFinite(ix) || !Number.isFinite(iy)) return;
+        const mass = this.mass > 0 ? this.mass : 1;
+        const limit = this.maxKnockbackSpeed;
+        const knockbackVx = Math.max(-limit, Math.min(limit, this.knockbackVx + ix / mass));
+        this.vx += knockbackVx - this.knockbackVx;
+        this.knockbackVx = knockbackVx;
+        this.vy = Math.max(-limit, Math.min(this.maxFallSpeed, this.vy + iy / mass));
+        if (iy < 0) {
+            this.grounded = false;
+        }
+    }
+
+    respawn(x, y, invulnerableTime = 0) {
+        this.x = x;
+        this.y = y;
+        this.vx = 0;
+        this.vy = 0;
+        this.knockbackVx = 0;
+        this.channeling = false;
+        this.beam = null;
+        this.resetCharge();
+        this.breath = this.maxBreath;
+        this.buried = false;
+        this.lavaTimer = 0;
+        this.acidTimer = 0;
+        this.drownTimer = this.drownTickInterval;
+        this.grounded = false;
+        this.statusEffects = {};
+        this.spellCooldowns = {};
+        this.mana = this.maxMana;
+        this.health = this.maxHealth;
+        this.alive = true;
+        this.invulnerableTime = Math.max(0, invulnerableTime || 0);
+        this.lastDamagedBy = null;
+        this.input = {
+            left: false,
+            right: false,
+            jump: false,
+            shoot: false,
+            mouseX: this.input ? this.input.mouseX : 0,
+            mouseY: this.input ? this.input.mouseY : 0
+        };
     }
 
     resolveHorizontal(engine) {
@@ -266,6 +758,7 @@ class Player {
                 }
                 collided = true;
                 this.vx = 0;
+                this.knockbackVx = 0;
                 break;
             }
         }
@@ -275,6 +768,7 @@ class Player {
 
     resolveVertical(engine) {
         if (!engine || !engine.terrain) return null;
+        const impactSpeed = this.vy;
 
         const velocity = this.vy;
         if (velocity === 0) return null;
@@ -299,6 +793,10 @@ class Player {
             }
         }
 
+        if (collisionDirection === 'down' && impactSpeed > this.safeFallSpeed && engine.isServer) {
+            this.takeHazardDamage(engine, Math.round((impactSpeed - this.safeFallSpeed) * this.fallDamageFactor));
+        }
+
         return collisionDirection;
     }
 
@@ -358,38 +856,133 @@ class Player {
     }
 
     getFluidCoverage(engine) {
-        if (!engine || !engine.terrain) return 0;
+        return this.sampleFluids(engine).coverage;
+    }
+
+    /**
+     * Fraction of the body in any liquid, in lava and in acid, plus whether the head is under water;
+     * free liquid particles count as well as liquid terrain
+     */
+    sampleFluids(engine) {
+        const none = { coverage: 0, lava: 0, acid: 0, headSubmerged: false };
+        if (!engine || !engine.terrain) return none;
 
         const terrain = engine.terrain;
         const left = Math.floor(this.x);
         const right = Math.floor(this.x + this.width - 1);
         const top = Math.floor(this.y);
         const bottom = Math.floor(this.y + this.height - 1);
+        const headBottom = top + 2;
 
-        if (bottom < top || right < left) return 0;
+        if (bottom < top || right < left) return none;
+        const particles = typeof engine.collectLiquidParticles === 'function'
+            ? engine.collectLiquidParticles(left, top, right, bottom)
+            : null;
 
         let fluidCount = 0;
+        let lavaCount = 0;
+        let acidCount = 0;
+        let headWaterCount = 0;
+        let headCount = 0;
         let sampleCount = 0;
 
         for (let y = top; y <= bottom; y++) {
             for (let x = left; x <= right; x++) {
                 sampleCount++;
+                const inHead = y <= headBottom;
+                if (inHead) headCount++;
+                let material = terrain.getPixel(x, y);
+                let liquid;
                 if (typeof terrain.isLiquid === 'function') {
-                    if (terrain.isLiquid(x, y)) {
-                        fluidCount++;
-                    }
+                    liquid = terrain.isLiquid(x, y);
                 } else {
-                    const material = terrain.getPixel(x, y);
                     const props = terrain.substances[material];
-                    if (props && props.type === 'liquid') {
-                        fluidCount++;
+                    liquid = !!(props && props.type === 'liquid');
+                }
+                if (!liquid && particles && particles.size) {
+                    const particle = particles.get(y * terrain.width + Math.floor(wrapHorizontal(x, terrain.width)));
+                    if (particle !== undefined) {
+                        material = particle;
+                        liquid = true;
                     }
                 }
+                if (!liquid) continue;
+                fluidCount++;
+                if (material === terrain.LAVA) {
+                    lavaCount++;
+                } else if (material === terrain.ACID) {
+                    acidCount++;
+                } else if (inHead) {
+                    headWaterCount++;
+                }
             }
         }
 
-        if (sampleCount === 0) return 0;
-        return fluidCount / sampleCount;
+        if (sampleCount === 0) return none;
+        return {
+            coverage: fluidCount / sampleCount,
+            lava: lavaCount / sampleCount,
+            acid: acidCount / sampleCount,
+            headSubmerged: headCount > 0 && headWaterCount * 2 >= headCount
+        };
+    }
+
+    updateHazards(dt, engine) {
+        // Breath drains with the head under water or buried in sand and recovers in air
+        const airless = this.headSubmerged || this.buried;
+        if (airless) {
+            this.breath = Math.max(0, this.breath - this.breathDrainRate * dt / 1000);
+        } else if (this.breath < this.maxBreath) {
+            this.breath = Math.min(this.maxBreath, this.breath + this.breathRecoverRate * dt / 1000);
+        }
+
+        // Hazard damage is server authoritative; clients only track breath for the HUD
+        const authoritative = !!(engine && engine.isServer);
+
+        if (this.lastLavaCoverage > 0) {
+            this.lavaTimer -= dt;
+            if (this.lavaTimer <= 0) {
+                this.lavaTimer += this.lavaTickInterval;
+                if (authoritative) {
+                    this.applyStatusEffect('burning', 2000);
+                    this.takeHazardDamage(engine, this.lavaDamage);
+                }
+            }
+        } else {
+            this.lavaTimer = 0;
+        }
+
+        // Acid only eats at the skin; it doesn't set anyone alight
+        if (this.lastAcidCoverage > 0) {
+            this.acidTimer -= dt;
+            if (this.acidTimer <= 0) {
+                this.acidTimer += this.acidTickInterval;
+                if (authoritative) {
+                    this.takeHazardDamage(engine, this.acidDamage);
+                }
+            }
+        } else {
+            this.acidTimer = 0;
+        }
+
+        if (airless && this.breath <= 0) {
+            this.drownTimer -= dt;
+            if (this.drownTimer <= 0) {
+                this.drownTimer += this.drownTickInterval;
+                if (authoritative) {
+                    this.takeHazardDamage(engine, this.drownDamage);
+                }
+            }
+        } else {
+            this.drownTimer = this.drownTickInterval;
+        }
+    }
+
+    takeHazardDamage(engine, amount) {
+        if (engine && typeof engine.damagePlayer === 'function') {
+            return engine.damagePlayer(this, amount, null);
+        }
+        return this.takeDamage(amount, null);
     }
 
     applyFluidForces(engine, coverage) {
@@ -411,14 +1004,19 @@ class Player {
 
         const drag = Math.max(0.2, 1 - 0.55 * clampedCoverage);
         this.vx *= drag;
+        this.knockbackVx *= drag;
         if (Math.abs(this.vx) < 0.01) {
             this.vx = 0;
+            this.knockbackVx = 0;
         }
     }
 
     riseOutOfGranular(engine) {
         if (!engine || !engine.terrain) return;
-        if (!this.isInsideGranular(engine)) return;
+        if (!this.isInsideGranular(engine)) {
+            this.buried = false;
+            return;
+        }
 
         const maxLift = this.height + 2;
         let lifted = 0;
@@ -435,10 +1033,18 @@ class Player {
             this.vy = Math.min(this.vy, 0);
             this.grounded = this.isColliding(engine, this.x, this.y + 0.1);
         }
+        this.buried = this.isInsideGranular(engine);
     }
 
     render(ctx, scale) {
         if (!this.alive) return;
+
+        // Blink while spawn protection is active
+        const invulnerable = this.invulnerableTime > 0;
+        if (invulnerable) {
+            ctx.save();
+            ctx.globalAlpha = (Math.floor(Date.now() / 120) % 2 === 0) ? 0.35 : 0.8;
+        }
         
         const x = this.x * scale;
         const y = this.y * scale;
@@ -480,10 +1086,22 @@ class Player {
         
         // Staff orb
         const spellColor = this.getSpellColor(this.spells[this.selectedSpell]);
+        if (this.beam) {
+            this.renderBeam(ctx, scale, spellColor);
+        }
+        // The orb swells and a ring fills in while a charge spell is held
+        const chargeLevel = this.getChargeLevel();
         ctx.fillStyle = spellColor;
         ctx.beginPath();
-        ctx.arc(staffEndX, staffEndY, 3, 0, Math.PI * 2);
+        ctx.arc(staffEndX, staffEndY, 3 + chargeLevel * 2, 0, Math.PI * 2);
         ctx.fill();
+        if (chargeLevel > 0) {
+            ctx.strokeStyle = chargeLevel >= 1 ? '#ffffff' : spellColor;
+            ctx.lineWidth = 1.5;
+            ctx.beginPath();
+            ctx.arc(staffEndX, staffEndY, 7, -Math.PI / 2, -Math.PI / 2 + Math.PI * 2 * chargeLevel);
+            ctx.stroke();
+        }
         
         // Health bar
         const barWidth = w;
@@ -495,6 +1113,61 @@ class Player {
         
         ctx.fillStyle = '#ef4444';
         ctx.fillRect(x, barY, barWidth * (this.health / this.maxHealth), barHeight);
+
+        this.renderStatusEffects(ctx, x, y, w, h, barY);
+
+        if (invulnerable) {
+            ctx.restore();
+        }
+    }
+    
+    renderBeam(ctx, scale, color) {
+        const beam = this.beam;
+        ctx.save();
+        ctx.strokeStyle = color;
+        ctx.lineCap = 'round';
+        ctx.globalAlpha = 0.35;
+        ctx.lineWidth = 5 * scale;
+        ctx.beginPath();
+        ctx.moveTo(beam.x * scale, beam.y * scale);
+        ctx.lineTo(beam.endX * scale, beam.endY * scale);
+        ctx.stroke();
+        ctx.globalAlpha = 1;
+        ctx.lineWidth = 1.5 * scale;
+        ctx.stroke();
+        if (beam.hit) {
+            ctx.fillStyle = '#fff7ed';
+            ctx.beginPath();
+            ctx.arc(beam.endX * scale, beam.endY * scale, 2.5 * scale, 0, Math.PI * 2);
+            ctx.fill();
+        }
+        ctx.restore();
+    }
+    
+    renderStatusEffects(ctx, x, y, w, h, barY) {
+        const ids = Object.keys(this.statusEffects);
+        if (ids.length === 0) return;
+
+        // Body tint for the strongest visual effect
+        for (const id of ids) {
+            const definition = Player.STATUS_EFFECTS[id];
+            if (!definition || !definition.tint) continue;
+            ctx.save();
+            ctx.globalAlpha = 0.35;
+            ctx.fillStyle = definition.tint;
+            ctx.fillRect(x, y, w, h);
+            ctx.restore();
+            break;
+        }
+
+        // One pip per active effect above the health bar
+        const pipSize = 3;
+        for (let i = 0; i < ids.length; i++) {
+            const definition = Player.STATUS_EFFECTS[ids[i]];
+            if (!definition) continue;
+            ctx.fillStyle = definition.color;
+            ctx.fillRect(x + i * (pipSize + 1), barY - pipSize - 1, pipSize, pipSize);
+        }
     }
     
     serialize() {
@@ -504,25 +1177,135 @@ class Player {
             y: this.y,
             vx: this.vx,
             vy: this.vy,
+            knockbackVx: this.knockbackVx,
             aimAngle: this.aimAngle,
             health: this.health,
             alive: this.alive,
-            selectedSpell: this.selectedSpell
+            invulnerableTime: this.invulnerableTime,
+            mana: this.mana,
+            maxMana: this.maxMana,
+            breath: this.breath,
+            maxBreath: this.maxBreath,
+            spellCooldowns: { ...this.spellCooldowns },
+            statusEffects: this.serializeStatusEffects(),
+            selectedSpell: this.selectedSpell,
+            team: this.team
         };
     }
+
+    serializeStatusEffects() {
+        const effects = {};
+        for (const id in this.statusEffects) {
+            effects[id] = { ...this.statusEffects[id] };
+        }
+        return effects;
+    }
+
+    loadStatusEffects(effects) {
+        this.statusEffects = {};
+        if (!effects || typeof effects !== 'object') return;
+        for (const id in effects) {
+            const effect = effects[id];
+            if (!Player.STATUS_EFFECTS[id] || !effect || !(effect.remaining > 0)) continue;
+            this.statusEffects[id] = {
+                remaining: effect.remaining,
+                stacks: Number.isFinite(effect.stacks) ? effect.stacks : 1,
+                tickTimer: Number.isFinite(effect.tickTimer) ? effect.tickTimer : 0,
+                sourceId: typeof effect.sourceId === 'string' ? effect.sourceId : null
+            };
+        }
+    }
     
     deserialize(data) {
         this.x = data.x;
         this.y = data.y;
         this.vx = data.vx;
         this.vy = data.vy;
+        this.knockbackVx = Number.isFinite(data.knockbackVx) ? data.knockbackVx : 0;
         this.aimAngle = data.aimAngle;
         this.health = data.health;
         this.alive = data.alive;
+        this.invulnerableTime = Number.isFinite(data.invulnerableTime) ? data.invulnerableTime : 0;
+        if (Number.isFinite(data.mana)) this.mana = data.mana;
+        if (Number.isFinite(data.maxMana)) this.maxMana = data.maxMana;
+        if (Number.isFinite(data.breath)) this.breath = data.breath;
+        if (Number.isFinite(data.maxBreath)) this.maxBreath = data.maxBreath;
+        if (data.spellCooldowns && typeof data.spellCooldowns === 'object') {
+            this.spellCooldowns = { ...data.spellCooldowns };
+        }
+        if (data.statusEffects && typeof data.statusEffects === 'object') {
+            this.loadStatusEffects(data.statusEffects);
+        }
         this.selectedSpell = this.normalizeSpellIndex(data.selectedSpell);
+        if (data.team !== undefined) {
+            this.setTeam(data.team);
+        }
     }
 }
 
+Player.STATUS_EFFECTS = {
+    burning: {
+        color: '#ff6b35',
+        tint: null,
+        stacking: 'stack',
+        maxStacks: 3,
+        maxDuration: 5000,
+        tickDamage: 3,
+        tickInterval: 500
+    },
+    frozen: {
+        color: '#a5f3fc',
+        tint: '#a5f3fc',
+        stacking: 'refresh',
+        maxStacks: 1,
+        maxDuration: 2000,
+        moveMultiplier: 0,
+        jumpMultiplier: 0
+    },
+    slowed: {
+        color: '#4ecdc4',
+        tint: null,
+        stacking: 'stack',
+        maxStacks: 3,
+        maxDuration: 4000,
+        moveMultiplier: 0.7,
+        jumpMultiplier: 0.85
+    },
+    stunned: {
+        color: '#ffd93d',
+        tint: '#fef08a',
+        stacking: 'extend',
+        maxStacks: 1,
+        maxDuration: 1500,
+        moveMultiplier: 0,
+        jumpMultiplier: 0,
+        preventsCasting: true
+    }
+};
+
+// How much longer than the server measured a client may claim to have charged (ms), to cover input jitter
+Player.CHARGE_TOLERANCE = 150;
+
+Player.TEAM_COLORS = {
+    red: { robe: '#ef4444', hat: '#7f1d1d' },
+    blue: { robe: '#3b82f6', hat: '#1e3a8a' },
+    green: { robe: '#22c55e', hat: '#14532d' },
+    yellow: { robe: '#facc15', hat: '#713f12' }
+};
+
+// Colours for configured team names outside TEAM_COLORS, picked by the team's position in the config
+Player.TEAM_FALLBACK_COLORS = [
+    { robe: '#a855f7', hat: '#4c1d95' },
+    { robe: '#f97316', hat: '#7c2d12' },
+    { robe: '#14b8a6', hat: '#134e4a' },
+    { robe: '#ec4899', hat: '#831843' },
+    { robe: '#84cc16', hat: '#365314' },
+    { robe: '#06b6d4', hat: '#164e63' }
+];
+
+// Team names in the order the server configured them, kept up to date from game mode state
+Player.teamOrder = [];
+
 if (typeof globalThis !== 'undefined') {
     globalThis.Player = globalThis.Player || Player;
 }
@@ -18,6 +18,12 @@ class Projectile {
         this.dead = false;
         this.pending = false;
         this.serverId = null;
+        this.affectedPlayers = new Set(); // players already given this spell's status effects
+        this.behaviors = []; // resolved behaviour options, see Projectile.BEHAVIORS
+        this.behaviorState = {}; // per-projectile behaviour bookkeeping (bounces used, already split)
+        this.charge = 0; // 0..1, how long the caster held the spell relative to its full charge time
+        this.penetration = 0; // power left for passing through solid cells, see Projectile.penetrationCost
+        this.ricochets = 0; // times this projectile has glanced off a ricochet surface
 
         // Effect properties based on type
         this.setupType();
@@ -27,44 +33,66 @@ class Projectile {
     }
     
     setupType() {
-        switch (this.type) {
-            case 'fireball':
-                this.color = '#ff6b35';
-                this.explosionRadius = 15;
-                this.damage = 25;
-                this.gravity = 0.05;
-                break;
-                
-            case 'ice':
-                this.color = '#4ecdc4';
-                this.explosionRadius = 10;
-                this.damage = 15;
-                this.gravity = 0;
-                this.piercing = true;
-                break;
-                
-            case 'lightning':
-                this.color = '#ffd93d';
-                this.explosionRadius = 8;
-                this.damage = 30;
-                this.gravity = 0;
-                this.speed = 1.5;
-                this.vx *= this.speed;
-                this.vy *= this.speed;
-                break;
-                
-            case 'earth':
-                this.color = '#92633c';
-                this.explosionRadius = 20;
-                this.damage = 20;
-                this.gravity = 0.2;
-                break;
-                
-            default:
-                this.color = '#ffffff';
-                this.explosionRadius = 10;
-                this.gravity = 0;
+        const spell = typeof spellRegistry !== 'undefined' && spellRegistry
+            ? spellRegistry.get(this.type)
+            : null;
+        this.spell = spell;
+        if (!spell) {
+            this.color = '#ffffff';
+            this.explosionRadius = 10;
+            this.gravity = 0;
+            this.behaviors = [];
+            return;
+        }
+
+        this.color = spell.color;
+        this.radius = spell.radius;
+        this.damage = spell.damage;
+        this.explosionRadius = spell.explosionRadius;
+        this.gravity = spell.gravity;
+        this.piercing = spell.piercing;
+        this.maxLifetime = spell.lifetime;
+        this.penetration = spell.penetration || 0;
+        this.behaviors = Array.isArray(spell.behaviors)
+            ? spell.behaviors
+                .filter((options) => Projectile.BEHAVIORS[options.id])
+                .map((options) => ({ ...Projectile.BEHAVIORS[options.id].defaults, ...options }))
+            : [];
+    }
+
+    /**
+     * Multiplier a charge spell applies to `key` (speed, damage or explosionRadius) at the given charge level
+     */
+    static chargeMultiplier(spell, key, level) {
+        if (!spell || !spell.charge || !Number.isFinite(spell.charge[key])) return 1;
+        const clamped = Number.isFinite(level) ? Math.max(0, Math.min(1, level)) : 0;
+        return 1 + (spell.charge[key] - 1) * clamped;
+    }
+
+    /**
+     * Scale damage and blast size for a charged cast; the caster already scaled the launch speed
+     */
+    applyCharge(level) {
+        this.charge = Number.isFinite(level) ? Math.max(0, Math.min(1, level)) : 0;
+        const spell = this.spell;
+        if (!spell || !spell.charge) return;
+        this.damage = spell.damage * Projectile.chargeMultiplier(spell, 'damage', this.charge);
+        this.explosionRadius = spell.explosionRadius * Projectile.chargeMultiplier(spell, 'explosionRadius', this.charge);
+    }
+
+    /**
+     * Run one hook ('update', 'collide' or 'explode') on every behaviour; true if any of them handled it
+     */
+    runBehaviors(hook, engine, arg) {
+        let handled = false;
+        for (let i = 0; i < this.behaviors.length; i++) {
+            const options = this.behaviors[i];
+            const behavior = Projectile.BEHAVIORS[options.id];
+            if (behavior && typeof behavior[hook] === 'function' && behavior[hook](this, engine, arg, options)) {
+                handled = true;
+            }
         }
+        return handled;
     }
     
     update(dt, engine) {
@@ -79,7 +107,13 @@ class Projectile {
         if (this.gravity) {
             this.vy += this.gravity;
         }
+
+        if (engine && this.behaviors.length) {
+            this.runBehaviors('update', engine, dt);
+        }
         
+        const startX = this.x;
+        const startY = this.y;
         const stepX = this.vx;
         const stepY = this.vy;
         const isAuthoritative = engine ? !!engine.isServer : false;
@@ -90,7 +124,15 @@ class Projectile {
                 this.x = wrapHorizontal(hit.x, engine.width);
                 this.y = hit.y;
 
-                if (hit.collided) {
+                if (this.hitShield(engine, startX, startY)) {
+                    return;
+                }
+
+                if (hit.liquid && this.enterLiquid(engine)) {
+                    return;
+                }
+
+                if (hit.collided && !this.ricochet(engine, hit) && !this.runBehaviors('collide', engine, hit)) {
                     this.explode(engine);
                     return;
                 }
@@ -99,7 +141,15 @@ class Projectile {
                 this.x = wrapHorizontal(hit.x, engine.width);
                 this.y = hit.y;
 
-                if (hit.collided) {
+                if (this.hitShield(engine, startX, startY)) {
+                    return;
+                }
+
+                if (hit.liquid && this.enterLiquid(engine)) {
+                    return;
+                }
+
+                if (hit.collided && !this.ricochet(engine, hit) && !this.runBehaviors('collide', engine, hit)) {
                     this.dead = true;
                     return;
                 }
@@ -125,9 +175,12 @@ class Projectile {
             for (const [id, player] of engine.players.entries()) {
                 if (id === this.ownerId) continue;
                 if (!player.alive) continue;
+                if (!this.canDamage(engine, player)) continue;
 
                 if (this.checkPlayerCollision(player, engine)) {
-                    player.takeDamage(this.damage);
+                    if (this.dealDamage(engine, player, this.damage) > 0) {
+                        this.applyHitEffects(player);
+                    }
 
                     if (!this.piercing) {
                         this.explode(engine);
@@ -143,24 +196,292 @@ class Projectile {
         }
     }
 
+    /**
+     * Walk this projectile's step, spending its penetration; see Projectile.castRay
+     */
     raycast(engine, startX, startY, deltaX, deltaY) {
+        // Elemental spells stop where they meet water; everything else passes through it
+        const hit = Projectile.castRay(engine, startX, startY, deltaX, deltaY, {
+            penetration: this.penetration,
+            watchWater: !!(this.spell && this.spell.element)
+        });
+        this.penetration = hit.penetration;
+        return hit;
+    }
+
+    /**
+     * Walk a ray a pixel at a time. Solid cells that can still be afforded are paid for out of `options.penetration`; the
+     * first one that can't stops the ray, and the result carries that cell's material and surface normal, plus the
+     * penetration left. With `options.watchWater` the ray also stops at water. It needs no projectile, so beams trace
+     * with it too, and server and client run this same walk on the same terrain, so both see the same hits.
+     */
+    static castRay(engine, startX, startY, deltaX, deltaY, options = {}) {
+        let penetration = Number.isFinite(options.penetration) ? options.penetration : 0;
         const steps = Math.ceil(Math.max(Math.abs(deltaX), Math.abs(deltaY)));
         if (steps <= 0) {
-            return { x: startX, y: startY, collided: false };
+            return { x: startX, y: startY, collided: false, penetration };
         }
+        const terrain = engine.terrain;
         const stepX = deltaX / steps;
         const stepY = deltaY / steps;
+        const watchWater = !!options.watchWater && typeof engine.getLiquidAt === 'function';
         let x = startX;
         let y = startY;
+        // The starting cell was paid for on the previous step
+        let lastCellX = Math.floor(wrapHorizontal(startX, engine.width));
+        let lastCellY = Math.floor(startY);
         for (let i = 1; i <= steps; i++) {
             x += stepX;
             y += stepY;
             const wrappedX = wrapHorizontal(x, engine.width);
-            if (engine.terrain.isSolid(Math.floor(wrappedX), Math.floor(y))) {
-                return { x: wrappedX, y, collided: true };
+            if (watchWater && engine.getLiquidAt(wrappedX, y) === terrain.WATER) {
+                return { x: wrappedX, y, collided: false, liquid: terrain.WATER, penetration };
+            }
+            const cellX = Math.floor(wrappedX);
+            const cellY = Math.floor(y);
+            if (!terrain.isSolid(cellX, cellY)) continue;
+            if (cellX === lastCellX && cellY === lastCellY) continue;
+            lastCellX = cellX;
+            lastCellY = cellY;
+
+            const material = terrain.getPixel(cellX, cellY);
+            const cost = Projectile.penetrationCost(terrain.substances[material]);
+            if (cost <= penetration) {
+                penetration -= cost;
+                continue;
+            }
+
+            // prevX/prevY is the last open point before the surface
+            const normal = Projectile.surfaceNormal(terrain, cellX, cellY, stepX, stepY);
+            return {
+                x: wrappedX,
+                y,
+                collided: true,
+                prevX: wrapHorizontal(x - stepX, engine.width),
+                prevY: y - stepY,
+                material,
+                nx: normal.nx,
+                ny: normal.ny,
+                penetration
+            };
+        }
+        return { x, y, collided: false, penetration };
+    }
+
+    /**
+     * Penetration a projectile spends to pass through one cell of a substance
+     */
+    static penetrationCost(substance) {
+        if (!substance) return Infinity;
+        return substance.durability * substance.density;
+    }
+
+    /**
+     * Outward unit normal of the surface at a solid cell, from the solid cells around it.
+     * Falls back to facing straight back along the travel direction when the neighbourhood is ambiguous.
+     */
+    static surfaceNormal(terrain, cellX, cellY, dirX, dirY) {
+        const reach = Projectile.NORMAL_SAMPLE_RADIUS;
+        let sumX = 0;
+        let sumY = 0;
+        for (let dy = -reach; dy <= reach; dy++) {
+            for (let dx = -reach; dx <= reach; dx++) {
+                if ((dx || dy) && terrain.isSolid(cellX + dx, cellY + dy)) {
+                    sumX -= dx;
+                    sumY -= dy;
+                }
             }
         }
-        return { x, y, collided: false };
+        const length = Math.sqrt(sumX * sumX + sumY * sumY);
+        // A normal facing along the travel direction would mean we hit the surface from inside
+        if (length > 0.001 && sumX * dirX + sumY * dirY < 0) {
+            return { nx: sumX / length, ny: sumY / length };
+        }
+        const speed = Math.sqrt(dirX * dirX + dirY * dirY) || 1;
+        return { nx: -dirX / speed, ny: -dirY / speed };
+    }
+
+    /**
+     * Glance off ricochet surfaces (bedrock) hit at a shallow enough angle; true if the projectile bounced
+     */
+    ricochet(engine, hit) {
+        const substance = engine.terrain.substances[hit.material];
+        if (!substance || !substance.ricochet || this.ricochets >= Projectile.MAX_RICOCHETS) return false;
+        const speed = Math.sqrt(this.vx * this.vx + this.vy * this.vy);
+        if (speed <= 0) return false;
+        const dot = this.vx * hit.nx + this.vy * hit.ny;
+        // Angle between the path and the surface itself, not its normal
+        if (Math.asin(Math.min(1, Math.abs(dot) / speed)) > Projectile.RICOCHET_ANGLE) return false;
+
+        this.ricochets++;
+        this.vx = (this.vx - 2 * dot * hit.nx) * Projectile.RICOCHET_DAMPING;
+        this.vy = (this.vy - 2 * dot * hit.ny) * Projectile.RICOCHET_DAMPING;
+        this.x = hit.prevX;
+        this.y = hit.prevY;
+        if (typeof engine.spawnParticles === 'function') {
+            engine.spawnParticles(this.x, this.y, 3, this.color);
+        }
+        return true;
+    }
+
+    /**
+     * An elemental spell reached water: fire is snuffed out in a puff of steam, ice and lightning go off at the surface.
+     * Returns true if the projectile is finished.
+     */
+    enterLiquid(engine) {
+        const element = this.spell ? this.spell.element : null;
+        if (!element) return false;
+
+        if (element.id === 'fire') {
+            engine.spawnParticles(this.x, this.y, 8, '#e5e7eb');
+            if (engine.isServer && typeof engine.reactToElement === 'function') {
+                engine.reactToElement(this.x, this.y, element.id, element.radius / 2, this.damage, this.ownerId);
+            }
+            this.dead = true;
+            return true;
+        }
+
+        if (engine.isServer) {
+            this.explode(engine);
+        } else {
+            this.dead = true;
+        }
+        return true;
+    }
+
+    /**
+     * Test this step against enemy wards; returns true if a ward stopped or turned the projectile
+     */
+    hitShield(engine, startX, startY) {
+        const shields = engine.shields;
+        if (!Array.isArray(shields) || shields.length === 0) return false;
+
+        for (const shield of shields) {
+            if (!shield || shield.dead || shield.ownerId === this.ownerId) continue;
+            // Wards don't stop spells that couldn't hurt their caster anyway (teammates without friendly fire)
+            const owner = engine.players.get(shield.ownerId);
+            if (owner && !this.canDamage(engine, owner)) continue;
+            const contact = shield.intersect(engine, startX, startY, this.x, this.y, this.radius);
+            if (!contact) continue;
+
+            // Hit points only drain on the server; clients mirror the outcome until the next broadcast
+            const holds = engine.isServer ? shield.absorb(this.damage) : !shield.dead;
+            if (typeof engine.spawnParticles === 'function') {
+                engine.spawnParticles(this.x, this.y, 6, shield.color);
+            }
+
+            if (shield.reflect && holds) {
+                // Bounce off the ward's surface and change sides
+                const dot = this.vx * contact.nx + this.vy * contact.ny;
+                if (dot < 0) {
+                    this.vx -= 2 * dot * contact.nx;
+                    this.vy -= 2 * dot * contact.ny;
+                }
+                this.x = wrapHorizontal(startX, engine.width);
+                this.y = startY;
+                this.ownerId = shield.ownerId;
+                this.affectedPlayers.clear();
+            } else {
+                this.dead = true;
+            }
+            return true;
+        }
+        return false;
+    }
+
+    /**
+     * Two opposing spells met in flight (server only): both are spent, and the pair's entry in
+     * Projectile.COLLISION_RULES picks what happens where they met (a plain fizzle unless listed)
+     */
+    static resolveCollision(engine, a, b) {
+        const pair = [Projectile.collisionKey(a), Projectile.collisionKey(b)].sort().join('+');
+        const effectId = Projectile.COLLISION_RULES[pair] || 'cancel';
+        const effect = Projectile.COLLISION_EFFECTS[effectId];
+        const x = wrapHorizontal(a.x + shortestWrappedDelta(b.x, a.x, engine.width) / 2, engine.width);
+        const y = (a.y + b.y) / 2;
+
+        // Scalding bursts hurt everyone caught in them, casters included
+        if (effect.damage > 0 && effect.radius > 0) {
+            for (const player of engine.playerList) {
+                if (!player || !player.alive) continue;
+                const dx = shortestWrappedDelta(player.x + player.width / 2, x, engine.width);
+                const dy = player.y + player.height / 2 - y;
+                const dist = Math.sqrt(dx * dx + dy * dy);
+                if (dist >= effect.radius) continue;
+                engine.damagePlayer(player, Math.max(1, Math.round(effect.damage * (1 - dist / effect.radius))), null);
+            }
+        }
+
+        for (const projectile of [a, b]) {
+            projectile.dead = true;
+            const id = projectile.serverId || projectile.__broadcastKey;
+            if (id && engine.projectileCollisions) {
+                engine.projectileCollisions.set(id, { effect: effectId, x, y });
+            }
+        }
+        return effectId;
+    }
+
+    /**
+     * What a projectile counts as in collision rules: its element if it has one, otherwise its spell id
+     */
+    static collisionKey(projectile) {
+        const spell = projectile.spell;
+        return spell && spell.element ? spell.element.id : projectile.type;
+    }
+
+    canDamage(engine, player) {
+        if (engine && typeof engine.canDamagePlayer === 'function') {
+            return engine.canDamagePlayer(this.ownerId, player);
+        }
+        return true;
+    }
+
+    dealDamage(engine, player, amount) {
+        if (engine && typeof engine.damagePlayer === 'function') {
+            return engine.damagePlayer(player, amount, this.ownerId);
+        }
+        return player.takeDamage(amount, this.ownerId);
+    }
+
+    applyHitEffects(player) {
+        const effects = this.spell && Array.isArray(this.spell.effects) ? this.spell.effects : null;
+        if (!effects || !player || typeof player.applyStatusEffect !== 'function') return;
+        if (this.affectedPlayers.has(player.id)) return;
+        this.affectedPlayers.add(player.id);
+        for (const effect of effects) {
+            player.applyStatusEffect(effect.id, effect.duration, this.ownerId, effect.stacks);
+        }
+    }
+
+    applyKnockback(player, dx, dy, dist, falloff) {
+        const strength = this.spell && Number.isFinite(this.spell.knockback) ? this.spell.knockback : 0;
+        if (!(strength > 0) || !player || typeof player.applyImpulse !== 'function') return;
+        const force = strength * falloff;
+        // Point-blank hits have no direction, so push along the projectile's travel instead
+        let nx = dist > 0.001 ? dx / dist : Math.sign(this.vx) || 1;
+        let ny = dist > 0.001 ? dy / dist : 0;
+        // Bias upward a little so blasts lift mages off the ground rather than grinding them into it
+        ny -= 0.5;
+        const length = Math.sqrt(nx * nx + ny * ny) || 1;
+        player.applyImpulse(force * nx / length, force * ny / length);
+    }
+
+    findNearestEnemy(engine, range) {
+        let nearest = null;
+        let nearestDistSq = range * range;
+        for (const [id, player] of engine.players.entries()) {
+            if (id === this.ownerId || !player.alive) continue;
+            if (!this.canDamage(engine, player)) continue;
+            const dx = shortestWrappedDelta(player.x + player.width / 2, this.x, engine.width);
+            const dy = player.y + player.height / 2 - this.y;
+            const distSq = dx * dx + dy * dy;
+            if (distSq < nearestDistSq) {
+                nearest = { player, dx, dy };
+                nearestDistSq = distSq;
+            }
+        }
+        return nearest;
     }
 
     checkPlayerCollision(player, engine) {
@@ -175,14 +496,21 @@ class Projectile {
     explode(engine) {
         const isAuthoritative = engine ? !!engine.isServer : false;
 
+        // React with nearby water and ice before the blast scatters it
+        const element = this.spell ? this.spell.element : null;
+        if (element && typeof engine.reactToElement === 'function') {
+            engine.reactToElement(this.x, this.y, element.id, element.radius, this.damage, this.ownerId);
+        }
+
         if (this.explosionRadius > 0) {
-            engine.destroyTerrain(this.x, this.y, this.explosionRadius, true);
+            engine.destroyTerrain(this.x, this.y, this.explosionRadius, true, true, this.ownerId);
         }
 
         // Damage nearby players
         for (const [id, player] of engine.players.entries()) {
             if (id === this.ownerId) continue;
             if (!player.alive) continue;
+            if (!this.canDamage(engine, player)) continue;
             
             const px = player.x + player.width / 2;
             const py = player.y + player.height / 2;
@@ -192,7 +520,10 @@ class Projectile {
             
             if (dist < this.explosionRadius * 2) {
                 const damageFactor = 1 - (dist / (this.explosionRadius * 2));
-                player.takeDamage(Math.floor(this.damage * damageFactor * 0.5));
+                if (this.dealDamage(engine, player, Math.floor(this.damage * damageFactor * 0.5)) > 0) {
+                    this.applyHitEffects(player);
+                }
+                this.applyKnockback(player, -dx, -dy, dist, damageFactor);
             }
         }
         
@@ -202,47 +533,78 @@ class Projectile {
         
         // Type-specific effects
         this.typeSpecificEffect(engine);
+
+        if (this.behaviors.length) {
+            this.runBehaviors('explode', engine);
+        }
         
         this.dead = true;
     }
     
     typeSpecificEffect(engine) {
-        switch (this.type) {
-            case 'fireball':
-                // Extra particles for fire
-                engine.spawnParticles(this.x, this.y, 10, '#ff9500');
+        const impact = this.spell ? this.spell.impact : null;
+        if (!impact) return;
+
+        switch (impact.type) {
+            case 'burst':
+                // Extra particles in the impact colour
+                engine.spawnParticles(this.x, this.y, impact.particles, impact.color || this.color);
                 break;
                 
-            case 'ice':
-                // Freeze effect - spawn ice particles
-                engine.spawnParticles(this.x, this.y, 15, '#a5f3fc');
+            case 'fire':
+                // Sets flammable ground around the blast alight; the server runs the flames
+                engine.spawnParticles(this.x, this.y, impact.particles, impact.color || this.color);
+                if (engine.isServer && typeof engine.ignite === 'function') {
+                    engine.ignite(this.x, this.y, Math.max(impact.radius, this.explosionRadius + 3));
+                }
                 break;
-                
-            case 'lightning':
-                // Lightning chain effect
-                for (let i = 0; i < 5; i++) {
+
+            case 'sparks':
+                // Scattered chain sparks around the impact point
+                for (let i = 0; i < impact.particles; i++) {
                     const rng = engine && engine.random ? engine.random : null;
                     const angle = (rng ? rng.nextFloat() : Math.random()) * Math.PI * 2;
                     const dist = (rng ? rng.nextFloat() : Math.random()) * 20;
                     const px = this.x + Math.cos(angle) * dist;
                     const py = this.y + Math.sin(angle) * dist;
-                    engine.spawnParticles(wrapHorizontal(px, engine.width), py, 3, this.color);
+                    engine.spawnParticles(wrapHorizontal(px, engine.width), py, 3, impact.color || this.color);
                 }
                 break;
-                
-            case 'earth':
-                // Spawn small debris
+
+            case 'fluid':
+                // Conjured liquid joins the falling-sand simulation on the server
+                engine.spawnParticles(this.x, this.y, impact.particles, impact.color || this.color);
+                if (typeof engine.conjureFluid === 'function') {
+                    engine.conjureFluid(this.x, this.y, impact.material, impact.amount, this.ownerId);
+                }
+                break;
+
+            case 'build': {
+                // Step back out of the surface that was hit so the structure stands in open air
+                engine.spawnParticles(this.x, this.y, impact.particles, impact.color || this.color);
+                if (typeof engine.buildTerrain !== 'function') break;
+                const speed = Math.sqrt(this.vx * this.vx + this.vy * this.vy) || 1;
+                const backoff = impact.thickness + 1;
+                engine.buildTerrain(this.x - (this.vx / speed) * backoff, this.y - (this.vy / speed) * backoff, {
+                    shape: impact.shape,
+                    material: impact.material,
+                    length: impact.length,
+                    thickness: impact.thickness,
+                    direction: this.vx < 0 ? -1 : 1
+                }, this.ownerId);
                 break;
+            }
         }
     }
     
     render(ctx, scale) {
         if (this.dead) return;
         
-        // Glow effect
+        // Glow effect (charged shots glow wider)
+        const glow = this.radius * (2 + this.charge);
         const gradient = ctx.createRadialGradient(
             this.x * scale, this.y * scale, 0,
-            this.x * scale, this.y * scale, this.radius * scale * 2
+            this.x * scale, this.y * scale, glow * scale
         );
         gradient.addColorStop(0, this.color);
         gradient.addColorStop(0.5, this.color + '80');
@@ -250,10 +612,10 @@ class Projectile {
         
         ctx.fillStyle = gradient;
         ctx.fillRect(
-            (this.x - this.radius * 2) * scale,
-            (this.y - this.radius * 2) * scale,
-            this.radius * 4 * scale,
-            this.radius * 4 * scale
+            (this.x - glow) * scale,
+            (this.y - glow) * scale,
+            glow * 2 * scale,
+            glow * 2 * scale
         );
         
         // Core
@@ -262,8 +624,8 @@ class Projectile {
         ctx.arc(this.x * scale, this.y * scale, this.radius * scale, 0, Math.PI * 2);
         ctx.fill();
         
-        // Type-specific rendering
-        if (this.type === 'lightning') {
+        // Streaking spells draw a line along their velocity
+        if (this.spell && this.spell.streak) {
             ctx.strokeStyle = this.color;
             ctx.lineWidth = 2;
             ctx.beginPath();
@@ -286,6 +648,102 @@ class Projectile {
     }
 }
 
+Projectile.NORMAL_SAMPLE_RADIUS = 2; // cells either side sampled when estimating a surface normal
+Projectile.RICOCHET_ANGLE = Math.PI / 6; // steepest approach, measured from the surface, that still glances off
+Projectile.RICOCHET_DAMPING = 0.8;
+Projectile.MAX_RICOCHETS = 3;
+
+// Sorted pair of collision keys (see Projectile.collisionKey) -> effect; unlisted pairs cancel out
+Projectile.COLLISION_RULES = {
+    'fire+ice': 'steam'
+};
+
+// What a mid-air collision leaves behind; a null colour uses the spells' own colours
+Projectile.COLLISION_EFFECTS = {
+    cancel: { particles: 6, color: null, radius: 0, damage: 0 },
+    steam: { particles: 18, color: '#e5e7eb', radius: 28, damage: 12 }
+};
+
+/**
+ * Composable projectile behaviours. Spells list them as { id, ...options }; options fill in from defaults.
+ * Hooks get (projectile, engine, arg, options): update runs every tick before the projectile moves (arg is dt),
+ * collide may return true to keep flying after touching terrain (arg is the raycast hit),
+ * explode runs when the projectile detonates, which only happens on the server.
+ */
+Projectile.BEHAVIORS = {
+    homing: {
+        defaults: { range: 160, turnRate: 0.06 },
+        update(projectile, engine, dt, options) {
+            const target = projectile.findNearestEnemy(engine, options.range);
+            if (!target) return false;
+            const speed = Math.sqrt(projectile.vx * projectile.vx + projectile.vy * projectile.vy);
+            if (speed <= 0) return false;
+            // Turn toward the target by at most turnRate radians per tick
+            const heading = Math.atan2(projectile.vy, projectile.vx);
+            let diff = Math.atan2(target.dy, target.dx) - heading;
+            if (diff > Math.PI) diff -= Math.PI * 2;
+            if (diff < -Math.PI) diff += Math.PI * 2;
+            const turned = heading + Math.max(-options.turnRate, Math.min(options.turnRate, diff));
+            projectile.vx = Math.cos(turned) * speed;
+            projectile.vy = Math.sin(turned) * speed;
+            return true;
+        }
+    },
+    attract: {
+        defaults: { radius: 40, moves: 150 },
+        update(projectile, engine, dt, options) {
+            // Loose sand lives on the server's simulation thread
+            if (!engine.isServer || typeof engine.attractSand !== 'function') return false;
+            engine.attractSand(projectile.x, projectile.y, options.radius, options.moves);
+            return true;
+        }
+    },
+    bounce: {
+        defaults: { count: 2, damping: 0.7 },
+        collide(projectile, engine, hit, options) {
+            const used = projectile.behaviorState.bounces || 0;
+            if (used >= options.count) return false;
+            projectile.behaviorState.bounces = used + 1;
+
+            // Mirror the velocity about the surface normal
+            const dot = projectile.vx * hit.nx + projectile.vy * hit.ny;
+            projectile.vx = (projectile.vx - 2 * dot * hit.nx) * options.damping;
+            projectile.vy = (projectile.vy - 2 * dot * hit.ny) * options.damping;
+            projectile.x = hit.prevX;
+            projectile.y = hit.prevY;
+            return true;
+        }
+    },
+    split: {
+        defaults: { count: 4, spread: 1.2, speed: 5, into: null },
+        explode(projectile, engine, arg, options) {
+            if (projectile.behaviorState.split || typeof engine.spawnProjectile !== 'function') return false;
+            const type = typeof options.into === 'string' ? options.into : projectile.type;
+            // Fan the fragments back out of whatever the projectile hit
+            const speed = Math.sqrt(projectile.vx * projectile.vx + projectile.vy * projectile.vy) || 1;
+            const back = Math.atan2(-projectile.vy, -projectile.vx);
+            const originX = projectile.x - (projectile.vx / speed) * 2;
+            const originY = projectile.y - (projectile.vy / speed) * 2;
+            for (let i = 0; i < options.count; i++) {
+                const t = options.count > 1 ? i / (options.count - 1) - 0.5 : 0;
+                const angle = back + t * options.spread;
+                const fragment = engine.spawnProjectile(
+                    originX,
+                    originY,
+                    Math.cos(angle) * options.speed,
+                    Math.sin(angle) * options.speed,
+                    type,
+                    projectile.ownerId
+                );
+                if (fragment) {
+                    fragment.behaviorState.split = true;
+                }
+            }
+            return true;
+        }
+    }
+};
+
 if (typeof globalThis !== 'undefined') {
     globalThis.Projectile = globalThis.Projectile || Projectile;
 }
@@ -1,9 +1,12 @@
 const { parentPort, workerData } = require('worker_threads');
 const DeterministicRandom = require('./deterministic.js');
+require('./materials.js');
 require('./terrain.js');
 require('./physics.js');
+require('./spells.js');
 require('./player.js');
 require('./projectile.js');
+require('./shield.js');
 const GameEngine = require('./engine.js');
 
 class SandWorkerCore {
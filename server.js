@@ -1,7 +1,10 @@
 const cluster = require('cluster');
+const fs = require('fs');
 const os = require('os');
+const path = require('path');
 
 const SimulationController = require('./simulationController');
+const SpellRegistry = require('./spells');
 const { startNetworkServer } = require('./gameServer');
 
 const DEFAULT_PORT = Number(process.env.PORT) || 5000;
@@ -13,6 +16,16 @@ const DEFAULT_WORKERS = (() => {
     }
     return Math.max(1, os.cpus().length);
 })();
+const SPELL_DEFINITIONS = (() => {
+    if (!process.env.SPELLS_FILE) return null;
+    try {
+        const parsed = JSON.parse(fs.readFileSync(path.resolve(process.env.SPELLS_FILE), 'utf8'));
+        return Array.isArray(parsed) ? parsed : (Array.isArray(parsed.spells) ? parsed.spells : null);
+    } catch (error) {
+        console.error(`[Master ${process.pid}] Failed to load spells from ${process.env.SPELLS_FILE}:`, error.message);
+        return null;
+    }
+})();
 
 if (cluster.isPrimary) {
     (async () => {
@@ -23,8 +36,22 @@ if (cluster.isPrimary) {
             chunkSyncRadius: Number(process.env.CHUNK_SYNC_RADIUS) || 1,
             playerChunkComputeRadius: Number(process.env.PLAYER_CHUNK_COMPUTE_RADIUS) || 1,
             playerChunkBufferRadius: Number(process.env.PLAYER_CHUNK_BUFFER_RADIUS) || 1,
-            maxChunkSyncPerTick: Number(process.env.MAX_CHUNK_SYNC_PER_TICK) || 12
+            maxChunkSyncPerTick: Number(process.env.MAX_CHUNK_SYNC_PER_TICK) || 12,
+            respawnDelay: process.env.RESPAWN_DELAY !== undefined ? Number(process.env.RESPAWN_DELAY) : 3000,
+            respawnInvulnerability: process.env.RESPAWN_INVULNERABILITY !== undefined
+                ? Number(process.env.RESPAWN_INVULNERABILITY)
+                : 2000,
+            gameMode: process.env.GAME_MODE || 'deathmatch',
+            roundDuration: process.env.ROUND_DURATION !== undefined ? Number(process.env.ROUND_DURATION) : undefined,
+            intermissionDuration: process.env.INTERMISSION_DURATION !== undefined
+                ? Number(process.env.INTERMISSION_DURATION)
+                : undefined,
+            scoreLimit: process.env.SCORE_LIMIT !== undefined ? Number(process.env.SCORE_LIMIT) : undefined,
+            teams: (process.env.TEAMS || '').split(',').map((team) => team.trim()).filter(Boolean),
+            friendlyFire: /^(1|true|yes|on)$/i.test(process.env.FRIENDLY_FIRE || ''),
+            spells: SPELL_DEFINITIONS
         });
+        const spellCount = new SpellRegistry(SPELL_DEFINITIONS || SpellRegistry.DEFAULT_SPELLS).size;
 
         await simulation.ready();
         console.log(`[Master ${process.pid}] Simulation ready. Spawning ${DEFAULT_WORKERS} worker(s) on port ${DEFAULT_PORT}`);
@@ -90,7 +117,7 @@ if (cluster.isPrimary) {
                         const requestId = msg.requestId;
                         playerCounter += 1;
                         const playerId = `player-${playerCounter.toString(36)}`;
-                        const selectedSpell = Math.floor(Math.random() * 4);
+                        const selectedSpell = Math.floor(Math.random() * spellCount);
                         try {
                             const result = await simulation.addPlayer(playerId, selectedSpell);
                             playerToWorker.set(playerId, worker.id);
@@ -0,0 +1,125 @@
+/**
+ * Shield - A ward a mage raises around themselves to absorb or reflect projectiles
+ */
+
+class Shield {
+    constructor(ownerId, x, y, options = {}) {
+        this.id = `shield-${ownerId}`;
+        this.ownerId = ownerId;
+        this.x = x;
+        this.y = y;
+
+        this.radius = Number.isFinite(options.radius) ? options.radius : 14;
+        this.maxHp = Number.isFinite(options.hp) ? options.hp : 60;
+        this.hp = this.maxHp;
+        this.reflect = !!options.reflect;
+        this.color = typeof options.color === 'string' ? options.color : '#a5f3fc';
+        this.lifetime = 0;
+        this.maxLifetime = Number.isFinite(options.duration) ? options.duration : 4000;
+        this.dead = false;
+    }
+
+    update(dt, engine) {
+        this.lifetime += dt;
+        if (this.lifetime >= this.maxLifetime || this.hp <= 0) {
+            this.dead = true;
+            return;
+        }
+
+        // Wards travel with their caster and collapse if the caster does
+        const owner = engine && engine.players ? engine.players.get(this.ownerId) : null;
+        if (!owner || !owner.alive) {
+            this.dead = true;
+            return;
+        }
+        this.x = owner.x + owner.width / 2;
+        this.y = owner.y + owner.height / 2;
+    }
+
+    /**
+     * Sweep a projectile's last step against the ward; returns the contact normal if it entered
+     */
+    intersect(engine, startX, startY, endX, endY, radius) {
+        const reach = this.radius + radius;
+        const sx = shortestWrappedDelta(startX, this.x, engine.width);
+        const sy = startY - this.y;
+        // Projectiles already inside (fired from within) are left alone
+        if (sx * sx + sy * sy < reach * reach) return null;
+
+        const dx = shortestWrappedDelta(endX, startX, engine.width);
+        const dy = endY - startY;
+        const lengthSq = dx * dx + dy * dy;
+        const t = lengthSq > 0 ? Math.max(0, Math.min(1, -(sx * dx + sy * dy) / lengthSq)) : 0;
+        const cx = sx + dx * t;
+        const cy = sy + dy * t;
+        if (cx * cx + cy * cy >= reach * reach) return null;
+
+        const length = Math.sqrt(sx * sx + sy * sy) || 1;
+        return { nx: sx / length, ny: sy / length };
+    }
+
+    absorb(amount) {
+        this.hp = Math.max(0, this.hp - Math.max(1, amount));
+        if (this.hp <= 0) {
+            this.dead = true;
+        }
+        return !this.dead;
+    }
+
+    render(ctx, scale) {
+        if (this.dead) return;
+        const strength = this.maxHp > 0 ? this.hp / this.maxHp : 0;
+        // Fade out over the last half second
+        const fade = Math.min(1, (this.maxLifetime - this.lifetime) / 500);
+
+        ctx.save();
+        ctx.globalAlpha = Math.max(0, fade) * (0.15 + 0.2 * strength);
+        ctx.fillStyle = this.color;
+        ctx.beginPath();
+        ctx.arc(this.x * scale, this.y * scale, this.radius * scale, 0, Math.PI * 2);
+        ctx.fill();
+        ctx.globalAlpha = Math.max(0, fade) * (0.5 + 0.5 * strength);
+        ctx.strokeStyle = this.color;
+        ctx.lineWidth = (this.reflect ? 2 : 1.5) * scale;
+        ctx.stroke();
+        ctx.restore();
+    }
+
+    serialize() {
+        return {
+            id: this.id,
+            ownerId: this.ownerId,
+            x: this.x,
+            y: this.y,
+            radius: this.radius,
+            hp: this.hp,
+            maxHp: this.maxHp,
+            reflect: this.reflect,
+            color: this.color,
+            lifetime: this.lifetime,
+            maxLifetime: this.maxLifetime
+        };
+    }
+
+    static deserialize(data) {
+        if (!data || typeof data.ownerId !== 'string') return null;
+        const shield = new Shield(data.ownerId, data.x || 0, data.y || 0, {
+            radius: data.radius,
+            hp: data.maxHp,
+            reflect: data.reflect,
+            color: data.color,
+            duration: data.maxLifetime
+        });
+        if (Number.isFinite(data.hp)) shield.hp = data.hp;
+        if (Number.isFinite(data.lifetime)) shield.lifetime = data.lifetime;
+        return shield;
+    }
+}
+
+if (typeof globalThis !== 'undefined') {
+    globalThis.Shield = globalThis.Shield || Shield;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Shield;
+}
@@ -14,6 +14,15 @@ class SimulationController extends EventEmitter {
         this.playerChunkComputeRadius = options.playerChunkComputeRadius ?? 1;
         this.playerChunkBufferRadius = options.playerChunkBufferRadius ?? 1;
         this.maxChunkSyncPerTick = options.maxChunkSyncPerTick || 12;
+        this.respawnDelay = options.respawnDelay ?? 3000;
+        this.respawnInvulnerability = options.respawnInvulnerability ?? 2000;
+        this.gameMode = options.gameMode || 'deathmatch';
+        this.roundDuration = options.roundDuration;
+        this.intermissionDuration = options.intermissionDuration;
+        this.scoreLimit = options.scoreLimit;
+        this.teams = Array.isArray(options.teams) ? options.teams : [];
+        this.friendlyFire = !!options.friendlyFire;
+        this.spells = Array.isArray(options.spells) ? options.spells : null;
         this.workerIndex = options.workerIndex ?? 0;
         this.workerCount = options.workerCount ?? 1;
 
@@ -39,6 +48,15 @@ class SimulationController extends EventEmitter {
             playerChunkComputeRadius: this.playerChunkComputeRadius,
             playerChunkBufferRadius: this.playerChunkBufferRadius,
             maxChunkSyncPerTick: this.maxChunkSyncPerTick,
+            respawnDelay: this.respawnDelay,
+            respawnInvulnerability: this.respawnInvulnerability,
+            gameMode: this.gameMode,
+            roundDuration: this.roundDuration,
+            intermissionDuration: this.intermissionDuration,
+            scoreLimit: this.scoreLimit,
+            teams: this.teams,
+            friendlyFire: this.friendlyFire,
+            spells: this.spells,
             workerIndex: this.workerIndex,
             workerCount: this.workerCount
         };
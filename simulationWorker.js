@@ -1,11 +1,15 @@
 const { parentPort, workerData, Worker } = require('worker_threads');
 const path = require('path');
 const DeterministicRandom = require('./deterministic.js');
+require('./materials.js');
 require('./terrain.js');
 require('./physics.js');
+require('./spells.js');
 require('./player.js');
 require('./projectile.js');
+require('./shield.js');
 const GameEngine = require('./engine.js');
+const { createGameMode } = require('./gameModes.js');
 
 const roundTo = (value, decimals) => {
     if (!Number.isFinite(value)) return 0;
@@ -25,6 +29,8 @@ class SimulationCore {
         this.engine = null;
 
         this.players = new Map();
+        this.playerStats = new Map();
+        this.scoreboardDirty = true;
         this.playerActiveChunks = new Map();
         this.pendingChunkResync = new Map();
         this.chunkSubscribers = new Map();
@@ -32,6 +38,17 @@ class SimulationCore {
         this.playerChunkVersions = new Map();
         this.maxChunkSyncPerTick = config.maxChunkSyncPerTick || 12;
         this.chunkSyncRadius = config.chunkSyncRadius ?? 1;
+        this.respawnDelay = Number.isFinite(config.respawnDelay) ? Math.max(0, config.respawnDelay) : 3000;
+        this.respawnInvulnerability = Number.isFinite(config.respawnInvulnerability)
+            ? Math.max(0, config.respawnInvulnerability)
+            : 2000;
+        this.gameModeName = config.gameMode || 'deathmatch';
+        this.teams = Array.isArray(config.teams) ? config.teams.filter((team) => typeof team === 'string' && team) : [];
+        this.friendlyFire = !!config.friendlyFire;
+        if (Array.isArray(config.spells) && config.spells.length) {
+            spellRegistry.load(config.spells);
+        }
+        this.gameMode = null;
 
         this.totalMessages = 0;
         this.startTime = Date.now();
@@ -49,6 +66,10 @@ class SimulationCore {
         this.pendingTerrainChunkDiffs = [];
         this.maxTerrainChunkBroadcast = 128;
         this.terrainChunkDiffCounter = 0;
+        // Beam drilling erodes a few cells every tick, so it is batched per caster before being recorded
+        this.pendingDrills = new Map(); // caster id -> { x, y, cells, lastFlushTick }
+        this.drillBroadcastInterval = 100; // ms
+        this.maxDrillCellsPerMod = 512;
 
         this.lastSandUpdateTime = 0;
         this.hasPendingSandUpdate = false;
@@ -62,6 +83,8 @@ class SimulationCore {
         this.broadcastTickInterval = 1;
         this.lastPlayerBroadcast = new Map();
         this.lastProjectileBroadcast = new Map();
+        this.lastShieldBroadcastCount = 0;
+        this.lastFireBroadcastCount = 0;
         this.forceFullPlayerBroadcast = true;
         this.forceFullProjectileBroadcast = true;
         this.nextTempProjectileId = 1;
@@ -100,6 +123,7 @@ class SimulationCore {
         this.engine.sandChunkBroadcastRadius = Math.max(1, serverComputeRadius + serverBufferRadius);
 
         this.engine.init();
+        this.engine.friendlyFire = this.friendlyFire;
         this.sandChunkRadius = Math.max(1, serverComputeRadius + serverBufferRadius);
         this.lastPlayerBroadcast.clear();
         this.lastProjectileBroadcast.clear();
@@ -112,10 +136,22 @@ class SimulationCore {
         }
 
         this.engine.onProjectileSpawn = (projectile) => this.handleServerProjectileSpawn(projectile);
-        this.engine.onTerrainDestruction = ({ x, y, radius, explosive, broadcast }) => {
+        this.engine.onTerrainDestruction = ({ x, y, radius, explosive, broadcast, sourceId, destroyed, oresExposed }) => {
+            this.recordTerrainDestruction(sourceId, destroyed, oresExposed);
             if (broadcast === false) return;
             this.recordAndBroadcastTerrainModification(x, y, radius, explosive);
         };
+        this.engine.onTerrainBuild = ({ x, y, cells, material }) => {
+            this.recordAndBroadcastTerrainModification(x, y, 0, false, { cells, material });
+        };
+        this.engine.onTerrainDrill = ({ x, y, sourceId, cells, destroyed, oresExposed }) => {
+            this.recordTerrainDestruction(sourceId, destroyed, oresExposed);
+            this.queueDrilledCells(sourceId, x, y, cells);
+        };
+        this.engine.onTerrainReaction = ({ x, y, cells }) => {
+            this.recordAndBroadcastTerrainModification(x, y, 0, false, { paint: cells });
+        };
+        this.engine.onPlayerDamage = (event) => this.recordPlayerDamage(event);
         this.engine.onSandUpdate = (payload) => {
             if (!payload || !Array.isArray(payload.chunks) || payload.chunks.length === 0) return;
             const keys = payload.chunks
@@ -137,6 +173,14 @@ class SimulationCore {
 
         this.setupSandWorker();
         this.setupEntityWorker();
+
+        this.gameMode = createGameMode(this.gameModeName, this, {
+            roundDuration: this.config.roundDuration,
+            intermissionDuration: this.config.intermissionDuration,
+            scoreLimit: this.config.scoreLimit,
+            teams: this.teams
+        });
+        this.gameMode.start();
     }
 
     startLoops() {
@@ -180,10 +224,22 @@ class SimulationCore {
             y: roundTo(player.y, 2),
             vx: roundTo(player.vx || 0, 3),
             vy: roundTo(player.vy || 0, 3),
+            knockbackVx: roundTo(player.knockbackVx || 0, 3),
             health: Math.round(Number.isFinite(player.health) ? player.health : 0),
             alive: !!player.alive,
+            invulnerable: player.invulnerableTime > 0,
+            mana: Math.floor(Number.isFinite(player.mana) ? player.mana : 0),
+            maxMana: player.maxMana,
+            breath: Math.floor(Number.isFinite(player.breath) ? player.breath : 0),
+            maxBreath: player.maxBreath,
+            effects: this.serializeStatusEffectsForBroadcast(player),
+            team: player.team || null,
             aimAngle: roundTo(player.aimAngle || 0, 3),
             selectedSpell: player.selectedSpell,
+            channeling: !!player.channeling,
+            // Rounded so a held charge only triggers a handful of broadcasts
+            charge: roundTo(player.getChargeLevel(), 1),
+            blinkCount: player.blinkCount || 0,
             lastProcessedInput: info ? (info.lastInputSequence || 0) : 0,
             chunkKey: this.getChunkKeyForPosition(player.x, player.y)
         };
@@ -195,14 +251,46 @@ class SimulationCore {
             || prev.y !== next.y
             || prev.vx !== next.vx
             || prev.vy !== next.vy
+            || prev.knockbackVx !== next.knockbackVx
             || prev.health !== next.health
             || prev.alive !== next.alive
+            || prev.invulnerable !== next.invulnerable
+            || prev.team !== next.team
+            || prev.mana !== next.mana
+            || this.statusEffectsSignature(prev.effects) !== this.statusEffectsSignature(next.effects)
+            || prev.maxMana !== next.maxMana
+            || prev.breath !== next.breath
+            || prev.maxBreath !== next.maxBreath
             || prev.aimAngle !== next.aimAngle
             || prev.selectedSpell !== next.selectedSpell
+            || prev.channeling !== next.channeling
+            || prev.charge !== next.charge
+            || prev.blinkCount !== next.blinkCount
             || prev.lastProcessedInput !== next.lastProcessedInput
             || prev.chunkKey !== next.chunkKey;
     }
 
+    serializeStatusEffectsForBroadcast(player) {
+        const effects = [];
+        const source = player && player.statusEffects ? player.statusEffects : null;
+        if (!source) return effects;
+        for (const id in source) {
+            const effect = source[id];
+            effects.push({
+                id,
+                stacks: effect.stacks,
+                remaining: Math.max(0, Math.round(effect.remaining))
+            });
+        }
+        return effects;
+    }
+
+    statusEffectsSignature(effects) {
+        if (!Array.isArray(effects) || effects.length === 0) return '';
+        // Quarter-second buckets so countdowns alone don't force a broadcast every tick
+        return effects.map((effect) => `${effect.id}:${effect.stacks}:${Math.ceil(effect.remaining / 250)}`).join('|');
+    }
+
     serializeProjectileForBroadcast(projectile) {
         if (!projectile) return null;
 
@@ -230,6 +318,9 @@ class SimulationCore {
             type: projectile.type,
             ownerId: projectile.ownerId,
             lifetime: roundTo(projectile.lifetime || 0, 3),
+            charge: roundTo(projectile.charge || 0, 2),
+            penetration: roundTo(projectile.penetration || 0, 2),
+            ricochets: projectile.ricochets || 0,
             dead: !!projectile.dead
         };
 
@@ -251,6 +342,22 @@ class SimulationCore {
             || prev.dead !== next.dead;
     }
 
+    serializeShieldForBroadcast(shield) {
+        return {
+            id: shield.id,
+            ownerId: shield.ownerId,
+            x: roundTo(shield.x || 0, 2),
+            y: roundTo(shield.y || 0, 2),
+            radius: shield.radius,
+            hp: Math.ceil(shield.hp),
+            maxHp: shield.maxHp,
+            reflect: !!shield.reflect,
+            color: shield.color,
+            lifetime: Math.round(shield.lifetime),
+            maxLifetime: shield.maxLifetime
+        };
+    }
+
     getProjectileBroadcastKey(data) {
         if (!data || typeof data !== 'object') {
             return null;
@@ -357,7 +464,9 @@ class SimulationCore {
             width: this.engine.width,
             height: this.engine.height,
             chunkSize: this.engine.chunkSize,
-            terrainSnapshot: this.terrainSnapshot
+            terrainSnapshot: this.terrainSnapshot,
+            friendlyFire: this.friendlyFire,
+            spells: spellRegistry.toJSON()
         };
 
         const workerPath = path.resolve(__dirname, 'entityWorker.js');
@@ -514,7 +623,9 @@ class SimulationCore {
                 tick: this.tick,
                 keys: activeKeys,
                 entities,
-                terrainSnapshot
+                terrainSnapshot,
+                // The worker has no sand, so it learns about free liquid around the mages from here
+                liquidCells: this.engine.serializeLiquidsNearPlayers()
             });
 
             if (response && response.entities) {
@@ -544,13 +655,64 @@ class SimulationCore {
                 }
             }
 
+            if (response && Array.isArray(response.damageEvents)) {
+                for (const event of response.damageEvents) {
+                    this.recordPlayerDamage(event);
+                }
+            }
+
             if (response && Array.isArray(response.terrainMods)) {
                 for (const mod of response.terrainMods) {
                     if (!mod) continue;
+                    // Credit with the worker's stats; the replay below runs on already-updated terrain
+                    this.recordTerrainDestruction(mod.sourceId, mod.destroyed, mod.oresExposed);
                     this.engine.destroyTerrain(mod.x, mod.y, mod.radius, !!mod.explosive);
                 }
             }
 
+            if (response && Array.isArray(response.terrainBuilds)) {
+                for (const entry of response.terrainBuilds) {
+                    if (!entry) continue;
+                    this.engine.buildTerrain(entry.x, entry.y, entry.build, entry.sourceId);
+                }
+            }
+
+            if (response && Array.isArray(response.terrainDrills)) {
+                for (const drill of response.terrainDrills) {
+                    if (!drill) continue;
+                    this.engine.drillTerrain(drill.x, drill.y, drill.radius, drill.power, drill.sourceId);
+                }
+            }
+
+            if (response && Array.isArray(response.sandAttractions)) {
+                for (const attraction of response.sandAttractions) {
+                    if (!attraction) continue;
+                    this.engine.attractSand(attraction.x, attraction.y, attraction.radius, attraction.maxMoves);
+                }
+            }
+
+            if (response && Array.isArray(response.elementReactions)) {
+                for (const reaction of response.elementReactions) {
+                    if (!reaction) continue;
+                    this.engine.reactToElement(reaction.x, reaction.y, reaction.element, reaction.radius, reaction.power, reaction.sourceId, reaction);
+                }
+            }
+
+            // Fire runs on this thread, after the blasts that lit it have landed
+            if (response && Array.isArray(response.ignitions)) {
+                for (const ignition of response.ignitions) {
+                    if (!ignition) continue;
+                    this.engine.ignite(ignition.x, ignition.y, ignition.radius);
+                }
+            }
+
+            if (response && Array.isArray(response.fluidSpawns)) {
+                for (const spawn of response.fluidSpawns) {
+                    if (!spawn) continue;
+                    this.engine.conjureFluid(spawn.x, spawn.y, spawn.material, spawn.amount, spawn.sourceId);
+                }
+            }
+
             if (dirtyKeys.size) {
                 this.queueChunkResyncForKeys(Array.from(dirtyKeys), true);
             }
@@ -632,6 +794,10 @@ class SimulationCore {
             this.engine.tick += 1;
             this.tick = this.engine.tick;
 
+            this.updateRespawns();
+            await this.updateGameMode(dt);
+            this.flushDrilledTerrain();
+
             if (this.sandWorker) {
                 await this.offloadSandUpdate(dt);
             }
@@ -686,6 +852,17 @@ class SimulationCore {
             state.terrainChunkDiffs = terrainChunkDiffs;
         }
 
+        if (this.scoreboardDirty || this.forceFullPlayerBroadcast) {
+            state.scoreboard = this.getScoreboard();
+            this.scoreboardDirty = false;
+        }
+
+        // Mode state is resent once a second so client timers stay in step
+        if (this.gameMode && (this.gameMode.dirty || this.forceFullPlayerBroadcast || this.tick % this.tickRate === 0)) {
+            state.gameMode = this.gameMode.getState();
+            this.gameMode.dirty = false;
+        }
+
         const playerList = Array.isArray(this.engine.playerList)
             ? this.engine.playerList
             : [];
@@ -762,16 +939,47 @@ class SimulationCore {
                 state.projectiles = projectileUpdates;
             }
             if (removedProjectiles.length) {
-                state.removedProjectiles = removedProjectiles.map((proj) => ({
-                    id: proj && typeof proj.id === 'string' ? proj.id : null,
-                    clientProjectileId: proj && typeof proj.clientProjectileId === 'string' ? proj.clientProjectileId : null
-                }));
+                const collisions = this.engine.projectileCollisions;
+                state.removedProjectiles = removedProjectiles.map((proj) => {
+                    const removal = {
+                        id: proj && typeof proj.id === 'string' ? proj.id : null,
+                        clientProjectileId: proj && typeof proj.clientProjectileId === 'string' ? proj.clientProjectileId : null
+                    };
+                    // Spells that died colliding mid-air tell clients where and how, so they can show it
+                    const collision = removal.id && collisions ? collisions.get(removal.id) : null;
+                    if (collision) {
+                        removal.type = proj.type;
+                        removal.effect = collision.effect;
+                        removal.x = roundTo(collision.x, 2);
+                        removal.y = roundTo(collision.y, 2);
+                    }
+                    return removal;
+                });
             }
         }
 
+        if (this.engine.projectileCollisions) {
+            this.engine.projectileCollisions.clear();
+        }
         this.lastProjectileBroadcast = nextProjectileMap;
         this.forceFullProjectileBroadcast = false;
 
+        // Wards ride on their casters, so the (short) list is resent whole while any are up
+        const shields = Array.isArray(this.engine.shields)
+            ? this.engine.shields.filter((shield) => shield && !shield.dead).map((shield) => this.serializeShieldForBroadcast(shield))
+            : [];
+        if (shields.length || this.lastShieldBroadcastCount > 0 || forceFullProjectiles) {
+            state.shields = shields;
+        }
+        this.lastShieldBroadcastCount = shields.length;
+
+        // Burning cells are sent whole too, with one empty list once the last flame is out
+        const fires = this.engine.serializeFireCells();
+        if (fires.length || this.lastFireBroadcastCount > 0 || forceFullProjectiles) {
+            state.fires = fires;
+        }
+        this.lastFireBroadcastCount = fires.length;
+
         state.projectileCount = projectileList.length;
 
         this.emit('state', state);
@@ -882,18 +1090,92 @@ class SimulationCore {
         };
     }
 
+    getSpawnPosition() {
+        const x = this.random ? this.random.nextRange(400, 1200) : Math.random() * 1200 + 200;
+        // Place mages just above the ground so spawning never counts as a damaging fall
+        const terrain = this.engine ? this.engine.terrain : null;
+        if (terrain && typeof terrain.findSurfaceY === 'function') {
+            let surfaceY = terrain.height;
+            for (let dx = 0; dx < 8; dx++) {
+                surfaceY = Math.min(surfaceY, terrain.findSurfaceY(x + dx));
+            }
+            return { x, y: Math.max(0, surfaceY - 16) };
+        }
+        return { x, y: 100 };
+    }
+
+    createPlayerStats() {
+        return {
+            kills: 0,
+            deaths: 0,
+            damageDealt: 0,
+            pixelsDestroyed: 0,
+            oresExposed: 0
+        };
+    }
+
+    recordPlayerDamage(event) {
+        if (!event || typeof event.playerId !== 'string') return;
+        const sourceId = typeof event.sourceId === 'string' ? event.sourceId : null;
+        const attacker = sourceId && sourceId !== event.playerId ? this.playerStats.get(sourceId) : null;
+        if (attacker && Number.isFinite(event.amount)) {
+            attacker.damageDealt += event.amount;
+            this.scoreboardDirty = true;
+        }
+        if (event.killed) {
+            const info = this.players.get(event.playerId);
+            if (info) {
+                info.lastKillerId = sourceId;
+            }
+            if (attacker) {
+                attacker.kills += 1;
+                this.scoreboardDirty = true;
+            }
+        }
+    }
+
+    recordTerrainDestruction(sourceId, destroyed, oresExposed) {
+        if (typeof sourceId !== 'string') return;
+        const stats = this.playerStats.get(sourceId);
+        if (!stats) return;
+        const pixels = Number.isFinite(destroyed) ? destroyed : 0;
+        const ores = Number.isFinite(oresExposed) ? oresExposed : 0;
+        if (pixels <= 0 && ores <= 0) return;
+        stats.pixelsDestroyed += pixels;
+        stats.oresExposed += ores;
+        this.scoreboardDirty = true;
+    }
+
+    getScoreboard() {
+        const entries = [];
+        for (const [id, stats] of this.playerStats.entries()) {
+            entries.push({
+                id,
+                kills: stats.kills,
+                deaths: stats.deaths,
+                damage: Math.round(stats.damageDealt),
+                pixels: stats.pixelsDestroyed,
+                ores: stats.oresExposed
+            });
+        }
+        return entries;
+    }
+
     addPlayer(playerId, selectedSpell = 0) {
-        const spawnX = this.random ? this.random.nextRange(400, 1200) : Math.random() * 1200 + 200;
-        const spawnY = 100;
+        const { x: spawnX, y: spawnY } = this.getSpawnPosition();
 
         const player = {
             id: playerId,
             selectedSpell,
             lastInputSequence: 0,
-            joinTime: Date.now()
+            joinTime: Date.now(),
+            respawnAtTick: null,
+            lastKillerId: null
         };
 
         this.players.set(playerId, player);
+        this.playerStats.set(playerId, this.createPlayerStats());
+        this.scoreboardDirty = true;
 
         let enginePlayer = null;
         if (this.engine && typeof this.engine.addPlayer === 'function') {
@@ -903,6 +1185,10 @@ class SimulationCore {
             }
         }
 
+        if (this.gameMode) {
+            this.gameMode.onPlayerJoin(playerId, player, enginePlayer);
+        }
+
         const referenceX = enginePlayer ? enginePlayer.x : spawnX;
         const referenceY = enginePlayer ? enginePlayer.y : spawnY;
         const initialChunks = this.getChunkKeysAround(referenceX, referenceY, this.chunkSyncRadius);
@@ -925,13 +1211,15 @@ class SimulationCore {
                 playerId: id,
                 x: existingEngine ? existingEngine.x : 0,
                 y: existingEngine ? existingEngine.y : 0,
-                selectedSpell: p.selectedSpell
+                selectedSpell: p.selectedSpell,
+                team: p.team || null
             });
         }
 
         return {
             spawnX: enginePlayer ? enginePlayer.x : spawnX,
             spawnY: enginePlayer ? enginePlayer.y : spawnY,
+            team: player.team || null,
             welcome: welcomePayload,
             existingPlayers
         };
@@ -945,9 +1233,14 @@ class SimulationCore {
             spawnX: enginePlayer.x,
             spawnY: enginePlayer.y,
             selectedSpell: enginePlayer.selectedSpell,
+            team: enginePlayer.team || null,
+            friendlyFire: this.friendlyFire,
+            spells: spellRegistry.toJSON(),
             seed: this.seed,
             terrainSnapshot: this.terrainSnapshot,
-            terrainSnapshotTick: this.terrainSnapshotTick
+            terrainSnapshotTick: this.terrainSnapshotTick,
+            scoreboard: this.getScoreboard(),
+            gameMode: this.gameMode ? this.gameMode.getState() : null
         };
 
         const modsForWelcome = this.terrainModifications
@@ -984,6 +1277,11 @@ class SimulationCore {
         const player = this.players.get(playerId);
         if (!player) return;
         this.players.delete(playerId);
+        this.playerStats.delete(playerId);
+        this.scoreboardDirty = true;
+        if (this.gameMode) {
+            this.gameMode.onPlayerLeave(playerId);
+        }
         if (this.engine && typeof this.engine.removePlayer === 'function') {
             this.engine.removePlayer(playerId);
         }
@@ -1012,8 +1310,10 @@ class SimulationCore {
             mouseY: typeof input.mouseY === 'number' ? input.mouseY : enginePlayer.y
         };
 
-        if (enginePlayer.normalizeSpellIndex && typeof input.selectedSpell === 'number') {
-            enginePlayer.selectedSpell = enginePlayer.normalizeSpellIndex(input.selectedSpell);
+        // Only indices of registered spells are accepted; anything else keeps the current selection
+        const spellCount = spellRegistry.ids().length;
+        if (Number.isInteger(input.selectedSpell) && input.selectedSpell >= 0 && input.selectedSpell < spellCount) {
+            enginePlayer.selectedSpell = input.selectedSpell;
             playerInfo.selectedSpell = enginePlayer.selectedSpell;
         }
 
@@ -1029,6 +1329,145 @@ class SimulationCore {
         }
     }
 
+    updateRespawns() {
+        if (!this.engine) return;
+        const delayTicks = Math.max(0, Math.ceil(this.respawnDelay / this.tickIntervalMs));
+
+        for (const [playerId, info] of this.players.entries()) {
+            const enginePlayer = this.engine.players.get(playerId);
+            if (!enginePlayer) continue;
+
+            if (enginePlayer.alive) {
+                info.respawnAtTick = null;
+                continue;
+            }
+
+            if (info.respawnAtTick === null || info.respawnAtTick === undefined) {
+                info.respawnAtTick = this.tick + delayTicks;
+                const stats = this.playerStats.get(playerId);
+                if (stats) {
+                    stats.deaths += 1;
+                    this.scoreboardDirty = true;
+                }
+                if (this.gameMode) {
+                    this.gameMode.onPlayerKilled(playerId, info.lastKillerId || null);
+                }
+                this.emit('broadcast', {
+                    message: {
+                        type: 'player_died',
+                        playerId,
+                        killerId: info.lastKillerId || null,
+                        tick: this.tick,
+                        respawnDelay: this.respawnDelay
+                    }
+                });
+                continue;
+            }
+
+            if (this.tick < info.respawnAtTick) continue;
+
+            const spawn = this.getSpawnPosition();
+            enginePlayer.respawn(spawn.x, spawn.y, this.respawnInvulnerability);
+            info.respawnAtTick = null;
+            info.lastKillerId = null;
+            this.emit('broadcast', {
+                message: {
+                    type: 'player_respawned',
+                    playerId,
+                    tick: this.tick,
+                    x: enginePlayer.x,
+                    y: enginePlayer.y,
+                    health: enginePlayer.health,
+                    invulnerableTime: enginePlayer.invulnerableTime
+                }
+            });
+        }
+    }
+
+    async updateGameMode(dt) {
+        if (!this.gameMode) return;
+        const event = this.gameMode.update(dt);
+        if (event === 'round_end') {
+            this.emit('broadcast', {
+                message: {
+                    type: 'round_end',
+                    tick: this.tick,
+                    gameMode: this.gameMode.getState()
+                }
+            });
+            this.gameMode.dirty = false;
+        } else if (event === 'intermission_end') {
+            await this.resetRound();
+            this.gameMode.startRound();
+            const message = {
+                type: 'round_start',
+                tick: this.tick,
+                gameMode: this.gameMode.getState(),
+                terrainSnapshot: this.terrainSnapshot,
+                terrainSnapshotTick: this.terrainSnapshotTick
+            };
+            const sandSnapshot = this.engine.serializeSandChunks(false);
+            if (sandSnapshot) {
+                message.sandChunks = sandSnapshot;
+            }
+            this.emit('broadcast', { message });
+            this.gameMode.dirty = false;
+        }
+    }
+
+    async resetRound() {
+        if (!this.engine) return;
+
+        this.engine.regenerateTerrain();
+        this.refreshTerrainSnapshot(false);
+        this.terrainModifications = [];
+        this.pendingTerrainBroadcasts.length = 0;
+        this.staticTerrainStore.clear();
+        this.lastProjectileBroadcast.clear();
+        this.forceFullPlayerBroadcast = true;
+        this.forceFullProjectileBroadcast = true;
+
+        for (const [playerId, info] of this.players.entries()) {
+            this.playerStats.set(playerId, this.createPlayerStats());
+            info.respawnAtTick = null;
+            info.lastKillerId = null;
+            const enginePlayer = this.engine.players.get(playerId);
+            if (!enginePlayer) continue;
+            const spawn = this.getSpawnPosition();
+            enginePlayer.respawn(spawn.x, spawn.y, this.respawnInvulnerability);
+            this.emit('broadcast', {
+                message: {
+                    type: 'player_respawned',
+                    playerId,
+                    tick: this.tick,
+                    x: enginePlayer.x,
+                    y: enginePlayer.y,
+                    health: enginePlayer.health,
+                    invulnerableTime: enginePlayer.invulnerableTime
+                }
+            });
+        }
+        this.scoreboardDirty = true;
+
+        // Workers keep their own terrain copy, so reinitialize them against the new map
+        const workerConfig = {
+            seed: this.seed,
+            width: this.engine.width,
+            height: this.engine.height,
+            chunkSize: this.engine.chunkSize,
+            terrainSnapshot: this.terrainSnapshot,
+            friendlyFire: this.friendlyFire,
+            spells: spellRegistry.toJSON()
+        };
+        if (this.entityWorker) {
+            this.entityReadyPromise = this.postToEntityWorker('init', workerConfig);
+        }
+        if (this.sandWorker) {
+            this.sandReadyPromise = this.postToSandWorker('init', workerConfig);
+        }
+        await Promise.all([this.ensureEntityWorkerReady(), this.ensureSandWorkerReady()]);
+    }
+
     handleServerProjectileSpawn(projectile) {
         if (!projectile) return;
         if (!projectile.serverId) {
@@ -1044,7 +1483,8 @@ class SimulationCore {
             type: projectile.type,
             ownerId: projectile.ownerId,
             clientProjectileId: projectile.clientProjectileId || null,
-            lifetime: projectile.lifetime
+            lifetime: projectile.lifetime,
+            charge: projectile.charge || 0
         };
         this.emit('broadcast', { message: payload });
     }
@@ -1058,12 +1498,53 @@ class SimulationCore {
         const y = typeof msg.y === 'number' ? msg.y : null;
         const vx = typeof msg.vx === 'number' ? msg.vx : 0;
         const vy = typeof msg.vy === 'number' ? msg.vy : 0;
-        const type = typeof msg.type === 'string' ? msg.type : 'fireball';
+        const type = spellRegistry.resolveId(msg.type);
 
         if (x === null || y === null) return;
 
-        const projectile = this.engine.spawnProjectile(x, y, vx, vy, type, ownerId, {
-            clientProjectileId: msg.clientProjectileId || null
+        // This is the only place a projectile cast pays its mana and cooldown on the server
+        const enginePlayer = this.engine.players.get(ownerId);
+        const spell = spellRegistry.get(type);
+        if (!enginePlayer || !enginePlayer.firesProjectile(spell) || !enginePlayer.canCast(spell)) {
+            if (msg.clientProjectileId) {
+                this.emit('send_to_player', {
+                    playerId,
+                    message: {
+                        type: 'projectile',
+                        clientProjectileId: msg.clientProjectileId,
+                        x,
+                        y,
+                        vx,
+                        vy,
+                        ownerId,
+                        spawn: false,
+                        dead: true
+                    }
+                });
+            }
+            return;
+        }
+        enginePlayer.consumeCast(spell);
+
+        // Charged shots only count for as long as the server saw the button held, and fly no faster than that charge allows
+        let charge = 0;
+        let launchVx = vx;
+        let launchVy = vy;
+        if (spell.charge) {
+            const claimed = Number.isFinite(msg.charge) ? msg.charge * spell.charge.time : 0;
+            charge = enginePlayer.validateChargeTime(claimed, spell) / spell.charge.time;
+            enginePlayer.resetCharge();
+            const maxSpeed = spell.speed * Projectile.chargeMultiplier(spell, 'speed', charge);
+            const launchSpeed = Math.sqrt(vx * vx + vy * vy);
+            if (launchSpeed > maxSpeed && launchSpeed > 0) {
+                launchVx = vx * maxSpeed / launchSpeed;
+                launchVy = vy * maxSpeed / launchSpeed;
+            }
+        }
+
+        const projectile = this.engine.spawnProjectile(x, y, launchVx, launchVy, type, ownerId, {
+            clientProjectileId: msg.clientProjectileId || null,
+            charge
         });
         if (projectile) {
             if (!projectile.serverId) {
@@ -1076,7 +1557,7 @@ class SimulationCore {
 
     handleTerrainDestruction(playerId, msg) {
         if (!this.engine) return;
-        this.engine.destroyTerrain(msg.x, msg.y, msg.radius, !!msg.explosive);
+        this.engine.destroyTerrain(msg.x, msg.y, msg.radius, !!msg.explosive, true, playerId);
     }
 
     generateProjectileId() {
@@ -1088,7 +1569,7 @@ class SimulationCore {
         return `proj-${Date.now().toString(36)}-${suffix}`;
     }
 
-    recordAndBroadcastTerrainModification(x, y, radius, explosive) {
+    recordAndBroadcastTerrainModification(x, y, radius, explosive, details = null) {
         const mod = {
             tick: this.tick,
             x,
@@ -1096,6 +1577,14 @@ class SimulationCore {
             radius,
             explosive
         };
+        // Builds and drilling send the cells the server actually changed so clients never re-run them on their own state
+        if (details && Array.isArray(details.cells)) {
+            mod.cells = details.cells;
+            mod.material = details.material;
+        }
+        if (details && Array.isArray(details.paint)) {
+            mod.paint = details.paint;
+        }
         this.terrainModifications.push(mod);
         if (this.terrainModifications.length > this.maxTerrainModHistory) {
             this.terrainModifications.splice(0, this.terrainModifications.length - this.maxTerrainModHistory);
@@ -1112,6 +1601,9 @@ class SimulationCore {
                 y,
                 radius,
                 explosive,
+                cells: mod.cells,
+                material: mod.material,
+                paint: mod.paint,
                 tick: mod.tick
             }
         });
@@ -1145,6 +1637,41 @@ class SimulationCore {
         }
     }
 
+    queueDrilledCells(sourceId, x, y, cells) {
+        const key = typeof sourceId === 'string' ? sourceId : '';
+        let entry = this.pendingDrills.get(key);
+        if (!entry) {
+            entry = { x, y, cells: [], lastFlushTick: this.tick };
+            this.pendingDrills.set(key, entry);
+        }
+        entry.x = x;
+        entry.y = y;
+        for (let i = 0; i < cells.length; i++) {
+            entry.cells.push(cells[i]);
+        }
+    }
+
+    /**
+     * Record each caster's drilled cells at most once per drillBroadcastInterval
+     */
+    flushDrilledTerrain(force = false) {
+        if (this.pendingDrills.size === 0) return;
+        const intervalTicks = Math.max(1, Math.round(this.drillBroadcastInterval / this.tickIntervalMs));
+        for (const [key, entry] of this.pendingDrills) {
+            if (!force && this.tick - entry.lastFlushTick < intervalTicks) continue;
+            entry.lastFlushTick = this.tick;
+            if (entry.cells.length === 0) {
+                this.pendingDrills.delete(key);
+                continue;
+            }
+            const cells = entry.cells.splice(0, this.maxDrillCellsPerMod * 2);
+            this.recordAndBroadcastTerrainModification(entry.x, entry.y, 0, false, {
+                cells,
+                material: this.engine.terrain.EMPTY
+            });
+        }
+    }
+
     captureTerrainChunkDiff(tick = this.tick) {
         if (!this.engine || !this.engine.terrain || typeof this.engine.terrain.getModifications !== 'function') {
             return null;
@@ -1527,7 +2054,8 @@ parentPort.on('message', (msg) => {
                     playerId,
                     x: result.spawnX,
                     y: result.spawnY,
-                    selectedSpell: selectedSpell
+                    selectedSpell: selectedSpell,
+                    team: result.team || null
                 }
             });
             break;
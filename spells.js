@@ -0,0 +1,474 @@
+/**
+ * Spells - Data-driven spell definitions shared by client, server and workers
+ */
+
+const DEFAULT_SPELLS = [
+    {
+        id: 'fireball',
+        name: 'Fireball',
+        color: '#ff6b35',
+        damage: 25,
+        radius: 3,
+        explosionRadius: 15,
+        gravity: 0.05,
+        speed: 8,
+        piercing: false,
+        manaCost: 20,
+        cooldown: 450,
+        knockback: 4,
+        lifetime: 3000,
+        hotkey: '1',
+        charge: { time: 1200, speed: 1.4, damage: 1.8, explosionRadius: 1.6 },
+        element: { id: 'fire', radius: 18 },
+        effects: [{ id: 'burning', duration: 2000 }],
+        impact: { type: 'fire', radius: 20, particles: 10, color: '#ff9500' }
+    },
+    {
+        id: 'ice',
+        name: 'Ice',
+        color: '#4ecdc4',
+        damage: 15,
+        radius: 3,
+        explosionRadius: 10,
+        gravity: 0,
+        speed: 8,
+        piercing: true,
+        manaCost: 10,
+        cooldown: 250,
+        knockback: 1.5,
+        lifetime: 3000,
+        hotkey: '2',
+        penetration: 4,
+        element: { id: 'ice', radius: 12 },
+        effects: [{ id: 'slowed', duration: 2500 }, { id: 'frozen', duration: 600 }],
+        impact: { type: 'burst', particles: 15, color: '#a5f3fc' }
+    },
+    {
+        id: 'lightning',
+        name: 'Lightning',
+        color: '#ffd93d',
+        damage: 30,
+        radius: 3,
+        explosionRadius: 8,
+        gravity: 0,
+        speed: 12,
+        piercing: false,
+        manaCost: 30,
+        cooldown: 800,
+        knockback: 2,
+        lifetime: 3000,
+        streak: true,
+        hotkey: '3',
+        penetration: 30,
+        element: { id: 'lightning', radius: 6 },
+        effects: [{ id: 'stunned', duration: 400 }],
+        impact: { type: 'sparks', particles: 5 }
+    },
+    {
+        id: 'earth',
+        name: 'Earth',
+        color: '#92633c',
+        damage: 20,
+        radius: 3,
+        explosionRadius: 20,
+        gravity: 0.2,
+        speed: 8,
+        piercing: false,
+        manaCost: 18,
+        cooldown: 600,
+        knockback: 8,
+        lifetime: 3000,
+        hotkey: '4',
+        charge: { time: 1000, speed: 1.6, damage: 1.5, explosionRadius: 1.4 },
+        impact: { type: 'none' }
+    },
+    {
+        id: 'water',
+        name: 'Conjure Water',
+        color: '#3b82f6',
+        damage: 5,
+        radius: 3,
+        explosionRadius: 0,
+        gravity: 0.1,
+        speed: 7,
+        piercing: false,
+        manaCost: 25,
+        cooldown: 900,
+        knockback: 0,
+        lifetime: 3000,
+        hotkey: '5',
+        impact: { type: 'fluid', material: 'water', amount: 48, particles: 6, color: '#93c5fd' }
+    },
+    {
+        id: 'wall',
+        name: 'Stone Wall',
+        color: '#9ca3af',
+        damage: 0,
+        radius: 3,
+        explosionRadius: 0,
+        gravity: 0.15,
+        speed: 7,
+        piercing: false,
+        manaCost: 30,
+        cooldown: 1500,
+        knockback: 0,
+        lifetime: 3000,
+        hotkey: '6',
+        impact: { type: 'build', shape: 'wall', material: 'stone', length: 24, thickness: 4, particles: 8, color: '#d1d5db' }
+    },
+    {
+        id: 'bridge',
+        name: 'Earth Bridge',
+        color: '#a16207',
+        damage: 0,
+        radius: 3,
+        explosionRadius: 0,
+        gravity: 0,
+        speed: 9,
+        piercing: false,
+        manaCost: 25,
+        cooldown: 1200,
+        knockback: 0,
+        lifetime: 1200,
+        hotkey: '7',
+        impact: { type: 'build', shape: 'bridge', material: 'dirt', length: 40, thickness: 3, particles: 8, color: '#d6a36b' }
+    },
+    {
+        id: 'drill',
+        name: 'Drilling Beam',
+        color: '#f97316',
+        damage: 0,
+        radius: 2,
+        explosionRadius: 0,
+        gravity: 0,
+        speed: 0,
+        piercing: false,
+        manaCost: 35,
+        cooldown: 0,
+        knockback: 0,
+        lifetime: 1,
+        hotkey: '8',
+        beam: { range: 120, power: 16, width: 4 }
+    },
+    {
+        id: 'ward',
+        name: 'Arcane Ward',
+        color: '#a5f3fc',
+        damage: 0,
+        radius: 2,
+        explosionRadius: 0,
+        gravity: 0,
+        speed: 0,
+        piercing: false,
+        manaCost: 40,
+        cooldown: 6000,
+        knockback: 0,
+        lifetime: 1,
+        hotkey: '9',
+        shield: { duration: 4000, hp: 60, radius: 14, reflect: true }
+    },
+    {
+        id: 'missile',
+        name: 'Homing Missile',
+        hotkey: '0',
+        color: '#f43f5e',
+        damage: 18,
+        radius: 3,
+        explosionRadius: 8,
+        gravity: 0,
+        speed: 5,
+        piercing: false,
+        manaCost: 30,
+        cooldown: 1200,
+        knockback: 2,
+        lifetime: 4000,
+        behaviors: [{ id: 'homing', range: 200, turnRate: 0.06 }],
+        impact: { type: 'burst', particles: 8, color: '#fda4af' }
+    },
+    {
+        id: 'well',
+        name: 'Gravity Well',
+        hotkey: 'q',
+        color: '#6366f1',
+        damage: 10,
+        radius: 4,
+        explosionRadius: 10,
+        gravity: 0,
+        speed: 2.5,
+        piercing: false,
+        manaCost: 35,
+        cooldown: 2500,
+        knockback: 1,
+        lifetime: 2500,
+        behaviors: [{ id: 'attract', radius: 48, moves: 200 }],
+        impact: { type: 'burst', particles: 12, color: '#a5b4fc' }
+    },
+    {
+        id: 'blink',
+        name: 'Blink',
+        hotkey: 'e',
+        color: '#c084fc',
+        damage: 0,
+        radius: 2,
+        explosionRadius: 0,
+        gravity: 0,
+        speed: 0,
+        piercing: false,
+        manaCost: 30,
+        cooldown: 2500,
+        knockback: 0,
+        lifetime: 1,
+        blink: { distance: 80 }
+    },
+    {
+        id: 'acid',
+        name: 'Acid Flask',
+        hotkey: 'r',
+        color: '#84cc16',
+        damage: 5,
+        radius: 3,
+        explosionRadius: 0,
+        gravity: 0.15,
+        speed: 7,
+        piercing: false,
+        manaCost: 30,
+        cooldown: 1200,
+        knockback: 0,
+        lifetime: 3000,
+        impact: { type: 'fluid', material: 'acid', amount: 32, particles: 6, color: '#bef264' }
+    }
+];
+
+const FALLBACK_SPELL = {
+    id: 'unknown',
+    name: 'Unknown',
+    color: '#ffffff',
+    damage: 20,
+    radius: 3,
+    explosionRadius: 10,
+    gravity: 0,
+    speed: 8,
+    piercing: false,
+    manaCost: 10,
+    cooldown: 300,
+    knockback: 2,
+    lifetime: 3000,
+    streak: false,
+    penetration: 0,
+    hotkey: null,
+    effects: [],
+    beam: null,
+    shield: null,
+    blink: null,
+    charge: null,
+    element: null,
+    behaviors: [],
+    impact: { type: 'none', particles: 0, color: null, material: null, amount: 0, shape: null, length: 0, thickness: 0, radius: 0 }
+};
+
+class SpellRegistry {
+    constructor(definitions = DEFAULT_SPELLS) {
+        this.spells = [];
+        this.byId = new Map();
+        this.idList = [];
+        this.fallback = { ...FALLBACK_SPELL, effects: [], behaviors: [], impact: { ...FALLBACK_SPELL.impact } };
+        this.load(definitions);
+    }
+
+    static normalize(definition) {
+        if (!definition || typeof definition !== 'object') return null;
+        const id = typeof definition.id === 'string' ? definition.id.trim() : '';
+        if (!id) return null;
+
+        const number = (value, fallback, min = -Infinity) => (
+            Number.isFinite(value) ? Math.max(min, value) : fallback
+        );
+        const impact = definition.impact && typeof definition.impact === 'object' ? definition.impact : {};
+        // Beam spells are channelled: manaCost is drained per second and power is durability worn away per second
+        const beam = definition.beam && typeof definition.beam === 'object'
+            ? {
+                range: number(definition.beam.range, 120, 1),
+                power: number(definition.beam.power, 12, 0),
+                width: number(definition.beam.width, 2, 0.5)
+            }
+            : null;
+        // Shield spells raise a ward around the caster instead of firing a projectile
+        const shield = definition.shield && typeof definition.shield === 'object'
+            ? {
+                duration: number(definition.shield.duration, 4000, 1),
+                hp: number(definition.shield.hp, 60, 1),
+                radius: number(definition.shield.radius, 14, 4),
+                reflect: !!definition.shield.reflect
+            }
+            : null;
+        // Blink spells teleport the caster toward the aim point instead of firing a projectile
+        const blink = definition.blink && typeof definition.blink === 'object'
+            ? { distance: number(definition.blink.distance, 80, 1) }
+            : null;
+        // Charge spells fire on release; each multiplier is what a full charge of `time` ms applies
+        const charge = definition.charge && typeof definition.charge === 'object'
+            ? {
+                time: number(definition.charge.time, 1000, 1),
+                speed: number(definition.charge.speed, 1, 0),
+                damage: number(definition.charge.damage, 1, 0),
+                explosionRadius: number(definition.charge.explosionRadius, 1, 0)
+            }
+            : null;
+        // Elements react with water and ice where the projectile lands (see GameEngine.reactToElement)
+        const element = definition.element && typeof definition.element === 'object'
+            && typeof definition.element.id === 'string' && definition.element.id
+            ? { id: definition.element.id, radius: number(definition.element.radius, 8, 1) }
+            : null;
+        // Projectile behaviours (homing, attract, bounce, split) keep their options as given; Projectile fills in defaults
+        const behaviors = Array.isArray(definition.behaviors)
+            ? definition.behaviors
+                .filter((behavior) => behavior && typeof behavior.id === 'string' && behavior.id)
+                .map((behavior) => ({ ...behavior }))
+            : [];
+        const effects = Array.isArray(definition.effects)
+            ? definition.effects
+                .filter((effect) => effect && typeof effect.id === 'string' && Number.isFinite(effect.duration) && effect.duration > 0)
+                .map((effect) => ({
+                    id: effect.id,
+                    duration: effect.duration,
+                    stacks: Number.isInteger(effect.stacks) && effect.stacks > 0 ? effect.stacks : 1
+                }))
+            : [];
+
+        return {
+            id,
+            name: typeof definition.name === 'string' && definition.name ? definition.name : id,
+            color: typeof definition.color === 'string' && definition.color ? definition.color : FALLBACK_SPELL.color,
+            damage: number(definition.damage, FALLBACK_SPELL.damage, 0),
+            radius: number(definition.radius, FALLBACK_SPELL.radius, 0.5),
+            explosionRadius: number(definition.explosionRadius, FALLBACK_SPELL.explosionRadius, 0),
+            gravity: number(definition.gravity, FALLBACK_SPELL.gravity),
+            speed: number(definition.speed, FALLBACK_SPELL.speed, 0),
+            piercing: !!definition.piercing,
+            manaCost: number(definition.manaCost, FALLBACK_SPELL.manaCost, 0),
+            cooldown: number(definition.cooldown, FALLBACK_SPELL.cooldown, 0),
+            knockback: number(definition.knockback, FALLBACK_SPELL.knockback, 0),
+            lifetime: number(definition.lifetime, FALLBACK_SPELL.lifetime, 1),
+            streak: !!definition.streak,
+            penetration: number(definition.penetration, 0, 0),
+            hotkey: typeof definition.hotkey === 'string' && definition.hotkey ? definition.hotkey.toLowerCase() : null,
+            effects,
+            beam,
+            shield,
+            blink,
+            charge,
+            element,
+            behaviors,
+            impact: {
+                type: typeof impact.type === 'string' ? impact.type : 'none',
+                particles: number(impact.particles, 0, 0),
+                color: typeof impact.color === 'string' ? impact.color : null,
+                material: typeof impact.material === 'string' ? impact.material : null,
+                amount: Math.floor(number(impact.amount, 0, 0)),
+                shape: typeof impact.shape === 'string' ? impact.shape : null,
+                length: Math.floor(number(impact.length, 24, 1)),
+                thickness: Math.floor(number(impact.thickness, 3, 1)),
+                radius: number(impact.radius, 0, 0)
+            }
+        };
+    }
+
+    /**
+     * Replace the registry contents; invalid entries are skipped and an empty list keeps the defaults
+     */
+    load(definitions) {
+        const source = Array.isArray(definitions) ? definitions : [];
+        const spells = [];
+        const byId = new Map();
+        for (const definition of source) {
+            const spell = SpellRegistry.normalize(definition);
+            if (!spell || byId.has(spell.id)) continue;
+            spells.push(spell);
+            byId.set(spell.id, spell);
+        }
+        if (spells.length === 0 && source !== DEFAULT_SPELLS) {
+            return this.load(DEFAULT_SPELLS);
+        }
+
+        this.spells = spells;
+        this.byId = byId;
+        this.idList = spells.map((spell) => spell.id);
+        return this;
+    }
+
+    get size() {
+        return this.spells.length;
+    }
+
+    has(id) {
+        return this.byId.has(id);
+    }
+
+    get(id) {
+        return this.byId.get(id) || this.fallback;
+    }
+
+    getByIndex(index) {
+        return this.spells[this.normalizeIndex(index)] || this.fallback;
+    }
+
+    ids() {
+        return this.idList;
+    }
+
+    normalizeIndex(index) {
+        if (!Number.isInteger(index)) return 0;
+        const length = this.spells.length;
+        if (length === 0) return 0;
+        return ((index % length) + length) % length;
+    }
+
+    resolveId(id) {
+        return this.byId.has(id) ? id : (this.idList[0] || this.fallback.id);
+    }
+
+    /**
+     * The key that selects the spell at an index: its own hotkey, else the number keys 1-9 then 0 in list order
+     */
+    getHotkey(index) {
+        const spell = this.spells[index];
+        if (!spell) return null;
+        if (spell.hotkey) return spell.hotkey;
+        if (index < 9) return String(index + 1);
+        return index === 9 ? '0' : null;
+    }
+
+    getHotkeyIndex(key) {
+        if (typeof key !== 'string' || !key) return -1;
+        const normalized = key.toLowerCase();
+        for (let i = 0; i < this.spells.length; i++) {
+            if (this.getHotkey(i) === normalized) return i;
+        }
+        return -1;
+    }
+
+    toJSON() {
+        return this.spells.map((spell) => ({
+            ...spell,
+            effects: spell.effects.map((effect) => ({ ...effect })),
+            beam: spell.beam ? { ...spell.beam } : null,
+            shield: spell.shield ? { ...spell.shield } : null,
+            blink: spell.blink ? { ...spell.blink } : null,
+            charge: spell.charge ? { ...spell.charge } : null,
+            element: spell.element ? { ...spell.element } : null,
+            behaviors: spell.behaviors.map((behavior) => ({ ...behavior })),
+            impact: { ...spell.impact }
+        }));
+    }
+}
+
+SpellRegistry.DEFAULT_SPELLS = DEFAULT_SPELLS;
+
+if (typeof globalThis !== 'undefined') {
+    globalThis.SpellRegistry = globalThis.SpellRegistry || SpellRegistry;
+    globalThis.spellRegistry = globalThis.spellRegistry || new SpellRegistry(DEFAULT_SPELLS);
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SpellRegistry;
+}
@@ -77,55 +77,15 @@ class Terrain {
 
         // Pixel data - each pixel stores material type
         this.pixels = new Uint8Array(width * height);
-        
-        // Material types
-        this.EMPTY = 0;
-        this.STONE = 1;
-        this.DIRT = 2;
-        this.GRASS = 3;
-        this.BEDROCK = 4;
-        this.GOLD = 5;
-        this.SILVER = 6;
-        this.IRON = 7;
-        this.WATER = 8;
-        this.LAVA = 9;
-        
-        // Base palette fallback
-        this.colors = {
-            [this.EMPTY]: null,
-            [this.STONE]: '#6b7280',
-            [this.DIRT]: '#92633c',
-            [this.GRASS]: '#4ade80',
-            [this.BEDROCK]: '#1f2937',
-            [this.GOLD]: '#facc15',
-            [this.SILVER]: '#d1d5db',
-            [this.IRON]: '#9ca3af'
-        };
 
-        this.palettes = {
-            [this.GRASS]: ['#3fd473', '#49e07f', '#36c96a', '#58e78d'],
-            [this.DIRT]: ['#8f5b34', '#99603a', '#a26844', '#845230'],
-            [this.STONE]: ['#5d6774', '#6b7280', '#5c6570', '#747c8a'],
-            [this.GOLD]: ['#facc15', '#fbbf24', '#fbbf0f', '#f5d547'],
-            [this.SILVER]: ['#cbd5f5', '#d1d5db', '#bfc6d3', '#e0e5ef'],
-            [this.IRON]: ['#8d99a6', '#9ca3af', '#7d8895', '#a8b1bd'],
-            [this.BEDROCK]: ['#111827', '#1f2937', '#0f172a', '#1a2333'],
-            [this.WATER]: ['#1e3a8a', '#2563eb', '#1d4ed8', '#3b82f6'],
-            [this.LAVA]: ['#dc2626', '#f97316', '#f43f5e', '#fb923c']
-        };
-
-        this.substances = {
-            [this.EMPTY]: { name: 'empty', durability: 0, density: 0, degradeTo: null, raiseOnContact: false, type: 'empty' },
-            [this.GRASS]: { name: 'grass', durability: 1, density: 1, degradeTo: this.EMPTY, raiseOnContact: true, type: 'solid' },
-            [this.DIRT]: { name: 'dirt', durability: 2, density: 2, degradeTo: this.GRASS, raiseOnContact: true, type: 'granular' },
-            [this.STONE]: { name: 'stone', durability: 4, density: 3, degradeTo: this.DIRT, raiseOnContact: true, type: 'solid' },
-            [this.GOLD]: { name: 'gold', durability: 5, density: 4, degradeTo: this.STONE, raiseOnContact: true, type: 'solid' },
-            [this.SILVER]: { name: 'silver', durability: 6, density: 4, degradeTo: this.STONE, raiseOnContact: true, type: 'solid' },
-            [this.IRON]: { name: 'iron', durability: 7, density: 5, degradeTo: this.STONE, raiseOnContact: true, type: 'solid' },
-            [this.BEDROCK]: { name: 'bedrock', durability: Infinity, density: 10, degradeTo: null, raiseOnContact: false, type: 'solid' },
-            [this.WATER]: { name: 'water', durability: 0, density: 1, degradeTo: null, raiseOnContact: false, type: 'liquid', mixWith: this.LAVA, mixResult: this.STONE },
-            [this.LAVA]: { name: 'lava', durability: 0, density: 1, degradeTo: null, raiseOnContact: false, type: 'liquid', mixWith: this.WATER, mixResult: this.STONE }
-        };
+        // Coarse heat field, one value per heatCellSize square above the ambient 0; the server engine emits into it and diffuses it
+        this.heatCellSize = 8;
+        this.heatWidth = Math.ceil(width / this.heatCellSize);
+        this.heatHeight = Math.ceil(height / this.heatCellSize);
+        this.heat = new Float32Array(this.heatWidth * this.heatHeight);
+        
+        // Material ids (this.STONE, this.WATER, ...), colours and substance properties come from the material registry
+        this.applyMaterials(typeof materialRegistry !== 'undefined' && materialRegistry ? materialRegistry : new MaterialRegistry());
         
         // Render cache
         this.imageData = null;
@@ -165,6 +125,27 @@ class Terrain {
         this.resetChunkStreamingState();
     }
 
+    /**
+     * Take every material from a MaterialRegistry; each gets a constant named after it (this.WATER, this.SAND, ...)
+     */
+    applyMaterials(registry) {
+        this.materials = registry;
+        this.colors = {};
+        this.palettes = {};
+        for (const material of registry.materials) {
+            this[material.name.toUpperCase()] = material.id;
+            this.colors[material.id] = material.palette.length ? material.palette[0] : null;
+            if (material.palette.length > 1) {
+                this.palettes[material.id] = material.palette.slice();
+            }
+        }
+        this.substances = registry.buildSubstances();
+        if (this.colorCache) {
+            this.colorCache.clear();
+        }
+        this.fullRedrawNeeded = true;
+    }
+
     nextRandomFloat() {
         if (this.random && typeof this.random.nextFloat === 'function') {
             return this.random.nextFloat();
@@ -684,6 +665,9 @@ class Terrain {
         if (this.surfaceCache) {
             this.surfaceCache.fill(this.height);
         }
+        if (this.heat) {
+            this.heat.fill(0);
+        }
         this.caves.length = 0;
         this.initialFluids.length = 0;
         this.suppressModificationTracking = true;
@@ -693,6 +677,9 @@ class Terrain {
         for (let x = 0; x < this.width; x++) {
             const heightVariation = noise.noise2D(x * 0.005, 0) * 80;
             const baseHeight = this.height * 0.4 + heightVariation;
+            // High peaks are capped with snow and dry stretches of the surface are desert
+            const snowy = heightVariation < -28;
+            const desert = !snowy && noise.noise2D(x * 0.002 + 500, 0) > 0.25;
 
             for (let y = 0; y < this.height; y++) {
                 const depth = y - baseHeight;
@@ -702,7 +689,11 @@ class Terrain {
                     this.setPixel(x, y, this.EMPTY);
                 } else if (depth < 2) {
                     // Grass layer
-                    this.setPixel(x, y, this.GRASS);
+                    this.setPixel(x, y, snowy ? this.SNOW : desert ? this.SAND : this.GRASS);
+                } else if (snowy && depth < 5) {
+                    this.setPixel(x, y, this.SNOW);
+                } else if (desert && depth < 12) {
+                    this.setPixel(x, y, this.SAND);
                 } else if (depth < 25) {
                     // Dirt layer with some variation
                     const dirtNoise = noise.noise2D(x * 0.1, y * 0.1);
@@ -718,6 +709,7 @@ class Terrain {
                     const cave = caveNoise1 * caveNoise2;
                     const oreNoise = noise.noise2D(x * 0.04 + 200, y * 0.04 + 200);
                     const liquidNoise = noise.noise2D(x * 0.01 + 300, y * 0.01 + 300);
+                    const oilNoise = noise.noise2D(x * 0.015 + 400, y * 0.015 + 400);
 
                     if (cave > 0.15) {
                         this.setPixel(x, y, this.EMPTY);
@@ -725,6 +717,8 @@ class Terrain {
                         this.setPixel(x, y, this.WATER);
                     } else if (liquidNoise > 0.7 && depth > 60) {
                         this.setPixel(x, y, this.LAVA);
+                    } else if (oilNoise > 0.75 && depth > 45) {
+                        this.setPixel(x, y, this.OIL);
                     } else if (oreNoise > 0.55 && depth > 40) {
                         this.setPixel(x, y, this.IRON);
                     } else if (oreNoise < -0.6 && depth > 60) {
@@ -746,6 +740,7 @@ class Terrain {
         this.generateCaves();
         this.generateSurfaceLakes();
         this.generateSurfaceLakes();
+        this.generateTrees();
 
         this.dirty = true;
         this.dirtyBounds = {
@@ -809,6 +804,31 @@ class Terrain {
         }
     }
 
+    /**
+     * Stand bare wooden trunks on grassy ground, each with a pair of short branches
+     */
+    generateTrees() {
+        if (this.height < 40) return;
+        const attempts = Math.max(4, Math.floor(this.width / 60));
+        for (let i = 0; i < attempts; i++) {
+            const cx = Math.floor(this.nextRandomFloat() * this.width);
+            const trunkHeight = 10 + Math.floor(this.nextRandomFloat() * 10);
+            const branchY = Math.floor(trunkHeight * (0.5 + this.nextRandomFloat() * 0.2));
+            const surfaceY = this.findSurfaceY(cx);
+            if (surfaceY < trunkHeight + 4 || this.getPixel(cx, surfaceY) !== this.GRASS) continue;
+            if (this.getPixel(cx + 1, surfaceY) !== this.GRASS) continue;
+
+            for (let dy = 1; dy <= trunkHeight; dy++) {
+                this.setPixel(cx, surfaceY - dy, this.WOOD);
+                this.setPixel(cx + 1, surfaceY - dy, this.WOOD);
+            }
+            for (let d = 1; d <= 4; d++) {
+                this.setPixel(cx - d, surfaceY - branchY - d, this.WOOD);
+                this.setPixel(cx + 1 + d, surfaceY - branchY - d - 2, this.WOOD);
+            }
+        }
+    }
+
     findSurfaceY(x) {
         const wrappedX = Math.floor(wrapHorizontal(x, this.width));
         for (let y = 0; y < this.height - 2; y++) {
@@ -826,7 +846,7 @@ class Terrain {
         const index = y * this.width + wrappedX;
         const previous = this.pixels[index];
 
-        const isFluid = material === this.WATER || material === this.LAVA;
+        const isFluid = material === this.WATER || material === this.LAVA || material === this.OIL;
         let nextMaterial = material;
         if (this.generating && isFluid) {
             this.initialFluids.push({ x: wrappedX, y, material });
@@ -855,6 +875,27 @@ class Terrain {
         return this.pixels[y * this.width + wrappedX];
     }
 
+    /**
+     * Index of the heat cell holding pixel (x, y), or -1 off the top or bottom of the world
+     */
+    heatIndex(x, y) {
+        if (y < 0 || y >= this.height) return -1;
+        const wrappedX = Math.floor(wrapHorizontal(x, this.width));
+        return Math.floor(y / this.heatCellSize) * this.heatWidth + Math.floor(wrappedX / this.heatCellSize);
+    }
+
+    getHeat(x, y) {
+        const index = this.heatIndex(x, y);
+        return index >= 0 ? this.heat[index] : 0;
+    }
+
+    addHeat(x, y, amount) {
+        const index = this.heatIndex(x, y);
+        if (index >= 0 && Number.isFinite(amount)) {
+            this.heat[index] += amount;
+        }
+    }
+
     serializeSnapshot() {
         return {
             width: this.width,
@@ -922,6 +963,63 @@ class Terrain {
         return props ? !!props.raiseOnContact : false;
     }
 
+    isOreMaterial(material) {
+        const props = this.substances[material];
+        return props ? !!props.ore : false;
+    }
+
+    /**
+     * Fill a wall (standing on the origin) or a bridge (running back from it) with solid material.
+     * Only empty cells accepted by options.canPlace are filled; returns the number of pixels placed.
+     * Placed cells are appended to options.cells as flat x, y pairs when it is an array.
+     */
+    build(originX, originY, spec, options = null) {
+        const opts = options || {};
+        const canPlace = typeof opts.canPlace === 'function' ? opts.canPlace : null;
+        const cells = Array.isArray(opts.cells) ? opts.cells : null;
+        if (!spec || !this.substances[spec.material]) return 0;
+
+        const bridge = spec.shape === 'bridge';
+        const width = bridge ? spec.length : spec.thickness;
+        const height = bridge ? spec.thickness : spec.length;
+        const centerX = Math.floor(originX);
+        const centerY = Math.floor(originY);
+        let left;
+        let top;
+        if (bridge) {
+            left = spec.direction < 0 ? centerX : centerX - width + 1;
+            top = centerY - Math.floor(height / 2);
+        } else {
+            left = centerX - Math.floor(width / 2);
+            top = centerY - height + 1;
+        }
+
+        let placed = 0;
+        for (let y = Math.max(0, top); y < Math.min(this.height, top + height); y++) {
+            for (let x = left; x < left + width; x++) {
+                const wrappedX = Math.floor(wrapHorizontal(x, this.width));
+                if (this.getPixel(wrappedX, y) !== this.EMPTY) continue;
+                if (canPlace && !canPlace(wrappedX, y)) continue;
+                this.setPixel(wrappedX, y, spec.material);
+                this.markDirty(wrappedX, y);
+                if (cells) cells.push(wrappedX, y);
+                placed++;
+            }
+        }
+        return placed;
+    }
+
+    getMaterialByName(name) {
+        if (typeof name !== 'string') return null;
+        const normalized = name.toLowerCase();
+        for (const id in this.substances) {
+            if (this.substances[id].name === normalized) {
+                return Number(id);
+            }
+        }
+        return null;
+    }
+
     isLiquid(x, y) {
         const material = this.getPixel(x, y);
         if (material === this.EMPTY || material === this.BEDROCK) {
@@ -941,6 +1039,22 @@ class Terrain {
         if (stats && typeof stats.destroyed !== 'number') {
             stats.destroyed = 0;
         }
+        if (stats && typeof stats.oresExposed !== 'number') {
+            stats.oresExposed = 0;
+        }
+        const exposedOres = (stats && !skipChunkProcessing) ? new Set() : null;
+        const trackOreExposure = (x, y, material) => {
+            if (this.isOreMaterial(material)) {
+                exposedOres.add(y * this.width + Math.floor(wrapHorizontal(x, this.width)));
+            }
+            const neighbors = [[x - 1, y], [x + 1, y], [x, y - 1], [x, y + 1]];
+            for (const [nx, ny] of neighbors) {
+                if (ny < 0 || ny >= this.height) continue;
+                if (this.isOreMaterial(this.getPixel(nx, ny))) {
+                    exposedOres.add(ny * this.width + Math.floor(wrapHorizontal(nx, this.width)));
+                }
+            }
+        };
 
         centerX = Math.floor(centerX);
         centerY = Math.floor(centerY);
@@ -1032,18 +1146,26 @@ class Terrain {
                         }
                         if (stats) {
                             stats.destroyed += 1;
+                            trackOreExposure(x, y, material);
                         }
                     } else if (impact >= props.durability * 0.5 && props.degradeTo !== null && props.degradeTo !== undefined) {
                         this.setPixel(x, y, props.degradeTo);
                         extendDirtyBounds(wrappedX, y);
                         if (stats) {
                             stats.destroyed += 1;
+                            if (this.isOreMaterial(material)) {
+                                exposedOres.add(y * this.width + wrappedX);
+                            }
                         }
                     }
                 }
             }
         }
 
+        if (exposedOres) {
+            stats.oresExposed += exposedOres.size;
+        }
+
         if (dirtyMinX === Infinity) {
             return chunks;
         }
@@ -1883,7 +2005,8 @@ class Terrain {
         const r = parseInt(hex.slice(1, 3), 16);
         const g = parseInt(hex.slice(3, 5), 16);
         const b = parseInt(hex.slice(5, 7), 16);
-        const a = 255;
+        const props = this.substances[material];
+        const a = props && Number.isFinite(props.alpha) ? props.alpha : 255;
         const rgba32 = this.isLittleEndian
             ? (a << 24) | (b << 16) | (g << 8) | r
             : (r << 24) | (g << 16) | (b << 8) | a;
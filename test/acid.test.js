@@ -0,0 +1,80 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createEngine, fill, spellRegistry } = require('./helpers.js');
+
+function addAcid(engine, x, y) {
+    const sand = engine.getSandParticleFromPool();
+    sand.init(x, y, engine.terrain.ACID, '#84cc16', 0, 1.1, true);
+    engine.addSandToChunk(sand, Math.floor(x / engine.chunkSize), Math.floor(y / engine.chunkSize));
+    engine.sandParticleCount++;
+    return sand;
+}
+
+function react(engine, sand, attempts = 500) {
+    const props = engine.terrain.substances[sand.material];
+    for (let i = 0; i < attempts; i++) {
+        if (sand.tryMix(engine, props)) return true;
+    }
+    return false;
+}
+
+test('acid eats at mages standing in it without setting them alight', () => {
+    const engine = createEngine();
+    const mage = engine.addPlayer('player_1', 100, 100);
+    mage.invulnerableTime = 0;
+    fill(engine.terrain, mage.x - 2, mage.y - 4, mage.width + 4, mage.height + 6, engine.terrain.ACID);
+
+    const fluids = mage.sampleFluids(engine);
+    assert.ok(fluids.acid > 0.9);
+    assert.strictEqual(fluids.lava, 0);
+    mage.lastAcidCoverage = fluids.acid;
+    mage.updateHazards(16, engine);
+    assert.strictEqual(mage.health, mage.maxHealth - mage.acidDamage);
+    assert.strictEqual(mage.hasStatusEffect('burning'), false);
+});
+
+test('acid dissolves the ground beside it and is used up doing so', () => {
+    const engine = createEngine();
+    const terrain = engine.terrain;
+    fill(terrain, 100, 101, 1, 1, terrain.DIRT);
+    const acid = addAcid(engine, 100, 100);
+
+    assert.ok(react(engine, acid));
+    assert.strictEqual(terrain.getPixel(100, 101), terrain.EMPTY);
+    assert.strictEqual(acid.dead, true);
+});
+
+test('bedrock never dissolves and water dilutes acid into plain water', () => {
+    const engine = createEngine();
+    const terrain = engine.terrain;
+    fill(terrain, 100, 101, 1, 1, terrain.BEDROCK);
+    const acid = addAcid(engine, 100, 100);
+    assert.strictEqual(react(engine, acid), false);
+    assert.strictEqual(terrain.getPixel(100, 101), terrain.BEDROCK);
+
+    fill(terrain, 101, 100, 1, 1, terrain.WATER);
+    assert.ok(react(engine, acid));
+    assert.strictEqual(acid.material, terrain.WATER);
+    assert.strictEqual(acid.isLiquid, true);
+    assert.strictEqual(acid.dead, false);
+});
+
+test('the entity worker sees free liquid around mages through its overlay', () => {
+    const server = createEngine();
+    server.addPlayer('player_1', 100, 100);
+    addAcid(server, 102, 110);
+    addAcid(server, 200, 40);
+    const cells = server.serializeLiquidsNearPlayers();
+    assert.deepStrictEqual(cells, [102, 110, server.terrain.ACID]);
+
+    const worker = createEngine();
+    worker.setLiquidOverlay(cells);
+    assert.strictEqual(worker.getLiquidAt(102, 110), worker.terrain.ACID);
+    assert.deepStrictEqual(Array.from(worker.collectLiquidParticles(100, 108, 104, 112).values()), [worker.terrain.ACID]);
+    worker.setLiquidOverlay([]);
+    assert.strictEqual(worker.liquidOverlay, null);
+});
+
+test('acid is bound to R', () => {
+    assert.strictEqual(spellRegistry.ids()[spellRegistry.getHotkeyIndex('r')], 'acid');
+});
@@ -0,0 +1,86 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createEngine, fill, Projectile, spellRegistry } = require('./helpers.js');
+
+function addGrain(engine, x, y) {
+    const sand = engine.getSandParticleFromPool();
+    sand.init(x, y, engine.terrain.SAND, '#ffffff', 0, 1, false);
+    engine.addSandToChunk(sand, Math.floor(x / engine.chunkSize), Math.floor(y / engine.chunkSize));
+    return sand;
+}
+
+test('spells resolve their behaviours over the defaults and drop unknown ones', () => {
+    const projectile = new Projectile(0, 0, 1, 0, 'missile', 'player_1');
+    assert.deepStrictEqual(projectile.behaviors, [{ id: 'homing', range: 200, turnRate: 0.06 }]);
+
+    const original = spellRegistry.get('missile').behaviors;
+    spellRegistry.get('missile').behaviors = [{ id: 'bounce' }, { id: 'teleport' }];
+    try {
+        const bouncing = new Projectile(0, 0, 1, 0, 'missile', 'player_1');
+        assert.deepStrictEqual(bouncing.behaviors, [{ id: 'bounce', count: 2, damping: 0.7 }]);
+    } finally {
+        spellRegistry.get('missile').behaviors = original;
+    }
+});
+
+test('a homing missile turns toward the nearest enemy by at most its turn rate', () => {
+    const engine = createEngine({ width: 640 });
+    engine.addPlayer('player_1', 20, 100);
+    const target = engine.addPlayer('player_2', 100, 20);
+    const missile = new Projectile(40, 100, 5, 0, 'missile', 'player_1');
+
+    Projectile.BEHAVIORS.homing.update(missile, engine, 16, missile.behaviors[0]);
+    const heading = Math.atan2(missile.vy, missile.vx);
+    assert.ok(Math.abs(heading + 0.06) < 1e-9, `heading ${heading}`);
+    assert.ok(Math.abs(Math.hypot(missile.vx, missile.vy) - 5) < 1e-9);
+
+    // Out of range, it flies straight
+    target.x = 340;
+    target.y = 100;
+    const straight = new Projectile(40, 100, 5, 0, 'missile', 'player_1');
+    assert.strictEqual(Projectile.BEHAVIORS.homing.update(straight, engine, 16, straight.behaviors[0]), false);
+    assert.strictEqual(straight.vy, 0);
+});
+
+test('bouncing mirrors the velocity about the surface and stops once the bounces are used up', () => {
+    const engine = createEngine();
+    fill(engine.terrain, 100, 0, 10, engine.height, engine.terrain.STONE);
+    const options = { id: 'bounce', count: 1, damping: 0.5 };
+    const projectile = new Projectile(95, 50, 4, 1, 'fireball', 'player_1');
+    const hit = Projectile.castRay(engine, 95, 50, 8, 2);
+    assert.ok(hit.collided);
+
+    assert.strictEqual(Projectile.BEHAVIORS.bounce.collide(projectile, engine, hit, options), true);
+    assert.ok(Math.abs(projectile.vx + 2) < 1e-9, `vx ${projectile.vx}`);
+    assert.ok(Math.abs(projectile.vy - 0.5) < 1e-9, `vy ${projectile.vy}`);
+    assert.strictEqual(projectile.x, hit.prevX);
+    assert.strictEqual(Projectile.BEHAVIORS.bounce.collide(projectile, engine, hit, options), false);
+});
+
+test('splitting fans out fragments once and fragments never split again', () => {
+    const engine = createEngine();
+    const options = { id: 'split', count: 3, spread: 1, speed: 4, into: 'ice' };
+    const projectile = new Projectile(100, 100, 5, 0, 'fireball', 'player_1');
+
+    assert.strictEqual(Projectile.BEHAVIORS.split.explode(projectile, engine, undefined, options), true);
+    assert.strictEqual(engine.projectiles.length, 3);
+    for (const fragment of engine.projectiles) {
+        assert.strictEqual(fragment.type, 'ice');
+        assert.strictEqual(fragment.ownerId, 'player_1');
+        assert.ok(fragment.vx < 0, 'fragments fly back out of the hit');
+        assert.strictEqual(Projectile.BEHAVIORS.split.explode(fragment, engine, undefined, options), false);
+    }
+});
+
+test('a gravity well pulls loose sand one cell toward it', () => {
+    const engine = createEngine();
+    const near = addGrain(engine, 110, 100);
+    const far = addGrain(engine, 200, 100);
+
+    assert.strictEqual(engine.attractSand(100, 100, 48, 200), 1);
+    assert.strictEqual(near.x, 109);
+    assert.strictEqual(far.x, 200);
+
+    engine.isServer = false;
+    assert.strictEqual(engine.attractSand(100, 100, 48, 200), 0);
+});
@@ -0,0 +1,87 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createEngine, createSimulation, fill, NetworkManager, spellRegistry } = require('./helpers.js');
+
+function blinker(engine, x = 40, y = 100) {
+    const mage = engine.addPlayer('player_1', x, y);
+    mage.selectedSpell = spellRegistry.ids().indexOf('blink');
+    return mage;
+}
+
+function aim(mage, x, y) {
+    mage.input = { left: false, right: false, jump: false, shoot: true, mouseX: x, mouseY: y };
+}
+
+function overlaps(engine, mage, material) {
+    for (let y = Math.floor(mage.y); y < mage.y + mage.height; y++) {
+        for (let x = Math.floor(mage.x); x < mage.x + mage.width; x++) {
+            if (engine.terrain.getPixel(x, y) === material) return true;
+        }
+    }
+    return false;
+}
+
+test('blink never crosses a wall thinner than its search radius', () => {
+    const engine = createEngine();
+    const mage = blinker(engine);
+    fill(engine.terrain, 80, 0, 2, engine.height, engine.terrain.STONE);
+    aim(mage, 110, mage.y + mage.height / 2);
+
+    assert.ok(mage.blink(engine, spellRegistry.get('blink')));
+    assert.ok(mage.x + mage.width <= 80, `landed at ${mage.x}`);
+});
+
+test('blink never lands inside bedrock or sand', () => {
+    const engine = createEngine();
+    const terrain = engine.terrain;
+    fill(terrain, 90, 60, 30, 60, terrain.BEDROCK);
+    fill(terrain, 120, 60, 30, 60, terrain.SAND);
+
+    for (const [x, y] of [[105, 90], [135, 90], [118, 70], [100, 110]]) {
+        const mage = blinker(engine);
+        aim(mage, x, y);
+        mage.blink(engine, spellRegistry.get('blink'));
+        assert.strictEqual(overlaps(engine, mage, terrain.BEDROCK), false, `bedrock at ${x},${y}`);
+        assert.strictEqual(overlaps(engine, mage, terrain.SAND), false, `sand at ${x},${y}`);
+        engine.removePlayer('player_1');
+    }
+});
+
+test('the server blinks from input and never from a projectile message', () => {
+    const sim = createSimulation();
+    sim.addPlayer('player_1');
+    const mage = sim.engine.players.get('player_1');
+    mage.x = 40;
+    mage.y = 100;
+    mage.selectedSpell = spellRegistry.ids().indexOf('blink');
+
+    sim.handleProjectile('player_1', { type: 'blink', x: mage.x, y: mage.y, vx: 0, vy: 0, clientProjectileId: 'c1' });
+    assert.strictEqual(mage.mana, mage.maxMana);
+
+    sim.handlePlayerInput('player_1', { shoot: true, mouseX: 100, mouseY: 108 });
+    mage.update(16, sim.engine);
+    assert.strictEqual(mage.blinkCount, 1);
+    assert.ok(mage.x > 40);
+    assert.strictEqual(mage.mana, mage.maxMana - spellRegistry.get('blink').manaCost);
+});
+
+test('a predicted blink holds off reconciliation until the server catches up or the grace runs out', () => {
+    const client = createEngine();
+    client.isServer = false;
+    const network = new NetworkManager(client);
+    const mage = client.addPlayer('player_1', 40, 100);
+    mage.blinkCount = 1;
+    mage.blinkTick = client.tick;
+
+    assert.strictEqual(network.isAwaitingBlink(mage, { blinkCount: 0 }), true);
+
+    // Once the server reports the blink, its state applies again
+    assert.strictEqual(network.isAwaitingBlink(mage, { blinkCount: 1 }), false);
+
+    // A blink the server rejected stops being waited for after the grace period
+    mage.blinkCount = 2;
+    mage.blinkTick = client.tick;
+    client.tick += network.blinkGraceTicks + 1;
+    assert.strictEqual(network.isAwaitingBlink(mage, { blinkCount: 1 }), false);
+    assert.strictEqual(mage.blinkCount, 1);
+});
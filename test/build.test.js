@@ -0,0 +1,81 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createEngine, createSimulation, broadcastsOf, NetworkManager, Projectile } = require('./helpers.js');
+
+const WALL = { shape: 'wall', material: 'stone', length: 20, thickness: 4 };
+
+// Wired the way SimulationCore.initializeEngine wires its own engine
+function buildSimulation() {
+    const sim = createSimulation();
+    sim.engine.onTerrainBuild = ({ x, y, cells, material }) => {
+        sim.recordAndBroadcastTerrainModification(x, y, 0, false, { cells, material });
+    };
+    sim.addPlayer('player_1');
+    return sim;
+}
+
+function cellsOf(flat) {
+    const cells = [];
+    for (let i = 0; i < flat.length; i += 2) cells.push(`${flat[i]},${flat[i + 1]}`);
+    return cells;
+}
+
+test('the server broadcasts exactly the cells it filled', () => {
+    const sim = buildSimulation();
+    const mage = sim.engine.players.get('player_1');
+    mage.x = 100;
+    mage.y = 90;
+
+    const placed = sim.engine.buildTerrain(101, 110, WALL, 'player_1');
+    const [update] = broadcastsOf(sim, 'terrain_update');
+    assert.ok(placed > 0 && placed < WALL.length * WALL.thickness);
+    assert.strictEqual(update.cells.length, placed * 2);
+    assert.strictEqual(update.material, sim.engine.terrain.STONE);
+    assert.deepStrictEqual(sim.terrainModifications[0].cells, update.cells);
+    // The column the mage stands in was left open
+    for (const cell of cellsOf(update.cells)) {
+        const [x, y] = cell.split(',').map(Number);
+        assert.strictEqual(sim.engine.isCellInsidePlayer(x, y), false);
+        assert.strictEqual(sim.engine.terrain.getPixel(x, y), sim.engine.terrain.STONE);
+    }
+});
+
+test('clients replay the broadcast cells instead of re-checking placement', () => {
+    const sim = buildSimulation();
+    const serverMage = sim.engine.players.get('player_1');
+    serverMage.x = 300;
+    sim.engine.buildTerrain(101, 110, WALL, 'player_1');
+    const [update] = broadcastsOf(sim, 'terrain_update');
+
+    // On this client a mage is standing where the server saw open air
+    const client = createEngine();
+    client.isServer = false;
+    client.addPlayer('player_1', 98, 92);
+    new NetworkManager(client).applyTerrainMods([update]);
+
+    const stone = [];
+    for (let y = 0; y < client.height; y++) {
+        for (let x = 0; x < client.width; x++) {
+            if (client.terrain.getPixel(x, y) === client.terrain.STONE) stone.push(`${x},${y}`);
+        }
+    }
+    assert.deepStrictEqual(stone.sort(), cellsOf(update.cells).sort());
+});
+
+test('clients never build on their own', () => {
+    const client = createEngine();
+    client.isServer = false;
+    assert.strictEqual(client.buildTerrain(100, 100, WALL), 0);
+    new Projectile(100, 100, 4, 0, 'wall', 'player_1').explode(client);
+    assert.strictEqual(client.terrain.getPixel(95, 100), client.terrain.EMPTY);
+});
+
+test('liquids, ores and bedrock are not buildable', () => {
+    const engine = createEngine();
+    for (const material of ['water', 'bedrock', 'gold', 'nonsense']) {
+        assert.strictEqual(engine.normalizeBuildSpec({ ...WALL, material }), null, material);
+    }
+    const spec = engine.normalizeBuildSpec({ shape: 'bridge', material: 'dirt', length: 500, thickness: 0 });
+    assert.strictEqual(spec.length, 64);
+    assert.strictEqual(spec.thickness, 1);
+});
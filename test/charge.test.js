@@ -0,0 +1,102 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createEngine, createSimulation, Player, spellRegistry } = require('./helpers.js');
+
+const fireball = spellRegistry.get('fireball');
+
+function chargingMage(sim) {
+    sim.addPlayer('player_1');
+    const mage = sim.engine.players.get('player_1');
+    mage.x = 40;
+    mage.y = 100;
+    mage.selectedSpell = spellRegistry.ids().indexOf('fireball');
+    return mage;
+}
+
+function hold(sim, mage, ms, shoot = true) {
+    sim.handlePlayerInput('player_1', { shoot, mouseX: 200, mouseY: 100 });
+    for (let held = 0; held < ms; held += 100) {
+        mage.update(100, sim.engine);
+    }
+}
+
+function launch(sim, charge) {
+    sim.handleProjectile('player_1', {
+        type: 'fireball', x: 60, y: 106, vx: 100, vy: 0, charge, clientProjectileId: 'c1'
+    });
+    return sim.engine.projectiles[sim.engine.projectiles.length - 1];
+}
+
+test('the server accepts a reported charge only up to what it measured plus a little slack', () => {
+    const mage = new Player('player_1', 0, 0);
+    mage.chargeTime = 400;
+
+    assert.strictEqual(mage.validateChargeTime(300, fireball), 300);
+    assert.strictEqual(mage.validateChargeTime(2000, fireball), 400 + Player.CHARGE_TOLERANCE);
+    assert.strictEqual(mage.validateChargeTime(-5, fireball), 400);
+    assert.strictEqual(mage.validateChargeTime(NaN, fireball), 400);
+
+    mage.chargeTime = fireball.charge.time;
+    assert.strictEqual(mage.validateChargeTime(5000, fireball), fireball.charge.time);
+});
+
+test('the server never fires a charged spell from input; the projectile message pays once at the charge it saw', () => {
+    const sim = createSimulation();
+    const mage = chargingMage(sim);
+
+    hold(sim, mage, 500);
+    assert.ok(mage.charging);
+    assert.strictEqual(mage.chargeTime, 500);
+
+    // Releasing keeps the measured time for the shot that follows
+    hold(sim, mage, 100, false);
+    assert.strictEqual(mage.charging, false);
+    assert.strictEqual(mage.chargeTime, 500);
+    assert.strictEqual(sim.engine.projectiles.length, 0);
+    assert.strictEqual(mage.mana, mage.maxMana);
+
+    const projectile = launch(sim, 1);
+    const expected = (500 + Player.CHARGE_TOLERANCE) / fireball.charge.time;
+    assert.ok(Math.abs(projectile.charge - expected) < 1e-9, `charge ${projectile.charge}`);
+    assert.ok(Math.hypot(projectile.vx, projectile.vy) <= fireball.speed * 1.4);
+    assert.strictEqual(mage.mana, mage.maxMana - fireball.manaCost);
+    assert.strictEqual(mage.chargeTime, 0);
+});
+
+test('a shot that arrives before the release still counts the charge, and the next press starts over', () => {
+    const sim = createSimulation();
+    const mage = chargingMage(sim);
+
+    hold(sim, mage, 300);
+    const projectile = launch(sim, 0.25);
+    assert.strictEqual(projectile.charge, 0.25);
+    assert.strictEqual(mage.charging, false);
+    const manaAfterShot = mage.mana;
+
+    // The late release is not a second shot
+    hold(sim, mage, 100, false);
+    assert.strictEqual(sim.engine.projectiles.length, 1);
+    assert.ok(mage.mana >= manaAfterShot);
+
+    mage.spellCooldowns = {};
+    hold(sim, mage, 200);
+    assert.strictEqual(mage.chargeTime, 200);
+});
+
+test('offline, a charged spell fires on release with the charge held', () => {
+    const engine = createEngine();
+    engine.isServer = false;
+    const mage = engine.addPlayer('player_1', 40, 100);
+    mage.selectedSpell = spellRegistry.ids().indexOf('fireball');
+    mage.input = { shoot: true, mouseX: 200, mouseY: 100 };
+
+    for (let i = 0; i < 6; i++) mage.update(100, engine);
+    assert.strictEqual(engine.projectiles.length, 0);
+    assert.ok(Math.abs(mage.getChargeLevel() - 600 / fireball.charge.time) < 1e-9);
+
+    mage.input = { shoot: false, mouseX: 200, mouseY: 100 };
+    mage.update(16, engine);
+    assert.strictEqual(engine.projectiles.length, 1);
+    assert.ok(Math.abs(engine.projectiles[0].charge - 600 / fireball.charge.time) < 1e-9);
+    assert.strictEqual(mage.charging, false);
+});
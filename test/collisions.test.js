@@ -0,0 +1,68 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createEngine, Projectile } = require('./helpers.js');
+
+function duel() {
+    const engine = createEngine();
+    const red = engine.addPlayer('player_1', 20, 40);
+    const blue = engine.addPlayer('player_2', 220, 40);
+    return { engine, red, blue };
+}
+
+function fly(engine, x, y, vx, vy, type, ownerId, serverId) {
+    const projectile = engine.spawnProjectile(x, y, vx, vy, type, ownerId);
+    projectile.serverId = serverId;
+    return projectile;
+}
+
+test('fire and ice meeting in mid-air burst into steam that scalds whoever is close', () => {
+    const { engine, red } = duel();
+    const bystander = engine.addPlayer('player_3', 96, 94);
+    const fire = fly(engine, 100, 100, 5, 0, 'fireball', 'player_1', 'a');
+    const ice = fly(engine, 104, 100, -5, 0, 'ice', 'player_2', 'b');
+
+    assert.strictEqual(engine.resolveProjectileCollisions(), 1);
+    assert.ok(fire.dead && ice.dead);
+    assert.deepStrictEqual(engine.projectileCollisions.get('a'), { effect: 'steam', x: 102, y: 100 });
+    assert.ok(bystander.health < bystander.maxHealth);
+    assert.strictEqual(red.health, red.maxHealth);
+});
+
+test('unlisted pairs fizzle out without hurting anyone', () => {
+    const { engine } = duel();
+    const bystander = engine.addPlayer('player_3', 96, 94);
+    fly(engine, 100, 100, 5, 0, 'fireball', 'player_1', 'a');
+    fly(engine, 104, 100, -5, 0, 'earth', 'player_2', 'b');
+
+    assert.strictEqual(engine.resolveProjectileCollisions(), 1);
+    assert.strictEqual(engine.projectileCollisions.get('b').effect, 'cancel');
+    assert.strictEqual(bystander.health, bystander.maxHealth);
+});
+
+test('spells that crossed during the last tick still collide, even across a chunk edge', () => {
+    const { engine } = duel();
+    // They swapped sides during the step, so their current positions are far apart
+    const fire = fly(engine, 70, 100, 12, 0, 'fireball', 'player_1', 'a');
+    const ice = fly(engine, 58, 100, -12, 0, 'ice', 'player_2', 'b');
+    assert.ok(engine.projectilesMet(fire, ice));
+    assert.strictEqual(engine.resolveProjectileCollisions(), 1);
+
+    const apart = fly(engine, 140, 100, 0, 5, 'fireball', 'player_1', 'c');
+    const other = fly(engine, 160, 100, 0, -5, 'ice', 'player_2', 'd');
+    assert.strictEqual(engine.projectilesMet(apart, other), false);
+});
+
+test('a caster\'s own spells and teammates\' spells pass through each other', () => {
+    const { engine, red, blue } = duel();
+    fly(engine, 100, 100, 5, 0, 'fireball', 'player_1', 'a');
+    fly(engine, 104, 100, -5, 0, 'ice', 'player_1', 'b');
+    assert.strictEqual(engine.resolveProjectileCollisions(), 0);
+
+    red.setTeam('red');
+    blue.setTeam('red');
+    fly(engine, 104, 100, -5, 0, 'ice', 'player_2', 'c');
+    assert.strictEqual(engine.resolveProjectileCollisions(), 0);
+
+    engine.friendlyFire = true;
+    assert.strictEqual(engine.resolveProjectileCollisions(), 1);
+});
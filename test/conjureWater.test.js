@@ -0,0 +1,46 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createEngine, fill, Projectile } = require('./helpers.js');
+
+function pendingCells(engine) {
+    const cells = [];
+    for (const list of engine.pendingFluidChunks.values()) {
+        for (const entry of list) cells.push(entry);
+    }
+    return cells;
+}
+
+test('conjured water fills open cells around the impact', () => {
+    const engine = createEngine();
+    const queued = engine.conjureFluid(100, 100, 'water', 20, 'player_1');
+    assert.strictEqual(queued, 20);
+    const cells = pendingCells(engine);
+    assert.strictEqual(cells.length, 20);
+    for (const cell of cells) {
+        assert.strictEqual(cell.material, engine.terrain.WATER);
+        assert.ok(Math.abs(cell.x - 100) <= 4 && Math.abs(cell.y - 100) <= 4);
+    }
+});
+
+test('liquid never appears behind a wall', () => {
+    const engine = createEngine();
+    const terrain = engine.terrain;
+    // A sealed 3x3 pocket: only its nine cells are reachable
+    fill(terrain, 95, 95, 11, 11, terrain.STONE);
+    fill(terrain, 99, 99, 3, 3, terrain.EMPTY);
+    assert.strictEqual(engine.conjureFluid(100, 100, 'water', 40), 9);
+});
+
+test('only the server conjures, and only liquids', () => {
+    const engine = createEngine();
+    assert.strictEqual(engine.conjureFluid(100, 100, 'stone', 10), 0);
+    assert.strictEqual(engine.conjureFluid(100, 100, 'nonsense', 10), 0);
+    engine.isServer = false;
+    assert.strictEqual(engine.conjureFluid(100, 100, 'water', 10), 0);
+});
+
+test('the Conjure Water spell floods on impact', () => {
+    const engine = createEngine();
+    new Projectile(100, 100, 0, 0, 'water', 'player_1').explode(engine);
+    assert.strictEqual(pendingCells(engine).length, 48);
+});
@@ -0,0 +1,81 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createEngine, createSimulation, broadcastsOf, fill, NetworkManager, spellRegistry } = require('./helpers.js');
+
+function aimRight(mage) {
+    mage.aimAngle = 0;
+    mage.input = { left: false, right: false, jump: false, shoot: true, mouseX: mage.x + 100, mouseY: mage.y + mage.height / 2 };
+}
+
+test('beams stop at the first solid cell and run their full range in open air', () => {
+    const engine = createEngine();
+    const mage = engine.addPlayer('player_1', 40, 100);
+    const drill = spellRegistry.get('drill');
+    aimRight(mage);
+
+    const open = mage.traceBeam(engine, drill);
+    assert.strictEqual(open.hit, false);
+    assert.ok(Math.abs(open.endX - open.x - drill.beam.range) < 1e-6);
+
+    fill(engine.terrain, 100, 0, 4, engine.height, engine.terrain.STONE);
+    const blocked = mage.traceBeam(engine, drill);
+    assert.strictEqual(blocked.hit, true);
+    assert.strictEqual(Math.floor(blocked.endX), 100);
+});
+
+test('drilling wears cells down by durability and never touches bedrock or liquids', () => {
+    const engine = createEngine();
+    const terrain = engine.terrain;
+    terrain.setPixel(50, 50, terrain.DIRT);
+    terrain.setPixel(60, 50, terrain.STONE);
+    terrain.setPixel(70, 50, terrain.BEDROCK);
+    terrain.setPixel(80, 50, terrain.WATER);
+    terrain.setPixel(90, 50, terrain.LAVA);
+
+    for (const x of [50, 60, 70, 80, 90]) {
+        engine.drillTerrain(x, 50, 0.5, 2);
+    }
+    assert.strictEqual(terrain.getPixel(50, 50), terrain.EMPTY);
+    assert.strictEqual(terrain.getPixel(60, 50), terrain.STONE);
+    engine.drillTerrain(60, 50, 0.5, 2);
+    assert.strictEqual(terrain.getPixel(60, 50), terrain.EMPTY);
+
+    for (let i = 0; i < 10; i++) {
+        for (const x of [70, 80, 90]) engine.drillTerrain(x, 50, 0.5, 1000);
+    }
+    assert.strictEqual(terrain.getPixel(70, 50), terrain.BEDROCK);
+    assert.strictEqual(terrain.getPixel(80, 50), terrain.WATER);
+    assert.strictEqual(terrain.getPixel(90, 50), terrain.LAVA);
+});
+
+test('a channelled beam drains mana and its drilled cells reach clients in batches', () => {
+    const sim = createSimulation();
+    sim.engine.onTerrainDrill = ({ x, y, sourceId, cells }) => sim.queueDrilledCells(sourceId, x, y, cells);
+    sim.addPlayer('player_1');
+    const mage = sim.engine.players.get('player_1');
+    mage.x = 40;
+    mage.y = 100;
+    mage.selectedSpell = spellRegistry.ids().indexOf('drill');
+    fill(sim.engine.terrain, 80, 0, 20, sim.engine.height, sim.engine.terrain.DIRT);
+    aimRight(mage);
+
+    for (let i = 0; i < 20; i++) {
+        sim.engine.tick++;
+        mage.update(50, sim.engine);
+    }
+    assert.ok(mage.channeling);
+    assert.ok(mage.mana < mage.maxMana);
+
+    sim.flushDrilledTerrain(true);
+    const [update] = broadcastsOf(sim, 'terrain_update');
+    assert.ok(update.cells.length > 0);
+    assert.strictEqual(update.material, sim.engine.terrain.EMPTY);
+
+    const client = createEngine();
+    client.isServer = false;
+    fill(client.terrain, 80, 0, 20, client.height, client.terrain.DIRT);
+    new NetworkManager(client).applyTerrainMods([update]);
+    for (let i = 0; i < update.cells.length; i += 2) {
+        assert.strictEqual(client.terrain.getPixel(update.cells[i], update.cells[i + 1]), client.terrain.EMPTY);
+    }
+});
@@ -0,0 +1,72 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createEngine, fill, Projectile } = require('./helpers.js');
+
+function pool(engine) {
+    const terrain = engine.terrain;
+    fill(terrain, 80, 140, 100, 10, terrain.STONE);
+    fill(terrain, 100, 120, 60, 20, terrain.WATER);
+    return terrain;
+}
+
+test('ice freezes water around the impact and reports the cells it changed', () => {
+    const engine = createEngine();
+    const terrain = pool(engine);
+    const reactions = [];
+    engine.onTerrainReaction = (event) => reactions.push(event);
+
+    const changed = engine.reactToElement(130, 120, 'ice', 6);
+    assert.ok(changed > 0);
+    assert.strictEqual(terrain.getPixel(130, 121), terrain.ICE);
+    assert.strictEqual(terrain.getPixel(110, 130), terrain.WATER);
+    assert.strictEqual(reactions.length, 1);
+    assert.strictEqual(reactions[0].cells.length, changed * 3);
+    assert.strictEqual(reactions[0].cells[2], terrain.ICE);
+});
+
+test('fire boils water away and melts ice into loose meltwater', () => {
+    const engine = createEngine();
+    const terrain = pool(engine);
+    fill(terrain, 128, 118, 4, 2, terrain.ICE);
+
+    engine.reactToElement(130, 121, 'fire', 4);
+    assert.strictEqual(terrain.getPixel(130, 121), terrain.EMPTY);
+    assert.strictEqual(terrain.getPixel(129, 119), terrain.EMPTY);
+    assert.ok(engine.sandParticleCount > 0, 'meltwater rejoins the fluid simulation');
+});
+
+test('lightning shocks every enemy in the struck body of water once', () => {
+    const engine = createEngine();
+    pool(engine);
+    engine.addPlayer('player_1', 20, 100);
+    const swimmer = engine.addPlayer('player_2', 140, 124);
+    const dry = engine.addPlayer('player_3', 200, 60);
+
+    engine.reactToElement(104, 121, 'lightning', 6, 20, 'player_1');
+    assert.strictEqual(swimmer.health, swimmer.maxHealth - 12);
+    assert.strictEqual(dry.health, dry.maxHealth);
+
+    // Lightning that lands away from water does nothing
+    assert.strictEqual(engine.reactToElement(200, 40, 'lightning', 6, 20, 'player_1'), 0);
+    assert.strictEqual(swimmer.health, swimmer.maxHealth - 12);
+});
+
+test('only elemental rays stop at the water line', () => {
+    const engine = createEngine();
+    pool(engine);
+
+    const plain = Projectile.castRay(engine, 130, 100, 0, 38);
+    assert.strictEqual(plain.collided, false);
+    const watched = Projectile.castRay(engine, 130, 100, 0, 38, { watchWater: true });
+    assert.strictEqual(watched.liquid, engine.terrain.WATER);
+    assert.strictEqual(Math.floor(watched.y), 120);
+});
+
+test('clients replay reaction cells exactly as the server painted them', () => {
+    const engine = createEngine();
+    const terrain = pool(engine);
+    const painted = engine.paintTerrainCells([130, 121, terrain.ICE, 131, 121, terrain.EMPTY, 1.5, 2, terrain.ICE]);
+    assert.strictEqual(painted, 2);
+    assert.strictEqual(terrain.getPixel(130, 121), terrain.ICE);
+    assert.strictEqual(terrain.getPixel(131, 121), terrain.EMPTY);
+});
@@ -0,0 +1,67 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createEngine, fill } = require('./helpers.js');
+
+function addGrain(engine, x, y, { resting = false, liquid = false } = {}) {
+    const sand = engine.getSandParticleFromPool();
+    const material = liquid ? engine.terrain.WATER : engine.terrain.SAND;
+    sand.init(x, y, material, '#ffffff', 0, 1, liquid);
+    if (resting) sand.restTime = 50;
+    engine.addSandToChunk(sand, Math.floor(x / engine.chunkSize), Math.floor(y / engine.chunkSize));
+    return sand;
+}
+
+test('the chunk iterator wraps around the world edge and skips dead particles', () => {
+    const engine = createEngine();
+    const edge = addGrain(engine, engine.width - 1, 10);
+    const dead = addGrain(engine, 1, 10);
+    dead.dead = true;
+
+    const seen = [];
+    engine.forEachSandInBox(-3, 5, 2, 15, (sand) => seen.push(sand));
+    assert.deepStrictEqual(seen, [edge]);
+});
+
+test('falling grains over a mage\'s head crush them; resting sand and water do not', () => {
+    const engine = createEngine();
+    const mage = engine.addPlayer('player_1', 100, 100);
+    mage.invulnerableTime = 0;
+    const x = Math.floor(mage.x) + 2;
+    for (let i = 0; i < 30; i++) {
+        addGrain(engine, x, Math.floor(mage.y) + (i % 4), { resting: true });
+        addGrain(engine, x + 1, Math.floor(mage.y) + (i % 4), { liquid: true });
+    }
+    engine.applySandCrush();
+    assert.strictEqual(mage.health, mage.maxHealth);
+
+    for (let i = 0; i < 50; i++) {
+        addGrain(engine, x, Math.floor(mage.y) + (i % 4));
+    }
+    engine.applySandCrush();
+    assert.strictEqual(mage.health, mage.maxHealth - 2);
+});
+
+test('hard landings hurt and gentle ones do not', () => {
+    const engine = createEngine();
+    fill(engine.terrain, 0, 150, engine.width, 10, engine.terrain.BEDROCK);
+
+    const soft = engine.addPlayer('player_1', 40, 150 - 17);
+    soft.vy = 2;
+    const hard = engine.addPlayer('player_2', 120, 150 - 17);
+    hard.vy = 12;
+    soft.invulnerableTime = hard.invulnerableTime = 0;
+    for (const mage of [soft, hard]) mage.input = { left: false, right: false, jump: false, shoot: false, mouseX: mage.x, mouseY: mage.y };
+
+    soft.update(16, engine);
+    hard.update(16, engine);
+    assert.strictEqual(soft.health, soft.maxHealth);
+    assert.ok(hard.health < hard.maxHealth);
+});
+
+test('a buried mage runs out of breath', () => {
+    const engine = createEngine();
+    const mage = engine.addPlayer('player_1', 100, 100);
+    mage.buried = true;
+    mage.updateHazards(1000, engine);
+    assert.strictEqual(mage.breath, mage.maxBreath - mage.breathDrainRate);
+});
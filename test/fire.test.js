@@ -0,0 +1,79 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createEngine, fill } = require('./helpers.js');
+
+function burn(engine, steps) {
+    for (let i = 0; i < steps; i++) {
+        engine.tick += engine.fireStepInterval;
+        engine.updateActiveChunks(engine.width, engine.height);
+        engine.updateFire(16);
+    }
+}
+
+test('only flammable cells catch', () => {
+    const engine = createEngine();
+    const terrain = engine.terrain;
+    fill(terrain, 40, 40, 10, 1, terrain.WOOD);
+    fill(terrain, 40, 41, 10, 1, terrain.STONE);
+
+    const lit = engine.ignite(45, 40, 3);
+    assert.ok(lit > 0);
+    assert.strictEqual(engine.fireCellCount, lit);
+    for (const fires of engine.fireChunks.values()) {
+        for (const fire of fires.values()) assert.strictEqual(fire.material, terrain.WOOD);
+    }
+});
+
+test('fire spreads along wood and burns it to ash, reporting the burned cells', () => {
+    const engine = createEngine();
+    const terrain = engine.terrain;
+    engine.addPlayer('player_1', 20, 20);
+    fill(terrain, 40, 100, 40, 2, terrain.WOOD);
+    const reports = [];
+    engine.onTerrainReaction = (event) => reports.push(event);
+
+    engine.ignite(40, 100, 1);
+    burn(engine, 400);
+    assert.strictEqual(terrain.getPixel(79, 101), terrain.ASH, 'the far end burned too');
+    assert.strictEqual(engine.fireCellCount, 0);
+    assert.ok(reports.length > 0 && reports.every((event) => event.element === 'fire'));
+});
+
+test('water next to a flame puts it out', () => {
+    const engine = createEngine();
+    const terrain = engine.terrain;
+    engine.addPlayer('player_1', 20, 20);
+    fill(terrain, 40, 100, 1, 1, terrain.WOOD);
+    fill(terrain, 41, 100, 1, 1, terrain.WATER);
+
+    engine.ignite(40, 100, 1);
+    burn(engine, 1);
+    assert.strictEqual(engine.fireCellCount, 0);
+    assert.strictEqual(terrain.getPixel(40, 100), terrain.WOOD);
+});
+
+test('flames under a mage\'s feet hurt them', () => {
+    const engine = createEngine();
+    const terrain = engine.terrain;
+    const mage = engine.addPlayer('player_1', 40, 100 - 16);
+    mage.y = 100 - mage.height;
+    fill(terrain, 30, 100, 30, 1, terrain.GRASS);
+
+    engine.ignite(44, 100, 4);
+    burn(engine, 1);
+    assert.ok(mage.health < mage.maxHealth);
+});
+
+test('regenerating the map puts out every fire', () => {
+    const engine = createEngine({ generate: true });
+    const terrain = engine.terrain;
+    fill(terrain, 40, 40, 20, 4, terrain.GRASS);
+    engine.ignite(50, 42, 4);
+    assert.ok(engine.fireCellCount > 0);
+    engine.fireCells = [50, 42]; // what a client would hold from the last fire snapshot
+
+    engine.regenerateTerrain();
+    assert.strictEqual(engine.fireCellCount, 0);
+    assert.strictEqual(engine.fireChunks.size, 0);
+    assert.deepStrictEqual(engine.fireCells, []);
+});
@@ -0,0 +1,78 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createEngine } = require('./helpers.js');
+const { createGameMode, DeathmatchMode, TeamDeathmatchMode, KingOfTheHillMode } = require('../gameModes.js');
+
+function startMode(name, options = {}, engine = null) {
+    const core = { tick: 0, tickIntervalMs: 1000 / 60, engine, random: null };
+    const mode = createGameMode(name, core, options);
+    mode.start();
+    return { core, mode };
+}
+
+test('mode names and aliases pick the matching mode, anything else falls back to deathmatch', () => {
+    assert.ok(startMode('tdm').mode instanceof TeamDeathmatchMode);
+    assert.ok(startMode('King of the Hill').mode instanceof KingOfTheHillMode);
+    assert.ok(startMode('capture_the_flag').mode instanceof DeathmatchMode);
+});
+
+test('deathmatch ends the round at the score limit and starts over after the intermission', () => {
+    const { core, mode } = startMode('deathmatch', { scoreLimit: 2, intermissionDuration: 1000 });
+    mode.onPlayerKilled('player_2', 'player_1');
+    mode.onPlayerKilled('player_1', 'player_1');
+    assert.strictEqual(mode.update(16), null);
+    mode.onPlayerKilled('player_2', 'player_1');
+    assert.strictEqual(mode.update(16), 'round_end');
+    assert.deepStrictEqual(mode.winner, { id: 'player_1', score: 2 });
+
+    // Kills during the intermission don't count toward anything
+    mode.onPlayerKilled('player_1', 'player_2');
+    assert.strictEqual(mode.scores.get('player_2'), undefined);
+    core.tick += mode.msToTicks(1000);
+    assert.strictEqual(mode.update(16), 'intermission_end');
+    mode.startRound();
+    assert.strictEqual(mode.round, 2);
+    assert.strictEqual(mode.scores.size, 0);
+});
+
+test('a round that runs out of time goes to the leader, or to nobody on a tie', () => {
+    const { core, mode } = startMode('deathmatch', { roundDuration: 1000 });
+    mode.onPlayerKilled('player_2', 'player_1');
+    mode.onPlayerKilled('player_1', 'player_2');
+    core.tick += mode.msToTicks(1000);
+    assert.strictEqual(mode.update(16), 'round_end');
+    assert.strictEqual(mode.winner, null);
+    assert.strictEqual(mode.endReason, 'time');
+});
+
+test('team deathmatch balances joins and scores kills for the killer\'s team only', () => {
+    const { mode } = startMode('team_deathmatch');
+    const infos = ['a', 'b', 'c', 'd'].map((id) => {
+        const info = {};
+        mode.onPlayerJoin(id, info, null);
+        return info.team;
+    });
+    assert.deepStrictEqual(infos, ['red', 'blue', 'red', 'blue']);
+
+    mode.onPlayerKilled('b', 'a');
+    mode.onPlayerKilled('c', 'a');
+    assert.strictEqual(mode.scores.get('red'), 1);
+    assert.strictEqual(mode.scores.get('blue'), 0);
+});
+
+test('king of the hill scores uncontested time on the hill', () => {
+    const engine = createEngine();
+    const { mode } = startMode('koth', {}, engine);
+    const holder = engine.addPlayer('player_1', 0, 0);
+    const hill = mode.hill;
+    holder.x = hill.x - holder.width / 2;
+    holder.y = hill.y - holder.height / 2;
+    for (let i = 0; i < 3; i++) mode.update(500);
+    assert.strictEqual(mode.getState().scores[0].score, 1);
+    assert.strictEqual(mode.hill.holder, 'player_1');
+
+    engine.addPlayer('player_2', holder.x, holder.y);
+    mode.update(500);
+    assert.strictEqual(mode.hill.contested, true);
+    assert.strictEqual(mode.hill.holder, null);
+});
@@ -0,0 +1,80 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createEngine, fill } = require('./helpers.js');
+
+function gasParticles(engine, material = null) {
+    const found = [];
+    for (const list of engine.sandChunks.values()) {
+        for (const sand of list) {
+            if (!sand.dead && sand.isGas && (material === null || sand.material === material)) found.push(sand);
+        }
+    }
+    return found;
+}
+
+function simulate(engine, ticks) {
+    for (let i = 0; i < ticks; i++) {
+        engine.tick++;
+        engine.updateActiveChunks(engine.width, engine.height);
+        engine.updateSand(16);
+    }
+}
+
+test('only gas materials can be released, and only into open cells', () => {
+    const engine = createEngine();
+    const terrain = engine.terrain;
+    fill(terrain, 50, 50, 1, 1, terrain.STONE);
+
+    assert.strictEqual(engine.spawnGas(50, 50, terrain.STEAM), false);
+    assert.strictEqual(engine.spawnGas(60, 50, terrain.WATER), false);
+    assert.strictEqual(engine.spawnGas(60, 50, terrain.STEAM), true);
+    assert.strictEqual(engine.spawnGas(60, 50, terrain.SMOKE), false, 'the cell is already taken');
+
+    const [steam] = gasParticles(engine);
+    assert.strictEqual(steam.life, terrain.substances[terrain.STEAM].lifetime);
+});
+
+test('steam rises through open air and dissipates when its lifetime runs out', () => {
+    const engine = createEngine();
+    const terrain = engine.terrain;
+    engine.addPlayer('player_1', 120, 150);
+    engine.spawnGas(120, 120, terrain.STEAM);
+    const [steam] = gasParticles(engine);
+
+    simulate(engine, 20);
+    assert.ok(steam.y < 120, `steam at ${steam.y}`);
+
+    simulate(engine, Math.ceil(terrain.substances[terrain.STEAM].lifetime / 16) + 10);
+    assert.strictEqual(gasParticles(engine).length, 0);
+});
+
+test('gas away from every mage still ages out', () => {
+    const engine = createEngine();
+    const terrain = engine.terrain;
+    engine.spawnGas(120, 120, terrain.SMOKE);
+
+    engine.ageDormantGas(terrain.substances[terrain.SMOKE].lifetime - 1);
+    assert.strictEqual(gasParticles(engine).length, 1);
+    engine.ageDormantGas(2);
+    assert.strictEqual(gasParticles(engine).length, 0);
+    assert.strictEqual(engine.sandParticleCount, 0);
+});
+
+test('fire boils a lake into a capped sample of steam under a puff of smoke', () => {
+    const engine = createEngine();
+    const terrain = engine.terrain;
+    fill(terrain, 60, 100, 120, 40, terrain.WATER);
+
+    engine.reactToElement(120, 100, 'fire', 30);
+    const steam = gasParticles(engine, terrain.STEAM).length;
+    assert.ok(steam > 0 && steam <= engine.maxReactionGas, `${steam} steam`);
+    assert.ok(gasParticles(engine, terrain.SMOKE).length > 0);
+});
+
+test('sampling keeps whole triples spread evenly across the list', () => {
+    const engine = createEngine();
+    const cells = [];
+    for (let i = 0; i < 10; i++) cells.push(i, i * 2, 17);
+    assert.strictEqual(engine.sampleCells(cells, 20), cells);
+    assert.deepStrictEqual(engine.sampleCells(cells, 5), [0, 0, 17, 2, 4, 17, 4, 8, 17, 6, 12, 17, 8, 16, 17]);
+});
@@ -0,0 +1,50 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createEngine, fill } = require('./helpers.js');
+
+function submerge(material) {
+    const engine = createEngine();
+    const mage = engine.addPlayer('player_1', 100, 100);
+    mage.invulnerableTime = 0;
+    fill(engine.terrain, mage.x - 2, mage.y - 4, mage.width + 4, mage.height + 6, engine.terrain[material]);
+    return { engine, mage };
+}
+
+test('lava burns and sets mages alight', () => {
+    const { engine, mage } = submerge('LAVA');
+    const fluids = mage.sampleFluids(engine);
+    assert.ok(fluids.lava > 0.9);
+    mage.lastLavaCoverage = fluids.lava;
+
+    mage.updateHazards(16, engine);
+    assert.strictEqual(mage.health, mage.maxHealth - mage.lavaDamage);
+    assert.ok(mage.hasStatusEffect('burning'));
+});
+
+test('breath drains under water and drowning hurts once it runs out', () => {
+    const { engine, mage } = submerge('WATER');
+    const fluids = mage.sampleFluids(engine);
+    assert.strictEqual(fluids.headSubmerged, true);
+    assert.strictEqual(fluids.lava, 0);
+    mage.headSubmerged = true;
+
+    mage.updateHazards(1000, engine);
+    assert.strictEqual(mage.breath, mage.maxBreath - mage.breathDrainRate);
+    assert.strictEqual(mage.health, mage.maxHealth);
+
+    mage.breath = 0;
+    mage.updateHazards(mage.drownTickInterval, engine);
+    assert.strictEqual(mage.health, mage.maxHealth - mage.drownDamage);
+
+    mage.headSubmerged = false;
+    mage.updateHazards(1000, engine);
+    assert.strictEqual(mage.breath, mage.breathRecoverRate);
+});
+
+test('clients only track breath; hazard damage comes from the server', () => {
+    const { engine, mage } = submerge('LAVA');
+    engine.isServer = false;
+    mage.lastLavaCoverage = 1;
+    mage.updateHazards(16, engine);
+    assert.strictEqual(mage.health, mage.maxHealth);
+});
@@ -0,0 +1,76 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createEngine, fill } = require('./helpers.js');
+
+function countPixels(terrain, material) {
+    let count = 0;
+    for (let i = 0; i < terrain.pixels.length; i++) {
+        if (terrain.pixels[i] === material) count++;
+    }
+    return count;
+}
+
+function heatUp(engine, steps) {
+    engine.activeChunkKeys = ['0|0'];
+    for (let i = 0; i < steps; i++) {
+        engine.tick += engine.heatStepInterval;
+        engine.updateHeat();
+    }
+}
+
+test('heat is stored per coarse cell and wraps around the world edge', () => {
+    const { terrain } = createEngine();
+    terrain.addHeat(3, 5, 40);
+    assert.strictEqual(terrain.getHeat(7, 7), 40);
+    assert.strictEqual(terrain.getHeat(8, 7), 0);
+    terrain.addHeat(-1, 5, 10);
+    assert.strictEqual(terrain.getHeat(terrain.width - 1, 5), 10);
+    assert.strictEqual(terrain.getHeat(0, -1), 0);
+});
+
+test('heat spreads out from where it was added and fades back to ambient', () => {
+    const engine = createEngine();
+    const terrain = engine.terrain;
+    terrain.addHeat(28, 28, 200);
+    heatUp(engine, 1);
+    assert.ok(terrain.getHeat(36, 28) > 0, 'spreads to the neighbouring cell');
+    assert.ok(terrain.getHeat(28, 28) < 200, 'cools where it started');
+
+    heatUp(engine, 2000);
+    assert.strictEqual(terrain.getHeat(28, 28), 0);
+});
+
+test('sand next to lava fuses into glass and reports the changed cells', () => {
+    const engine = createEngine();
+    const terrain = engine.terrain;
+    fill(terrain, 40, 40, 16, 16, terrain.LAVA);
+    fill(terrain, 56, 40, 4, 16, terrain.SAND);
+    const reports = [];
+    engine.onTerrainReaction = (event) => reports.push(event);
+
+    heatUp(engine, 200);
+    assert.ok(countPixels(terrain, terrain.GLASS) > 0);
+    assert.ok(reports.some((event) => event.element === 'heat'));
+});
+
+test('ice by lava melts, and a lone trickle of lava hardens while a lake stays molten', () => {
+    const engine = createEngine();
+    const terrain = engine.terrain;
+    fill(terrain, 8, 8, 24, 24, terrain.LAVA);
+    fill(terrain, 32, 8, 4, 24, terrain.ICE);
+    fill(terrain, 56, 56, 1, 1, terrain.LAVA);
+
+    heatUp(engine, 200);
+    assert.strictEqual(countPixels(terrain, terrain.ICE), 0);
+    assert.strictEqual(terrain.getPixel(56, 56), terrain.STONE);
+    assert.strictEqual(terrain.getPixel(20, 20), terrain.LAVA);
+});
+
+test('regenerating the map cools the whole heat field', () => {
+    const engine = createEngine({ generate: true });
+    engine.terrain.addHeat(50, 42, 500);
+    engine.heatSeededChunks.add('0|0');
+    engine.regenerateTerrain();
+    assert.strictEqual(engine.terrain.getHeat(50, 42), 0);
+    assert.strictEqual(engine.heatSeededChunks.size, 0);
+});
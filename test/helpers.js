@@ -0,0 +1,71 @@
+// Loads the shared game scripts the way the workers do and builds small server engines for tests
+require('../deterministic.js');
+require('../materials.js');
+require('../terrain.js');
+require('../physics.js');
+const SpellRegistry = require('../spells.js');
+const Player = require('../player.js');
+const Projectile = require('../projectile.js');
+const Shield = require('../shield.js');
+const GameEngine = require('../engine.js');
+const NetworkManager = require('../network.js');
+const SimulationCore = require('../simulationWorker.js');
+
+function quietly(fn) {
+    const originalLog = console.log;
+    console.log = () => {};
+    try {
+        return fn();
+    } finally {
+        console.log = originalLog;
+    }
+}
+
+function createEngine({ width = 256, height = 192, seed = 1234, generate = false } = {}) {
+    return quietly(() => {
+        const engine = new GameEngine(null, true, { seed, width, height });
+        engine.init(!generate);
+        return engine;
+    });
+}
+
+/**
+ * A simulation core around a small engine, without its workers; everything it would post is kept in `events`
+ */
+function createSimulation(config = {}, engineOptions = {}) {
+    const sim = quietly(() => new SimulationCore({ seed: 1234, ...config }));
+    sim.engine = createEngine(engineOptions);
+    sim.events = [];
+    sim.emit = (event, data) => sim.events.push({ event, data });
+    sim.response = () => {};
+    return sim;
+}
+
+function broadcastsOf(sim, type) {
+    return sim.events
+        .filter((entry) => entry.event === 'broadcast' && entry.data.message.type === type)
+        .map((entry) => entry.data.message);
+}
+
+function fill(terrain, x0, y0, width, height, material) {
+    for (let y = y0; y < y0 + height; y++) {
+        for (let x = x0; x < x0 + width; x++) {
+            terrain.setPixel(x, y, material);
+        }
+    }
+}
+
+module.exports = {
+    GameEngine,
+    NetworkManager,
+    Player,
+    Projectile,
+    Shield,
+    SimulationCore,
+    SpellRegistry,
+    spellRegistry: globalThis.spellRegistry,
+    createEngine,
+    createSimulation,
+    broadcastsOf,
+    fill
+};
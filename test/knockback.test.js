@@ -0,0 +1,48 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createEngine, Projectile } = require('./helpers.js');
+
+function blastNextTo(offsetX, mass = 1) {
+    const engine = createEngine();
+    const victim = engine.addPlayer('player_2', 100, 100);
+    victim.invulnerableTime = 0;
+    victim.mass = mass;
+    const centerX = victim.x + victim.width / 2;
+    const centerY = victim.y + victim.height / 2;
+    new Projectile(centerX - offsetX, centerY, 0, 0, 'earth', 'player_1').explode(engine);
+    return victim;
+}
+
+test('explosions push mages away from the blast and lift them', () => {
+    const victim = blastNextTo(8);
+    assert.ok(victim.knockbackVx > 0);
+    assert.ok(victim.vx > 0);
+    assert.ok(victim.vy < 0);
+
+    const farther = blastNextTo(16);
+    assert.ok(farther.knockbackVx < victim.knockbackVx);
+});
+
+test('heavier mages are pushed less', () => {
+    const light = blastNextTo(8, 1);
+    const heavy = blastNextTo(8, 2);
+    assert.ok(Math.abs(heavy.knockbackVx - light.knockbackVx / 2) < 1e-9);
+});
+
+test('impulses are clamped and decay faster on the ground', () => {
+    const engine = createEngine();
+    const mage = engine.addPlayer('player_1', 100, 100);
+    mage.applyImpulse(100, 0);
+    assert.strictEqual(mage.knockbackVx, mage.maxKnockbackSpeed);
+
+    mage.knockbackVx = 4;
+    mage.grounded = true;
+    mage.update(16, engine);
+    const grounded = mage.knockbackVx;
+
+    const flyer = engine.addPlayer('player_2', 160, 20);
+    flyer.knockbackVx = 4;
+    flyer.grounded = false;
+    flyer.update(16, engine);
+    assert.ok(grounded < flyer.knockbackVx);
+});
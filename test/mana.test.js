@@ -0,0 +1,73 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createEngine, createSimulation, spellRegistry } = require('./helpers.js');
+
+test('casting spends mana and starts that spell\'s cooldown', () => {
+    const engine = createEngine();
+    const player = engine.addPlayer('player_1', 100, 100);
+    const fireball = spellRegistry.get('fireball');
+    const ice = spellRegistry.get('ice');
+
+    assert.ok(player.canCast(fireball));
+    player.consumeCast(fireball);
+    assert.strictEqual(player.mana, player.maxMana - fireball.manaCost);
+    assert.strictEqual(player.canCast(fireball), false);
+    // Cooldowns are per spell
+    assert.ok(player.canCast(ice));
+
+    player.update(fireball.cooldown, engine);
+    assert.strictEqual(player.getSpellCooldown('fireball'), 0);
+    assert.ok(player.canCast(fireball));
+});
+
+test('mana regenerates up to the cap and gates casting when empty', () => {
+    const engine = createEngine();
+    const player = engine.addPlayer('player_1', 100, 100);
+    const lightning = spellRegistry.get('lightning');
+
+    player.mana = lightning.manaCost - 1;
+    assert.strictEqual(player.canCast(lightning), false);
+
+    player.update(1000, engine);
+    assert.ok(player.mana >= lightning.manaCost);
+    player.update(60000, engine);
+    assert.strictEqual(player.mana, player.maxMana);
+});
+
+function castMessage(id, type = 'ice') {
+    return { type, x: 120, y: 80, vx: 8, vy: 0, clientProjectileId: id };
+}
+
+test('the server charges a projectile cast once, from the client message', () => {
+    const sim = createSimulation();
+    sim.addPlayer('player_1');
+    const player = sim.engine.players.get('player_1');
+    const ice = spellRegistry.get('ice');
+    player.selectedSpell = spellRegistry.ids().indexOf('ice');
+
+    sim.handlePlayerInput('player_1', { shoot: true, mouseX: player.x + 50, mouseY: player.y });
+    player.update(16, sim.engine);
+    assert.strictEqual(player.mana, player.maxMana);
+    assert.strictEqual(sim.engine.projectiles.length, 0);
+
+    sim.handleProjectile('player_1', castMessage('c1'));
+    assert.strictEqual(player.mana, player.maxMana - ice.manaCost);
+    assert.strictEqual(sim.engine.projectiles.length, 1);
+});
+
+test('the server rejects a cast still on cooldown and tells the client', () => {
+    const sim = createSimulation();
+    sim.addPlayer('player_1');
+    const player = sim.engine.players.get('player_1');
+
+    sim.handleProjectile('player_1', castMessage('c1'));
+    const mana = player.mana;
+    sim.handleProjectile('player_1', castMessage('c2'));
+
+    assert.strictEqual(player.mana, mana);
+    assert.strictEqual(sim.engine.projectiles.length, 1);
+    const rejection = sim.events.find((entry) => entry.event === 'send_to_player'
+        && entry.data.message.clientProjectileId === 'c2');
+    assert.ok(rejection);
+    assert.strictEqual(rejection.data.message.dead, true);
+});
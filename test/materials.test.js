@@ -0,0 +1,73 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createEngine } = require('./helpers.js');
+const MaterialRegistry = require('../materials.js');
+
+function countPixels(terrain, material) {
+    let count = 0;
+    for (let i = 0; i < terrain.pixels.length; i++) {
+        if (terrain.pixels[i] === material) count++;
+    }
+    return count;
+}
+
+function countPendingFluids(engine, material) {
+    let count = 0;
+    for (const list of engine.pendingFluidChunks.values()) {
+        for (const entry of list) {
+            if (entry.material === material) count++;
+        }
+    }
+    return count;
+}
+
+test('the registry skips invalid definitions and falls back to the defaults without an empty material', () => {
+    const registry = new MaterialRegistry([
+        { id: 0, name: 'Empty', type: 'empty' },
+        { id: 1, name: 'rock', durability: null, palette: ['#123456', 'red'] },
+        { id: 1, name: 'duplicate' },
+        { id: 300, name: 'too big' },
+        { id: 2, name: '' }
+    ]);
+    assert.deepStrictEqual(registry.materials.map((material) => material.name), ['empty', 'rock']);
+    assert.strictEqual(registry.get(1).durability, Infinity);
+    assert.deepStrictEqual(registry.get(1).palette, ['#123456']);
+    assert.strictEqual(registry.idOf('ROCK'), 1);
+
+    const fallback = new MaterialRegistry([{ id: 1, name: 'rock' }]);
+    assert.strictEqual(fallback.materials.length, MaterialRegistry.DEFAULT_MATERIALS.length);
+});
+
+test('substances resolve material names to ids', () => {
+    const registry = new MaterialRegistry([
+        { id: 0, name: 'empty', type: 'empty' },
+        { id: 1, name: 'stone', degradeTo: 'gravel' },
+        { id: 2, name: 'gravel', type: 'granular' },
+        { id: 3, name: 'lava', type: 'liquid', mix: { water: 'stone', nothing: 'stone' } },
+        { id: 4, name: 'water', type: 'liquid' }
+    ]);
+    const substances = registry.buildSubstances();
+    assert.strictEqual(substances[1].degradeTo, 2);
+    // Mix rules become reactions on both sides, and unknown names are dropped
+    assert.deepStrictEqual(substances[3].reactions.map((reaction) => [reaction.with, reaction.becomes]), [[[4], 1]]);
+    assert.deepStrictEqual(substances[4].reactions.map((reaction) => [reaction.with, reaction.becomes]), [[[3], 1]]);
+    assert.strictEqual(substances[2].type, 'granular');
+});
+
+test('terrain takes its material constants from the registry', () => {
+    const { terrain } = createEngine();
+    for (const name of ['sand', 'snow', 'wood', 'glass', 'oil', 'acid']) {
+        assert.strictEqual(terrain[name.toUpperCase()], globalThis.materialRegistry.idOf(name));
+    }
+});
+
+test('generation lays down sand, snow, wood and oil', () => {
+    const engine = createEngine({ width: 2400, height: 600, generate: true });
+    const terrain = engine.terrain;
+    assert.ok(countPixels(terrain, terrain.SAND) > 0, 'no desert sand');
+    assert.ok(countPixels(terrain, terrain.SNOW) > 0, 'no snow on the peaks');
+    assert.ok(countPixels(terrain, terrain.WOOD) > 0, 'no trees');
+    // Generated liquids are queued to spawn as particles rather than left in the terrain
+    assert.strictEqual(countPixels(terrain, terrain.OIL), 0);
+    assert.ok(countPendingFluids(engine, terrain.OIL) > 0, 'no oil pockets');
+});
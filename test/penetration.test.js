@@ -0,0 +1,59 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createEngine, fill, Projectile } = require('./helpers.js');
+
+test('castRay spends penetration on the cells it passes and reports what is left', () => {
+    const engine = createEngine();
+    const terrain = engine.terrain;
+    fill(terrain, 100, 50, 2, 1, terrain.DIRT);
+    fill(terrain, 110, 50, 1, 1, terrain.BEDROCK);
+
+    const dirtCost = Projectile.penetrationCost(terrain.substances[terrain.DIRT]);
+    const hit = Projectile.castRay(engine, 90.5, 50.5, 30, 0, { penetration: dirtCost * 2 + 1 });
+    assert.strictEqual(hit.collided, true);
+    assert.strictEqual(hit.material, terrain.BEDROCK);
+    assert.strictEqual(hit.penetration, 1);
+    assert.strictEqual(hit.nx, -1);
+    assert.ok(Math.abs(hit.ny) < 1e-9);
+
+    // Without penetration the first dirt cell stops the ray
+    const blocked = Projectile.castRay(engine, 90.5, 50.5, 30, 0);
+    assert.strictEqual(blocked.material, terrain.DIRT);
+    assert.strictEqual(Math.floor(blocked.x), 100);
+});
+
+test('a projectile keeps the penetration its raycast left it', () => {
+    const engine = createEngine();
+    const terrain = engine.terrain;
+    fill(terrain, 100, 50, 1, 1, terrain.DIRT);
+    const projectile = new Projectile(90.5, 50.5, 1, 0, 'lightning', 'player_1');
+    const before = projectile.penetration;
+    assert.ok(before > 0);
+
+    projectile.raycast(engine, 90.5, 50.5, 20, 0);
+    assert.strictEqual(projectile.penetration, before - Projectile.penetrationCost(terrain.substances[terrain.DIRT]));
+});
+
+test('shallow hits on bedrock ricochet a few times; steep ones and other rock do not', () => {
+    const engine = createEngine();
+    const terrain = engine.terrain;
+    fill(terrain, 0, 100, engine.width, 10, terrain.BEDROCK);
+    const projectile = new Projectile(50, 95, 6, 1, 'fireball', 'player_1');
+    const hit = Projectile.castRay(engine, 50, 99.5, 6, 1);
+    assert.strictEqual(hit.material, terrain.BEDROCK);
+
+    assert.strictEqual(projectile.ricochet(engine, hit), true);
+    assert.ok(projectile.vy < 0);
+    assert.ok(Math.abs(projectile.vx - 6 * Projectile.RICOCHET_DAMPING) < 1e-9);
+
+    projectile.ricochets = Projectile.MAX_RICOCHETS;
+    assert.strictEqual(projectile.ricochet(engine, hit), false);
+
+    const steep = new Projectile(50, 95, 1, 6, 'fireball', 'player_1');
+    assert.strictEqual(steep.ricochet(engine, hit), false);
+
+    fill(terrain, 0, 100, engine.width, 10, terrain.STONE);
+    const stoneHit = Projectile.castRay(engine, 50, 99.5, 6, 1);
+    const glancing = new Projectile(50, 95, 6, 1, 'fireball', 'player_1');
+    assert.strictEqual(glancing.ricochet(engine, stoneHit), false);
+});
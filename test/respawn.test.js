@@ -0,0 +1,50 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createSimulation, broadcastsOf } = require('./helpers.js');
+
+function killedPlayer(config) {
+    const sim = createSimulation({ respawnDelay: 500, respawnInvulnerability: 1000, ...config });
+    sim.addPlayer('player_1', 0);
+    const mage = sim.engine.players.get('player_1');
+    mage.takeDamage(mage.maxHealth);
+    return { sim, mage };
+}
+
+function advance(sim, ticks) {
+    for (let i = 0; i < ticks; i++) {
+        sim.tick += 1;
+        sim.updateRespawns();
+    }
+}
+
+test('a dead mage is announced once and brought back after the respawn delay', () => {
+    const { sim, mage } = killedPlayer();
+    assert.strictEqual(mage.alive, false);
+
+    advance(sim, 1);
+    assert.strictEqual(broadcastsOf(sim, 'player_died').length, 1);
+    const delayTicks = Math.ceil(sim.respawnDelay / sim.tickIntervalMs);
+    advance(sim, delayTicks - 1);
+    assert.strictEqual(mage.alive, false);
+    assert.strictEqual(broadcastsOf(sim, 'player_died').length, 1);
+
+    advance(sim, 1);
+    assert.strictEqual(mage.alive, true);
+    assert.strictEqual(mage.health, mage.maxHealth);
+    assert.strictEqual(mage.invulnerableTime, 1000);
+    const [respawned] = broadcastsOf(sim, 'player_respawned');
+    assert.strictEqual(respawned.playerId, 'player_1');
+    assert.strictEqual(respawned.x, mage.x);
+});
+
+test('spawn protection blocks damage until it runs out', () => {
+    const { sim, mage } = killedPlayer({ respawnDelay: 0 });
+    advance(sim, 2);
+    assert.strictEqual(mage.alive, true);
+
+    mage.takeDamage(40);
+    assert.strictEqual(mage.health, mage.maxHealth);
+    mage.invulnerableTime = 0;
+    mage.takeDamage(40);
+    assert.strictEqual(mage.health, mage.maxHealth - 40);
+});
@@ -0,0 +1,55 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createSimulation, fill } = require('./helpers.js');
+
+function duel() {
+    const sim = createSimulation({ respawnDelay: 1000 });
+    sim.engine.onPlayerDamage = (event) => sim.recordPlayerDamage(event);
+    sim.engine.onTerrainDestruction = ({ sourceId, destroyed, oresExposed }) => {
+        sim.recordTerrainDestruction(sourceId, destroyed, oresExposed);
+    };
+    sim.addPlayer('player_1', 0);
+    sim.addPlayer('player_2', 0);
+    return sim;
+}
+
+function entry(sim, id) {
+    return sim.getScoreboard().find((row) => row.id === id);
+}
+
+test('damage and the killing blow are credited to the attacker, the death to the victim', () => {
+    const sim = duel();
+    const victim = sim.engine.players.get('player_2');
+    sim.engine.damagePlayer(victim, 30, 'player_1');
+    sim.engine.damagePlayer(victim, 500, 'player_1');
+    sim.tick += 1;
+    sim.updateRespawns();
+
+    assert.deepStrictEqual(
+        { kills: entry(sim, 'player_1').kills, damage: entry(sim, 'player_1').damage },
+        { kills: 1, damage: victim.maxHealth }
+    );
+    assert.strictEqual(entry(sim, 'player_2').deaths, 1);
+    assert.strictEqual(sim.players.get('player_2').lastKillerId, 'player_1');
+});
+
+test('hurting yourself earns nothing', () => {
+    const sim = duel();
+    const self = sim.engine.players.get('player_1');
+    sim.engine.damagePlayer(self, 500, 'player_1');
+    assert.strictEqual(entry(sim, 'player_1').kills, 0);
+    assert.strictEqual(entry(sim, 'player_1').damage, 0);
+});
+
+test('destroyed pixels and exposed ores go to whoever blew them up', () => {
+    const sim = duel();
+    const terrain = sim.engine.terrain;
+    fill(terrain, 100, 100, 20, 20, terrain.DIRT);
+    fill(terrain, 108, 108, 4, 4, terrain.GOLD);
+    sim.engine.destroyTerrain(110, 110, 6, true, true, 'player_1');
+
+    const row = entry(sim, 'player_1');
+    assert.ok(row.pixels > 0);
+    assert.ok(row.ores > 0);
+    assert.strictEqual(entry(sim, 'player_2').pixels, 0);
+});
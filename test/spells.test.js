@@ -0,0 +1,58 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createSimulation, SpellRegistry, spellRegistry } = require('./helpers.js');
+
+test('invalid entries are skipped and unknown ids fall back', () => {
+    const registry = new SpellRegistry([
+        { id: 'spark', damage: -5, speed: 'fast' },
+        { id: 'spark', name: 'Duplicate' },
+        { name: 'No id' }
+    ]);
+    assert.deepStrictEqual(registry.ids(), ['spark']);
+    assert.strictEqual(registry.get('spark').damage, 0);
+    assert.strictEqual(registry.get('spark').speed, 8);
+    assert.strictEqual(registry.get('missing').id, 'unknown');
+    assert.strictEqual(registry.resolveId('missing'), 'spark');
+
+    // An empty list keeps the defaults
+    assert.deepStrictEqual(new SpellRegistry([]).ids(), spellRegistry.ids());
+});
+
+test('each spell key selects its own index', () => {
+    for (let i = 0; i < spellRegistry.size; i++) {
+        const key = spellRegistry.getHotkey(i);
+        assert.ok(key, `spell ${i} has a key`);
+        assert.strictEqual(spellRegistry.getHotkeyIndex(key), i);
+        assert.strictEqual(spellRegistry.getHotkeyIndex(key.toUpperCase()), i);
+    }
+});
+
+test('spells without a hotkey use 1-9 and then 0', () => {
+    const list = [];
+    for (let i = 0; i < 11; i++) list.push({ id: `spell_${i}` });
+    list.push({ id: 'keyed', hotkey: 'Q' });
+    const registry = new SpellRegistry(list);
+
+    assert.strictEqual(registry.getHotkey(0), '1');
+    assert.strictEqual(registry.getHotkey(8), '9');
+    assert.strictEqual(registry.getHotkey(9), '0');
+    assert.strictEqual(registry.getHotkey(10), null);
+    assert.strictEqual(registry.getHotkey(11), 'q');
+    assert.strictEqual(registry.getHotkeyIndex('0'), 9);
+    assert.strictEqual(registry.getHotkeyIndex('q'), 11);
+});
+
+test('the server only accepts indices of registered spells', () => {
+    const sim = createSimulation();
+    sim.addPlayer('player_1');
+    const player = sim.engine.players.get('player_1');
+
+    sim.handlePlayerInput('player_1', { selectedSpell: 2 });
+    assert.strictEqual(player.selectedSpell, 2);
+    assert.strictEqual(sim.players.get('player_1').selectedSpell, 2);
+
+    for (const selectedSpell of [99, -1, 2.5, 'x', spellRegistry.size]) {
+        sim.handlePlayerInput('player_1', { selectedSpell });
+        assert.strictEqual(player.selectedSpell, 2, `rejects ${selectedSpell}`);
+    }
+});
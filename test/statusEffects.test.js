@@ -0,0 +1,65 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createEngine, Projectile, spellRegistry } = require('./helpers.js');
+
+test('burning stacks and ticks damage credited to its caster on the server', () => {
+    const engine = createEngine();
+    const victim = engine.addPlayer('player_2', 100, 100);
+    victim.invulnerableTime = 0;
+    const sources = [];
+    engine.onPlayerDamage = (event) => sources.push(event.sourceId);
+
+    victim.applyStatusEffect('burning', 2000, 'player_1');
+    victim.applyStatusEffect('burning', 1000, 'player_1');
+    assert.strictEqual(victim.statusEffects.burning.stacks, 2);
+    assert.strictEqual(victim.statusEffects.burning.remaining, 2000);
+
+    victim.updateStatusEffects(500, engine);
+    const { tickDamage } = victim.constructor.STATUS_EFFECTS.burning;
+    assert.strictEqual(victim.health, victim.maxHealth - tickDamage * 2);
+    assert.deepStrictEqual(sources, ['player_1']);
+
+    victim.updateStatusEffects(1500, engine);
+    assert.strictEqual(victim.hasStatusEffect('burning'), false);
+});
+
+test('stun extends up to its cap and blocks casting', () => {
+    const engine = createEngine();
+    const mage = engine.addPlayer('player_1', 100, 100);
+
+    mage.applyStatusEffect('stunned', 1000);
+    mage.applyStatusEffect('stunned', 1000);
+    assert.strictEqual(mage.statusEffects.stunned.remaining, mage.constructor.STATUS_EFFECTS.stunned.maxDuration);
+    assert.strictEqual(mage.canCast(spellRegistry.get('ice')), false);
+
+    mage.clearStatusEffects();
+    assert.ok(mage.canCast(spellRegistry.get('ice')));
+});
+
+test('frozen mages can neither walk nor jump', () => {
+    const engine = createEngine();
+    const mage = engine.addPlayer('player_1', 100, 100);
+    mage.applyStatusEffect('frozen', 1000);
+    mage.input = { left: false, right: true, jump: true, shoot: false, mouseX: 150, mouseY: 100 };
+    mage.grounded = true;
+    mage.update(16, engine);
+    assert.strictEqual(mage.vx, 0);
+    assert.ok(mage.vy >= 0);
+});
+
+test('a spell hit applies its effects once per projectile', () => {
+    const engine = createEngine();
+    const victim = engine.addPlayer('player_2', 100, 100);
+    victim.invulnerableTime = 0;
+    const bolt = new Projectile(0, 0, 0, 0, 'ice', 'player_1');
+
+    bolt.applyHitEffects(victim);
+    victim.statusEffects.slowed.remaining = 1;
+    bolt.applyHitEffects(victim);
+    assert.strictEqual(victim.statusEffects.slowed.remaining, 1);
+    assert.ok(victim.hasStatusEffect('frozen'));
+
+    const blast = new Projectile(105, 105, 0, 0, 'fireball', 'player_1');
+    blast.explode(engine);
+    assert.ok(victim.hasStatusEffect('burning'));
+});
@@ -0,0 +1,75 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createEngine, createSimulation, Player, Projectile } = require('./helpers.js');
+const { createGameMode } = require('../gameModes.js');
+
+function teamEngine({ friendlyFire = false } = {}) {
+    const engine = createEngine();
+    engine.friendlyFire = friendlyFire;
+    const caster = engine.addPlayer('player_1', 100, 100);
+    const ally = engine.addPlayer('player_2', 110, 100);
+    const enemy = engine.addPlayer('player_3', 90, 100);
+    caster.setTeam('red');
+    ally.setTeam('red');
+    enemy.setTeam('blue');
+    return { engine, caster, ally, enemy };
+}
+
+test('teammates are safe from each other unless friendly fire is on', () => {
+    const { engine, caster, ally, enemy } = teamEngine();
+    assert.strictEqual(engine.canDamagePlayer('player_1', ally), false);
+    assert.strictEqual(engine.canDamagePlayer('player_1', enemy), true);
+    // Your own spells and sourceless damage always land
+    assert.strictEqual(engine.canDamagePlayer('player_1', caster), true);
+    assert.strictEqual(engine.canDamagePlayer(null, ally), true);
+
+    engine.friendlyFire = true;
+    assert.strictEqual(engine.canDamagePlayer('player_1', ally), true);
+});
+
+test('splash damage skips teammates and hits enemies', () => {
+    const { engine, ally, enemy } = teamEngine();
+    const blast = new Projectile(105, 105, 0, 0, 'fireball', 'player_1');
+    blast.explode(engine);
+    assert.strictEqual(ally.health, ally.maxHealth);
+    assert.ok(enemy.health < enemy.maxHealth);
+});
+
+test('joining reports the balanced team the player was put on', () => {
+    const sim = createSimulation();
+    sim.gameMode = createGameMode('team_deathmatch', sim);
+    sim.gameMode.start();
+    assert.strictEqual(sim.addPlayer('player_1', 0).team, 'red');
+    assert.strictEqual(sim.addPlayer('player_2', 0).team, 'blue');
+    assert.strictEqual(sim.engine.players.get('player_2').team, 'blue');
+});
+
+test('built-in team names keep their own colours', () => {
+    Player.setTeamOrder(['blue', 'red']);
+    const mage = new Player('player_1', 0, 0);
+    mage.setTeam('red');
+    assert.strictEqual(mage.color, Player.TEAM_COLORS.red.robe);
+    assert.strictEqual(mage.hatColor, Player.TEAM_COLORS.red.hat);
+    mage.setTeam(null);
+    assert.strictEqual(mage.color, mage.generateColor('player_1'));
+    Player.setTeamOrder([]);
+});
+
+test('custom team names take the fallback palette by their configured order', () => {
+    Player.setTeamOrder(['wolves', 'ravens']);
+    const wolf = new Player('player_1', 0, 0);
+    const raven = new Player('player_2', 0, 0);
+    wolf.setTeam('wolves');
+    raven.setTeam('ravens');
+    assert.strictEqual(wolf.color, Player.TEAM_FALLBACK_COLORS[0].robe);
+    assert.strictEqual(raven.color, Player.TEAM_FALLBACK_COLORS[1].robe);
+    assert.strictEqual(raven.hatColor, Player.TEAM_FALLBACK_COLORS[1].hat);
+    Player.setTeamOrder([]);
+});
+
+test('setTeamOrder only reports a change when the order differs', () => {
+    assert.strictEqual(Player.setTeamOrder(['a', 'b']), true);
+    assert.strictEqual(Player.setTeamOrder(['a', 'b']), false);
+    assert.strictEqual(Player.setTeamOrder(['b', 'a']), true);
+    Player.setTeamOrder([]);
+});
@@ -0,0 +1,77 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createEngine, createSimulation, Projectile, spellRegistry } = require('./helpers.js');
+
+function wardedDuel({ reflect = true, hp = 60 } = {}) {
+    const engine = createEngine();
+    const caster = engine.addPlayer('player_1', 100, 100);
+    const enemy = engine.addPlayer('player_2', 20, 100);
+    const ward = engine.raiseShield(caster, { ...spellRegistry.get('ward'), shield: { duration: 4000, hp, radius: 14, reflect } });
+    return { engine, caster, enemy, ward };
+}
+
+// Step a bolt from the left into the ward until it reacts
+function fireAt(engine, ward, ownerId, type = 'ice') {
+    const bolt = new Projectile(ward.x - 30, ward.y, 4, 0, type, ownerId);
+    for (let i = 0; i < 10 && !bolt.dead && bolt.ownerId === ownerId; i++) {
+        const startX = bolt.x;
+        const startY = bolt.y;
+        bolt.x += bolt.vx;
+        bolt.y += bolt.vy;
+        bolt.hitShield(engine, startX, startY);
+    }
+    return bolt;
+}
+
+test('a reflective ward turns enemy spells back under its caster and loses hit points', () => {
+    const { engine, ward } = wardedDuel();
+    const bolt = fireAt(engine, ward, 'player_2');
+    assert.strictEqual(bolt.dead, false);
+    assert.strictEqual(bolt.ownerId, 'player_1');
+    assert.ok(bolt.vx < 0);
+    assert.strictEqual(ward.hp, ward.maxHp - spellRegistry.get('ice').damage);
+});
+
+test('plain wards absorb, and the hit that empties a ward is always absorbed', () => {
+    const plain = wardedDuel({ reflect: false });
+    assert.strictEqual(fireAt(plain.engine, plain.ward, 'player_2').dead, true);
+
+    const weak = wardedDuel({ hp: 5 });
+    const bolt = fireAt(weak.engine, weak.ward, 'player_2');
+    assert.strictEqual(bolt.dead, true);
+    assert.strictEqual(weak.ward.dead, true);
+});
+
+test('wards let their own caster\'s and teammates\' spells through', () => {
+    const { engine, ward, enemy, caster } = wardedDuel();
+    assert.strictEqual(fireAt(engine, ward, 'player_1').ownerId, 'player_1');
+    caster.setTeam('red');
+    enemy.setTeam('red');
+    const friendly = fireAt(engine, ward, 'player_2');
+    assert.strictEqual(friendly.ownerId, 'player_2');
+    assert.strictEqual(friendly.dead, false);
+    assert.strictEqual(ward.hp, ward.maxHp);
+});
+
+test('the server raises wards from input and never from projectile messages', () => {
+    const sim = createSimulation();
+    sim.addPlayer('player_1');
+    const mage = sim.engine.players.get('player_1');
+    const ward = spellRegistry.get('ward');
+
+    sim.handleProjectile('player_1', { type: 'ward', x: mage.x, y: mage.y, vx: 0, vy: 0, clientProjectileId: 'c1' });
+    assert.strictEqual(mage.mana, mage.maxMana);
+    assert.strictEqual(sim.engine.projectiles.length, 0);
+
+    mage.selectedSpell = spellRegistry.ids().indexOf('ward');
+    sim.handlePlayerInput('player_1', { shoot: true, mouseX: mage.x + 20, mouseY: mage.y });
+    mage.update(16, sim.engine);
+    assert.strictEqual(sim.engine.shields.length, 1);
+    assert.strictEqual(mage.mana, mage.maxMana - ward.manaCost);
+});
+
+test('regenerating the map drops every ward', () => {
+    const { engine } = wardedDuel();
+    engine.regenerateTerrain();
+    assert.strictEqual(engine.shields.length, 0);
+});